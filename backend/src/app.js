@@ -1,6 +1,7 @@
 import express from "express"
 import cors from "cors"
 import cookieParser from "cookie-parser"
+import { requestContext } from "./utils/requestContext.js"
 
 const app = express()
 
@@ -13,12 +14,39 @@ app.use(express.json({limit: "16kb"}))
 app.use(express.urlencoded({extended: true, limit: "16kb"}))
 app.use(express.static("public"))
 app.use(cookieParser())
+// After the body parsers, so the context is still there when the route handlers run
+app.use(requestContext)
 
 
 //routes import
 import healthcheckRouter from "./routes/healthcheck.routes.js"
+import userRouter from "./routes/user.routes.js"
+import driverRouter from "./routes/driver.routes.js"
+import routeRouter from "./routes/route.routes.js"
+import orderRouter from "./routes/order.routes.js"
+import simulationRouter from "./routes/simulation.routes.js"
+import importRouter from "./routes/import.routes.js"
+import dashboardRouter from "./routes/dashboard.routes.js"
+import ruleSetRouter from "./routes/ruleSet.routes.js"
+import auditLogRouter from "./routes/auditLog.routes.js"
+import driverPortalRouter from "./routes/driverPortal.routes.js"
+import { notFound, errorHandler } from "./middlewares/error.middleware.js"
 
 //routes declaration
 app.use("/api/v1/healthcheck", healthcheckRouter)
+app.use("/api/v1/users", userRouter)
+app.use("/api/v1/drivers", driverRouter)
+app.use("/api/v1/routes", routeRouter)
+app.use("/api/v1/orders", orderRouter)
+app.use("/api/v1/simulations", simulationRouter)
+app.use("/api/v1/imports", importRouter)
+app.use("/api/v1/dashboard", dashboardRouter)
+app.use("/api/v1/rule-sets", ruleSetRouter)
+app.use("/api/v1/audit-logs", auditLogRouter)
+app.use("/api/v1/driver-portal", driverPortalRouter)
+
+//error handling
+app.use(notFound)
+app.use(errorHandler)
 
 export { app }
\ No newline at end of file
@@ -1 +1,31 @@
-export const DB_NAME = "GreenCart"
\ No newline at end of file
+export const DB_NAME = "GreenCart"
+
+// Starting values for the first RuleSet; after that the active rule set in the database is what applies
+export const DEFAULT_BUSINESS_RULES = {
+    fuelCostPerKm: 5,
+    highTrafficSurchargePerKm: 2,
+    latePenalty: 50,
+    highValueThreshold: 1000,
+    highValueBonusRate: 0.1,
+    fatigueSlowdownMultiplier: 1.3,
+    exhaustedSlowdownMultiplier: 1.5,
+    trafficMultipliers: { Low: 1.0, Medium: 1.1, High: 1.2 },
+    gracePeriodMinutes: 10,
+    extraStopMinutes: 5
+}
+
+export const USER_ROLES = ['admin', 'manager', 'dispatcher', 'analyst', 'driver']
+
+const READ_PERMISSIONS = ['dashboard:read', 'drivers:read', 'routes:read', 'orders:read', 'simulations:read', 'rules:read']
+const PLANNING_PERMISSIONS = ['drivers:write', 'routes:write', 'orders:write', 'simulations:run', 'rules:write',
+    'imports:run', 'audit:read']
+
+// Analysts only read, dispatchers also move orders through their lifecycle, managers run the operation
+// and admins additionally manage who has access. Drivers only see and report on their own orders.
+export const ROLE_PERMISSIONS = {
+    admin: [...READ_PERMISSIONS, ...PLANNING_PERMISSIONS, 'users:manage'],
+    manager: [...READ_PERMISSIONS, ...PLANNING_PERMISSIONS],
+    dispatcher: [...READ_PERMISSIONS, 'orders:write'],
+    analyst: [...READ_PERMISSIONS],
+    driver: ['deliveries:own']
+}
@@ -0,0 +1,52 @@
+import { isValidObjectId } from "mongoose"
+import {ApiError} from "../utils/ApiError.js"
+import {ApiResponse} from "../utils/ApiResponse.js"
+import {asyncHandler} from "../utils/asyncHandler.js"
+import {AuditLog, AUDITED_ENTITIES, AUDIT_OPERATIONS} from "../models/auditLog.model.js"
+import {
+    buildCreatedAtMatch,
+    getPaginationOptions,
+    paginateQuery
+} from "../utils/queryHelpers.js"
+
+const AUDIT_LOG_SORT_FIELDS = ['createdAt', 'entity', 'operation']
+
+const checkObjectId = (value, field) => {
+    if (!isValidObjectId(value)) {
+        throw new ApiError(400, `Invalid ${field}`)
+    }
+    return value
+}
+
+// actor=system returns the changes made by the server itself
+const getAuditLogs = asyncHandler(async (req, res) => {
+    const { entity, entityId, actor, operation, from, to } = req.query
+    const paginationOptions = getPaginationOptions(req.query, { allowedSortFields: AUDIT_LOG_SORT_FIELDS })
+
+    const filter = buildCreatedAtMatch({ from, to })
+    if (entity) {
+        if (!AUDITED_ENTITIES.includes(entity)) {
+            throw new ApiError(400, `Unknown entity '${entity}'. Allowed: ${AUDITED_ENTITIES.join(", ")}`)
+        }
+        filter.entity = entity
+    }
+    if (operation) {
+        if (!AUDIT_OPERATIONS.includes(operation)) {
+            throw new ApiError(400, `Unknown operation '${operation}'. Allowed: ${AUDIT_OPERATIONS.join(", ")}`)
+        }
+        filter.operation = operation
+    }
+    if (entityId) filter.entityId = checkObjectId(entityId, "entity id")
+    if (actor) filter.actor = actor === "system" ? null : checkObjectId(actor, "actor id")
+
+    const query = AuditLog.find(filter).populate('actor', 'username fullName')
+    const { docs, pagination } = await paginateQuery(query, paginationOptions)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { auditLogs: docs, pagination }, "Audit logs fetched successfully"))
+})
+
+export {
+    getAuditLogs
+}
@@ -0,0 +1,30 @@
+import {ApiResponse} from "../utils/ApiResponse.js"
+import {asyncHandler} from "../utils/asyncHandler.js"
+import {getDashboardData} from "../services/dashboard.service.js"
+import {buildDashboardReport} from "../services/reportExport.service.js"
+import {parseExportFormat, streamReport} from "../services/reportWriter.service.js"
+
+const getDashboard = asyncHandler(async (req, res) => {
+    const { from, to, simulationId } = req.query
+
+    const dashboard = await getDashboardData({ from, to, simulationId })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, dashboard, "Dashboard data fetched successfully"))
+})
+
+// Takes the same filters as the dashboard; the report is built (and the filters checked) before anything is sent
+const exportDashboard = asyncHandler(async (req, res) => {
+    const { from, to, simulationId } = req.query
+    const format = parseExportFormat(req.query.format)
+
+    const report = await buildDashboardReport({ from, to, simulationId })
+
+    await streamReport(res, format, report)
+})
+
+export {
+    getDashboard,
+    exportDashboard
+}
@@ -0,0 +1,125 @@
+import { isValidObjectId } from "mongoose"
+import {ApiError} from "../utils/ApiError.js"
+import {ApiResponse} from "../utils/ApiResponse.js"
+import {asyncHandler} from "../utils/asyncHandler.js"
+import {Driver} from "../models/driver.model.js"
+import {getDriversNearingLimit, rolloverDriverHours} from "../services/hoursOfService.service.js"
+import {
+    getPaginationOptions,
+    paginateQuery,
+    parseBoolean,
+    parseNumber,
+    pickFields,
+    escapeRegex
+} from "../utils/queryHelpers.js"
+
+const DRIVER_FIELDS = ['name', 'shiftHours', 'pastWeekHours', 'isActive', 'currentDayHours', 'fatigueLevel']
+const DRIVER_SORT_FIELDS = ['name', 'shiftHours', 'efficiency', 'totalDeliveries', 'onTimeDeliveries', 'currentDayHours', 'createdAt']
+
+const findDriverOrThrow = async (driverId) => {
+    if (!isValidObjectId(driverId)) {
+        throw new ApiError(400, "Invalid driver id")
+    }
+
+    const driver = await Driver.findById(driverId)
+    if (!driver) {
+        throw new ApiError(404, "Driver not found")
+    }
+    return driver
+}
+
+const getAllDrivers = asyncHandler(async (req, res) => {
+    const { mode, maxHours, isActive, fatigueLevel, search } = req.query
+    const paginationOptions = getPaginationOptions(req.query, { allowedSortFields: DRIVER_SORT_FIELDS })
+
+    let query
+    if (mode === "available") {
+        const maxHoursValue = parseNumber(maxHours, "maxHours")
+        if (maxHoursValue === undefined) {
+            throw new ApiError(400, "maxHours is required when mode is 'available'")
+        }
+        query = Driver.findAvailableDrivers(maxHoursValue)
+    } else if (mode) {
+        throw new ApiError(400, `Unknown driver query mode '${mode}'`)
+    } else {
+        const filter = {}
+        const isActiveValue = parseBoolean(isActive, "isActive")
+        if (isActiveValue !== undefined) filter.isActive = isActiveValue
+        if (fatigueLevel) filter.fatigueLevel = fatigueLevel
+        if (search) filter.name = { $regex: escapeRegex(search), $options: "i" }
+        query = Driver.find(filter)
+    }
+
+    const { docs, pagination } = await paginateQuery(query, paginationOptions)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { drivers: docs, pagination }, "Drivers fetched successfully"))
+})
+
+const getDriverById = asyncHandler(async (req, res) => {
+    const driver = await findDriverOrThrow(req.params.driverId)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, driver, "Driver fetched successfully"))
+})
+
+const createDriver = asyncHandler(async (req, res) => {
+    const driver = await Driver.create(pickFields(req.body, DRIVER_FIELDS))
+
+    return res
+        .status(201)
+        .json(new ApiResponse(201, driver, "Driver created successfully"))
+})
+
+const updateDriver = asyncHandler(async (req, res) => {
+    const driver = await findDriverOrThrow(req.params.driverId)
+
+    driver.set(pickFields(req.body, DRIVER_FIELDS))
+    await driver.save()
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, driver, "Driver updated successfully"))
+})
+
+const deleteDriver = asyncHandler(async (req, res) => {
+    const driver = await findDriverOrThrow(req.params.driverId)
+
+    await driver.deleteOne()
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { _id: driver._id }, "Driver deleted successfully"))
+})
+
+const getDriverHoursNearLimit = asyncHandler(async (req, res) => {
+    const report = await getDriversNearingLimit({
+        maxHours: parseNumber(req.query.maxHours, "maxHours"),
+        threshold: parseNumber(req.query.threshold, "threshold")
+    })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, report, "Drivers nearing their hours limit fetched successfully"))
+})
+
+// Runs the end-of-day rollover now instead of waiting for the scheduled boundary
+const rolloverHours = asyncHandler(async (req, res) => {
+    const result = await rolloverDriverHours()
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, result, `Rolled over daily hours for ${result.driversRolledOver} driver(s)`))
+})
+
+export {
+    getAllDrivers,
+    getDriverById,
+    createDriver,
+    updateDriver,
+    deleteDriver,
+    getDriverHoursNearLimit,
+    rolloverHours
+}
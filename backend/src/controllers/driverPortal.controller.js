@@ -0,0 +1,69 @@
+import {ApiResponse} from "../utils/ApiResponse.js"
+import {asyncHandler} from "../utils/asyncHandler.js"
+import {
+    getLinkedDriver,
+    getTodaysOrders,
+    pickUpOrder,
+    deliverOrder,
+    failOrder
+} from "../services/driverPortal.service.js"
+
+const getMyOrders = asyncHandler(async (req, res) => {
+    const driver = await getLinkedDriver(req.user)
+    const { dayStart, orders } = await getTodaysOrders(driver)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(
+            200,
+            {
+                driver: {
+                    _id: driver._id,
+                    name: driver.name,
+                    shiftHours: driver.shiftHours,
+                    fatigueLevel: driver.getFatigueLevel()
+                },
+                dayStart,
+                orders
+            },
+            "Today's orders fetched successfully"
+        ))
+})
+
+const pickUpMyOrder = asyncHandler(async (req, res) => {
+    const driver = await getLinkedDriver(req.user)
+    const order = await pickUpOrder(driver, req.params.orderId, req.user._id)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, order, `Order #${order.orderId} picked up`))
+})
+
+const deliverMyOrder = asyncHandler(async (req, res) => {
+    const driver = await getLinkedDriver(req.user)
+    const { order, deliveryMinutes, isOnTime } = await deliverOrder(driver, req.params.orderId, req.body ?? {}, req.user._id)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(
+            200,
+            { order, deliveryMinutes },
+            `Order #${order.orderId} delivered ${isOnTime ? "on time" : "late"} after ${deliveryMinutes} minutes`
+        ))
+})
+
+const failMyOrder = asyncHandler(async (req, res) => {
+    const driver = await getLinkedDriver(req.user)
+    const order = await failOrder(driver, req.params.orderId, req.body?.reason, req.user._id)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, order, `Order #${order.orderId} marked as failed`))
+})
+
+export {
+    getMyOrders,
+    pickUpMyOrder,
+    deliverMyOrder,
+    failMyOrder
+}
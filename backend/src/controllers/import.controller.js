@@ -0,0 +1,26 @@
+import {ApiError} from "../utils/ApiError.js"
+import {ApiResponse} from "../utils/ApiResponse.js"
+import {asyncHandler} from "../utils/asyncHandler.js"
+import {parseBoolean} from "../utils/queryHelpers.js"
+import {importCsv} from "../services/csvImport.service.js"
+
+const importEntities = asyncHandler(async (req, res) => {
+    if (!req.file) {
+        throw new ApiError(400, "CSV file is required in the 'file' field")
+    }
+
+    const dryRun = parseBoolean(req.query.dryRun, "dryRun") ?? false
+    const report = await importCsv(req.params.entity, req.file.buffer, { dryRun })
+
+    const message = dryRun ?
+        `Dry run finished: ${report.created + report.updated} valid, ${report.failed} invalid rows` :
+        `Import finished: ${report.created} created, ${report.updated} updated, ${report.failed} failed`
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, report, message))
+})
+
+export {
+    importEntities
+}
@@ -0,0 +1,244 @@
+import { isValidObjectId } from "mongoose"
+import {ApiError} from "../utils/ApiError.js"
+import {ApiResponse} from "../utils/ApiResponse.js"
+import {asyncHandler} from "../utils/asyncHandler.js"
+import {Order} from "../models/order.model.js"
+import {Route} from "../models/route.model.js"
+import {Driver} from "../models/driver.model.js"
+import {
+    getPaginationOptions,
+    paginateQuery,
+    parseBoolean,
+    parseNumber,
+    parseNumberRange,
+    pickFields
+} from "../utils/queryHelpers.js"
+
+// Status, assignment and delivery time only change through the lifecycle endpoints below
+const ORDER_FIELDS = [
+    'orderId', 'valueRs', 'routeId', 'deliveryTime', 'deliveryNotes', 'priority', 'customerRating', 'deliveryLocation'
+]
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/
+const ORDER_SORT_FIELDS = ['orderId', 'valueRs', 'routeId', 'deliveryTime', 'status', 'priority', 'profit', 'createdAt']
+
+const findOrderOrThrow = async (orderId) => {
+    if (!isValidObjectId(orderId)) {
+        throw new ApiError(400, "Invalid order id")
+    }
+
+    const order = await Order.findById(orderId)
+    if (!order) {
+        throw new ApiError(404, "Order not found")
+    }
+    return order
+}
+
+const ensureRouteExists = async (routeId) => {
+    if (routeId === undefined) return
+    const exists = await Route.exists({ routeId })
+    if (!exists) {
+        throw new ApiError(400, `Route ${routeId} does not exist`)
+    }
+}
+
+const requireReason = (reason, action) => {
+    if (typeof reason !== "string" || !reason.trim()) {
+        throw new ApiError(400, `A reason is required to ${action} an order`)
+    }
+    return reason.trim()
+}
+
+const getAllOrders = asyncHandler(async (req, res) => {
+    const { mode, status, assignedDriver, routeId, priority, isOnTime, minValue, maxValue } = req.query
+    const paginationOptions = getPaginationOptions(req.query, { allowedSortFields: ORDER_SORT_FIELDS })
+
+    let query
+    if (mode === "byStatus") {
+        if (!status) {
+            throw new ApiError(400, "status is required when mode is 'byStatus'")
+        }
+        query = Order.findByStatus(status)
+    } else if (mode === "highValue") {
+        query = Order.findHighValueOrders(parseNumber(minValue, "minValue"))
+    } else if (mode) {
+        throw new ApiError(400, `Unknown order query mode '${mode}'`)
+    } else {
+        const filter = {}
+        if (status) filter.status = status
+        if (priority) filter.priority = priority
+        if (assignedDriver) {
+            if (assignedDriver === "none") {
+                filter.assignedDriver = null
+            } else if (isValidObjectId(assignedDriver)) {
+                filter.assignedDriver = assignedDriver
+            } else {
+                throw new ApiError(400, "Invalid assigned driver id")
+            }
+        }
+        const routeIdValue = parseNumber(routeId, "routeId")
+        const isOnTimeValue = parseBoolean(isOnTime, "isOnTime")
+        const valueRange = parseNumberRange(minValue, maxValue, "order value")
+        if (routeIdValue !== undefined) filter.routeId = routeIdValue
+        if (isOnTimeValue !== undefined) filter.isOnTime = isOnTimeValue
+        if (valueRange) filter.valueRs = valueRange
+        query = Order.find(filter)
+    }
+
+    const { docs, pagination } = await paginateQuery(query, paginationOptions)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { orders: docs, pagination }, "Orders fetched successfully"))
+})
+
+const getOrdersByArea = asyncHandler(async (req, res) => {
+    const match = {}
+    if (req.query.status) match.status = req.query.status
+
+    const groups = await Order.getOrdersByArea(match)
+    const areas = groups.map(({ _id, ...group }) => ({ area: _id, ...group }))
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { areas }, "Orders grouped by area successfully"))
+})
+
+const getOrderById = asyncHandler(async (req, res) => {
+    const order = await findOrderOrThrow(req.params.orderId)
+    await order.populate('assignedDriver assignedRoute')
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, order, "Order fetched successfully"))
+})
+
+const createOrder = asyncHandler(async (req, res) => {
+    const data = pickFields(req.body, ORDER_FIELDS)
+    await ensureRouteExists(data.routeId)
+
+    const order = await Order.create(data)
+
+    return res
+        .status(201)
+        .json(new ApiResponse(201, order, "Order created successfully"))
+})
+
+const updateOrder = asyncHandler(async (req, res) => {
+    const order = await findOrderOrThrow(req.params.orderId)
+    const data = pickFields(req.body, ORDER_FIELDS)
+    await ensureRouteExists(data.routeId)
+
+    order.set(data)
+    await order.save()
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, order, "Order updated successfully"))
+})
+
+const deleteOrder = asyncHandler(async (req, res) => {
+    const order = await findOrderOrThrow(req.params.orderId)
+
+    await order.deleteOne()
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { _id: order._id }, "Order deleted successfully"))
+})
+
+const assignOrder = asyncHandler(async (req, res) => {
+    const order = await findOrderOrThrow(req.params.orderId)
+    const { driverId } = req.body ?? {}
+
+    if (!isValidObjectId(driverId)) {
+        throw new ApiError(400, "A valid driverId is required")
+    }
+    const [driver, route] = await Promise.all([
+        Driver.findById(driverId),
+        Route.findOne({ routeId: order.routeId })
+    ])
+    if (!driver || !driver.isActive) {
+        throw new ApiError(400, "Driver not found or inactive")
+    }
+    if (!route) {
+        throw new ApiError(400, `Route ${order.routeId} does not exist`)
+    }
+
+    await order.assignToDriver(driver._id, route._id, { actor: req.user._id, reason: req.body?.reason })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, order, `Order assigned to ${driver.name}`))
+})
+
+const dispatchOrder = asyncHandler(async (req, res) => {
+    const order = await findOrderOrThrow(req.params.orderId)
+
+    order.transitionTo('in_transit', { actor: req.user._id, reason: req.body?.reason })
+    await order.save()
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, order, "Order is in transit"))
+})
+
+// wasOnTime is worked out from the promised delivery time unless the caller sends it
+const deliverOrder = asyncHandler(async (req, res) => {
+    const order = await findOrderOrThrow(req.params.orderId)
+    const { actualDeliveryTime, customerRating } = req.body ?? {}
+
+    if (typeof actualDeliveryTime !== "string" || !TIME_PATTERN.test(actualDeliveryTime)) {
+        throw new ApiError(400, "actualDeliveryTime is required in HH:MM format")
+    }
+    const deliveryMinutes = parseNumber(req.body?.deliveryMinutes, "deliveryMinutes")
+    if (deliveryMinutes !== undefined && deliveryMinutes < 0) {
+        throw new ApiError(400, "deliveryMinutes cannot be negative")
+    }
+    const wasOnTime = parseBoolean(req.body?.wasOnTime, "wasOnTime") ?? order.wasDeliveredOnTime(actualDeliveryTime)
+
+    await order.markAsDelivered(actualDeliveryTime, wasOnTime, customerRating ?? null, {
+        deliveryMinutes: deliveryMinutes ?? null,
+        actor: req.user._id,
+        reason: req.body?.reason
+    })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, order, `Order delivered ${wasOnTime ? "on time" : "late"}`))
+})
+
+const cancelOrder = asyncHandler(async (req, res) => {
+    const order = await findOrderOrThrow(req.params.orderId)
+    const reason = requireReason(req.body?.reason, "cancel")
+
+    await order.closeWithReason('cancelled', reason, { actor: req.user._id })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, order, "Order cancelled"))
+})
+
+const failOrder = asyncHandler(async (req, res) => {
+    const order = await findOrderOrThrow(req.params.orderId)
+    const reason = requireReason(req.body?.reason, "fail")
+
+    await order.closeWithReason('failed', reason, { actor: req.user._id })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, order, "Order marked as failed"))
+})
+
+export {
+    getAllOrders,
+    getOrdersByArea,
+    getOrderById,
+    createOrder,
+    updateOrder,
+    deleteOrder,
+    assignOrder,
+    dispatchOrder,
+    deliverOrder,
+    cancelOrder,
+    failOrder
+}
@@ -0,0 +1,128 @@
+import { isValidObjectId } from "mongoose"
+import {ApiError} from "../utils/ApiError.js"
+import {ApiResponse} from "../utils/ApiResponse.js"
+import {asyncHandler} from "../utils/asyncHandler.js"
+import {Route} from "../models/route.model.js"
+import {
+    getPaginationOptions,
+    paginateQuery,
+    parseBoolean,
+    parseNumber,
+    parseNumberRange,
+    pickFields,
+    escapeRegex
+} from "../utils/queryHelpers.js"
+
+const ROUTE_FIELDS = ['routeId', 'distanceKm', 'trafficLevel', 'baseTimeMin', 'isActive', 'area', 'difficulty', 'depot', 'stops']
+const ROUTE_SORT_FIELDS = ['routeId', 'distanceKm', 'trafficLevel', 'baseTimeMin', 'averageDeliveryTime', 'totalDeliveries', 'createdAt']
+
+const findRouteOrThrow = async (routeId) => {
+    if (!isValidObjectId(routeId)) {
+        throw new ApiError(400, "Invalid route id")
+    }
+
+    const route = await Route.findById(routeId)
+    if (!route) {
+        throw new ApiError(404, "Route not found")
+    }
+    return route
+}
+
+const getAllRoutes = asyncHandler(async (req, res) => {
+    const { mode, isActive, trafficLevel, minDistance, maxDistance, difficulty, area } = req.query
+    const paginationOptions = getPaginationOptions(req.query, { allowedSortFields: ROUTE_SORT_FIELDS })
+
+    let query
+    if (mode === "byTrafficLevel") {
+        if (!trafficLevel) {
+            throw new ApiError(400, "trafficLevel is required when mode is 'byTrafficLevel'")
+        }
+        query = Route.findByTrafficLevel(trafficLevel)
+    } else if (mode) {
+        throw new ApiError(400, `Unknown route query mode '${mode}'`)
+    } else {
+        const filter = {}
+        const isActiveValue = parseBoolean(isActive, "isActive")
+        const distanceRange = parseNumberRange(minDistance, maxDistance, "distance")
+        if (isActiveValue !== undefined) filter.isActive = isActiveValue
+        if (trafficLevel) filter.trafficLevel = trafficLevel
+        if (distanceRange) filter.distanceKm = distanceRange
+        if (difficulty) filter.difficulty = difficulty
+        if (area) filter.area = { $regex: escapeRegex(area), $options: "i" }
+        query = Route.find(filter)
+    }
+
+    const { docs, pagination } = await paginateQuery(query, paginationOptions)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { routes: docs, pagination }, "Routes fetched successfully"))
+})
+
+const getNearbyRoutes = asyncHandler(async (req, res) => {
+    const lng = parseNumber(req.query.lng, "lng")
+    const lat = parseNumber(req.query.lat, "lat")
+    const radiusKm = parseNumber(req.query.radiusKm, "radiusKm")
+
+    if (lng === undefined || lat === undefined || radiusKm === undefined) {
+        throw new ApiError(400, "lng, lat and radiusKm are required")
+    }
+    if (lng < -180 || lng > 180 || lat < -90 || lat > 90) {
+        throw new ApiError(400, "lng must be between -180 and 180 and lat between -90 and 90")
+    }
+    if (radiusKm <= 0) {
+        throw new ApiError(400, "radiusKm must be greater than 0")
+    }
+
+    const routes = await Route.findNearby([lng, lat], radiusKm)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { routes, center: { lng, lat }, radiusKm }, "Nearby routes fetched successfully"))
+})
+
+const getRouteById = asyncHandler(async (req, res) => {
+    const route = await findRouteOrThrow(req.params.routeId)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, route, "Route fetched successfully"))
+})
+
+const createRoute = asyncHandler(async (req, res) => {
+    const route = await Route.create(pickFields(req.body, ROUTE_FIELDS))
+
+    return res
+        .status(201)
+        .json(new ApiResponse(201, route, "Route created successfully"))
+})
+
+const updateRoute = asyncHandler(async (req, res) => {
+    const route = await findRouteOrThrow(req.params.routeId)
+
+    route.set(pickFields(req.body, ROUTE_FIELDS))
+    await route.save()
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, route, "Route updated successfully"))
+})
+
+const deleteRoute = asyncHandler(async (req, res) => {
+    const route = await findRouteOrThrow(req.params.routeId)
+
+    await route.deleteOne()
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { _id: route._id }, "Route deleted successfully"))
+})
+
+export {
+    getAllRoutes,
+    getNearbyRoutes,
+    getRouteById,
+    createRoute,
+    updateRoute,
+    deleteRoute
+}
@@ -0,0 +1,164 @@
+import { isValidObjectId } from "mongoose"
+import {ApiError} from "../utils/ApiError.js"
+import {ApiResponse} from "../utils/ApiResponse.js"
+import {asyncHandler} from "../utils/asyncHandler.js"
+import {RuleSet, RULE_PARAMETERS} from "../models/ruleSet.model.js"
+import {Simulation} from "../models/simulation.model.js"
+import {
+    getPaginationOptions,
+    paginateQuery,
+    parseBoolean,
+    pickFields
+} from "../utils/queryHelpers.js"
+
+const RULE_SET_FIELDS = ['name', 'description']
+const RULE_SET_SORT_FIELDS = ['version', 'name', 'createdAt']
+
+const findRuleSetOrThrow = async (ruleSetId) => {
+    if (!isValidObjectId(ruleSetId)) {
+        throw new ApiError(400, "Invalid rule set id")
+    }
+
+    const ruleSet = await RuleSet.findById(ruleSetId)
+    if (!ruleSet) {
+        throw new ApiError(404, "Rule set not found")
+    }
+    return ruleSet
+}
+
+// Only the parameters that are sent change; traffic multipliers can also be given one level at a time
+const mergeParameters = (base, overrides) => {
+    const picked = pickFields(overrides, RULE_PARAMETERS)
+    const merged = { ...base, ...picked }
+    if (picked.trafficMultipliers && typeof picked.trafficMultipliers === "object") {
+        merged.trafficMultipliers = { ...base.trafficMultipliers, ...picked.trafficMultipliers }
+    }
+    return merged
+}
+
+// Simulations record the version they ran with, so a used version's parameters must never change
+const ensureRuleSetUnused = async (ruleSet, action) => {
+    const isUsed = await Simulation.exists({ 'metadata.ruleSetVersion': ruleSet.version })
+    if (isUsed) {
+        throw new ApiError(409, `Rule set version ${ruleSet.version} has been used by simulations and cannot be ${action}; create a new version instead`)
+    }
+}
+
+const getAllRuleSets = asyncHandler(async (req, res) => {
+    const paginationOptions = getPaginationOptions(req.query, {
+        allowedSortFields: RULE_SET_SORT_FIELDS,
+        defaultSort: { version: -1 }
+    })
+
+    const filter = {}
+    const isActiveValue = parseBoolean(req.query.isActive, "isActive")
+    if (isActiveValue !== undefined) filter.isActive = isActiveValue
+
+    const { docs, pagination } = await paginateQuery(RuleSet.find(filter), paginationOptions)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { ruleSets: docs, pagination }, "Rule sets fetched successfully"))
+})
+
+const getActiveRuleSet = asyncHandler(async (req, res) => {
+    await RuleSet.loadActiveRules()
+    const ruleSet = await RuleSet.findOne({ isActive: true })
+    if (!ruleSet) {
+        throw new ApiError(404, "No rule set is active")
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, ruleSet, "Active rule set fetched successfully"))
+})
+
+const getRuleSetById = asyncHandler(async (req, res) => {
+    const ruleSet = await findRuleSetOrThrow(req.params.ruleSetId)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, ruleSet, "Rule set fetched successfully"))
+})
+
+// A new version starts from the active parameters, so a single changed price is enough to create one
+const createRuleSet = asyncHandler(async (req, res) => {
+    const body = req.body ?? {}
+    const activate = parseBoolean(body.activate, "activate")
+    // Read from the database rather than the in-process copy, which another instance may have made stale
+    const { version, ...activeParameters } = await RuleSet.loadActiveRules()
+    const ruleSet = await RuleSet.create({
+        ...pickFields(body, RULE_SET_FIELDS),
+        version: await RuleSet.getNextVersion(),
+        parameters: mergeParameters(activeParameters, body.parameters),
+        createdBy: req.user._id
+    })
+
+    if (activate) {
+        await RuleSet.activate(ruleSet._id)
+        ruleSet.isActive = true
+    }
+
+    return res
+        .status(201)
+        .json(new ApiResponse(
+            201,
+            ruleSet,
+            `Rule set version ${ruleSet.version} created${activate ? " and activated" : ""} (based on version ${version})`
+        ))
+})
+
+const updateRuleSet = asyncHandler(async (req, res) => {
+    const ruleSet = await findRuleSetOrThrow(req.params.ruleSetId)
+
+    ruleSet.set(pickFields(req.body, RULE_SET_FIELDS))
+    if (req.body?.parameters !== undefined) {
+        await ensureRuleSetUnused(ruleSet, "changed")
+        ruleSet.parameters = mergeParameters(ruleSet.parameters.toObject(), req.body.parameters)
+    }
+    await ruleSet.save()
+
+    if (ruleSet.isActive) {
+        await RuleSet.loadActiveRules()
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, ruleSet, "Rule set updated successfully"))
+})
+
+const activateRuleSet = asyncHandler(async (req, res) => {
+    const ruleSet = await findRuleSetOrThrow(req.params.ruleSetId)
+
+    await RuleSet.activate(ruleSet._id)
+    ruleSet.isActive = true
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, ruleSet, `Rule set version ${ruleSet.version} is now active`))
+})
+
+const deleteRuleSet = asyncHandler(async (req, res) => {
+    const ruleSet = await findRuleSetOrThrow(req.params.ruleSetId)
+
+    if (ruleSet.isActive) {
+        throw new ApiError(409, "The active rule set cannot be deleted; activate another version first")
+    }
+    await ensureRuleSetUnused(ruleSet, "deleted")
+
+    await ruleSet.deleteOne()
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { _id: ruleSet._id }, "Rule set deleted successfully"))
+})
+
+export {
+    getAllRuleSets,
+    getActiveRuleSet,
+    getRuleSetById,
+    createRuleSet,
+    updateRuleSet,
+    activateRuleSet,
+    deleteRuleSet
+}
@@ -0,0 +1,246 @@
+import { isValidObjectId } from "mongoose"
+import {ApiError} from "../utils/ApiError.js"
+import {ApiResponse} from "../utils/ApiResponse.js"
+import {asyncHandler} from "../utils/asyncHandler.js"
+import {
+    startSimulation,
+    getSimulationProgress as getProgress,
+    cancelSimulation as cancelRun,
+    replaySimulation
+} from "../services/simulation.service.js"
+import {
+    formatSseEvent,
+    subscribeToSimulationStream,
+    buildStoredSimulationEvents
+} from "../services/simulationStream.service.js"
+import {Simulation} from "../models/simulation.model.js"
+import {listAssignmentStrategies} from "../services/assignmentStrategy.service.js"
+import {compareSimulationRuns} from "../services/simulationComparison.service.js"
+import {buildSimulationReport} from "../services/reportExport.service.js"
+import {parseExportFormat, streamReport} from "../services/reportWriter.service.js"
+
+// Populates driver names and route ids for the per-order table and adds the model's performance summary
+const toSimulationResponse = async (simulation) => {
+    await simulation.populate([
+        { path: 'ordersProcessed.driverAssigned', select: 'name' },
+        { path: 'ordersProcessed.routeUsed', select: 'routeId trafficLevel' },
+        { path: 'trips.driverAssigned', select: 'name' },
+        { path: 'trips.routeUsed', select: 'routeId trafficLevel' }
+    ])
+
+    return {
+        ...simulation.toJSON(),
+        performanceSummary: simulation.status === 'completed' ? simulation.getPerformanceSummary() : null
+    }
+}
+
+const validateSimulationId = (simulationId) => {
+    if (!isValidObjectId(simulationId)) {
+        throw new ApiError(400, "Invalid simulation id")
+    }
+}
+
+const createSimulation = asyncHandler(async (req, res) => {
+    const {
+        availableDrivers,
+        routeStartTime,
+        maxHoursPerDriver,
+        maxOrdersPerTrip,
+        simulationName,
+        description,
+        assignmentStrategy,
+        strategyOptions,
+        seed
+    } = req.body ?? {}
+
+    const { simulation, isDuplicate } = await startSimulation({
+        inputs: {
+            availableDrivers,
+            routeStartTime,
+            maxHoursPerDriver,
+            maxOrdersPerTrip,
+            simulationName,
+            description,
+            assignmentStrategy,
+            strategyOptions
+        },
+        executedBy: req.user._id,
+        seed
+    })
+
+    if (isDuplicate) {
+        const data = await toSimulationResponse(simulation)
+        return res
+            .status(200)
+            .json(new ApiResponse(200, data, "An identical simulation already exists, returning the stored run"))
+    }
+
+    const progress = await getProgress(simulation._id)
+
+    return res
+        .status(202)
+        .location(`${req.baseUrl}/${simulation._id}/progress`)
+        .json(new ApiResponse(202, progress, "Simulation queued"))
+})
+
+const getSimulationById = asyncHandler(async (req, res) => {
+    const { simulationId } = req.params
+    validateSimulationId(simulationId)
+
+    const simulation = await Simulation.findById(simulationId)
+    if (!simulation) {
+        throw new ApiError(404, "Simulation not found")
+    }
+
+    const data = await toSimulationResponse(simulation)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, data, "Simulation fetched successfully"))
+})
+
+const getSimulationProgress = asyncHandler(async (req, res) => {
+    const { simulationId } = req.params
+    validateSimulationId(simulationId)
+
+    const progress = await getProgress(simulationId)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, progress, "Simulation progress fetched successfully"))
+})
+
+const cancelSimulation = asyncHandler(async (req, res) => {
+    const { simulationId } = req.params
+    validateSimulationId(simulationId)
+
+    await cancelRun(simulationId)
+    const progress = await getProgress(simulationId)
+
+    return res
+        .status(202)
+        .json(new ApiResponse(202, progress, "Simulation cancellation requested"))
+})
+
+const SSE_HEARTBEAT_MS = 15000
+
+// EventSource sends Last-Event-ID on reconnect; the query parameter covers clients that cannot set headers
+const parseLastEventId = (req) => {
+    const value = parseInt(req.get('Last-Event-ID') ?? req.query.lastEventId, 10)
+    return Number.isInteger(value) && value > 0 ? value : 0
+}
+
+const streamSimulationEvents = asyncHandler(async (req, res) => {
+    const { simulationId } = req.params
+    validateSimulationId(simulationId)
+
+    const lastEventId = parseLastEventId(req)
+    const pending = []
+    let send = (event) => pending.push(event)
+
+    // Subscribe before anything else so no event is missed while the response is being set up
+    const unsubscribe = subscribeToSimulationStream(simulationId, lastEventId, (event) => send(event))
+
+    let storedEvents = null
+    if (!unsubscribe) {
+        const simulation = await Simulation.findById(simulationId).populate([
+            { path: 'ordersProcessed.driverAssigned', select: 'name' },
+            { path: 'ordersProcessed.routeUsed', select: 'trafficLevel' }
+        ])
+        if (!simulation) {
+            throw new ApiError(404, "Simulation not found")
+        }
+        if (simulation.status === 'running') {
+            throw new ApiError(409, "Simulation is not running on this server and has no stored results yet")
+        }
+        storedEvents = buildStoredSimulationEvents(simulation).slice(lastEventId)
+    }
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    })
+    res.flushHeaders()
+
+    const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), SSE_HEARTBEAT_MS)
+    const finish = () => {
+        clearInterval(heartbeat)
+        unsubscribe?.()
+    }
+    req.on('close', finish)
+
+    send = (event) => {
+        res.write(formatSseEvent(event))
+        if (event.event === 'complete') {
+            finish()
+            res.end()
+        }
+    }
+
+    const backlog = storedEvents ?? pending
+    if (backlog.length === 0 && !unsubscribe) {
+        // The client already has every event, including the final one
+        finish()
+        return res.end()
+    }
+    backlog.forEach(event => send(event))
+})
+
+const rerunSimulation = asyncHandler(async (req, res) => {
+    const { simulationId } = req.params
+    validateSimulationId(simulationId)
+
+    const replay = await replaySimulation(simulationId)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(
+            200,
+            replay,
+            replay.resultsMatch ? "Replay matches the stored results" : "Replay differs from the stored results"
+        ))
+})
+
+// ids can be repeated (?ids=a&ids=b) or comma separated (?ids=a,b); the first one is the baseline
+const compareSimulations = asyncHandler(async (req, res) => {
+    const ids = [req.query.ids]
+        .flat()
+        .filter(Boolean)
+        .flatMap(value => String(value).split(","))
+        .map(id => id.trim())
+        .filter(Boolean)
+
+    const comparison = await compareSimulationRuns(ids)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, comparison, "Simulations compared successfully"))
+})
+
+// Summary, fuel cost breakdown and the per-order table as a CSV, XLSX or PDF download
+const exportSimulation = asyncHandler(async (req, res) => {
+    const format = parseExportFormat(req.query.format)
+    const report = await buildSimulationReport(req.params.simulationId)
+
+    await streamReport(res, format, report)
+})
+
+const getAssignmentStrategies = asyncHandler(async (req, res) => {
+    return res
+        .status(200)
+        .json(new ApiResponse(200, listAssignmentStrategies(), "Assignment strategies fetched successfully"))
+})
+
+export {
+    createSimulation,
+    getSimulationById,
+    getSimulationProgress,
+    cancelSimulation,
+    streamSimulationEvents,
+    rerunSimulation,
+    compareSimulations,
+    exportSimulation,
+    getAssignmentStrategies
+}
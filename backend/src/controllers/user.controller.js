@@ -0,0 +1,359 @@
+import jwt from "jsonwebtoken"
+import { isValidObjectId } from "mongoose"
+import {ApiError} from "../utils/ApiError.js"
+import {ApiResponse} from "../utils/ApiResponse.js"
+import {asyncHandler} from "../utils/asyncHandler.js"
+import {User} from "../models/user.model.js"
+import {Driver} from "../models/driver.model.js"
+import {USER_ROLES} from "../constants.js"
+import {getPermissions} from "../utils/permissions.js"
+import {getPaginationOptions, paginateQuery, parseBoolean} from "../utils/queryHelpers.js"
+
+const cookieOptions = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax'
+}
+
+const USER_SORT_FIELDS = ['username', 'fullName', 'role', 'lastLogin', 'createdAt']
+const INVITE_EXPIRY_HOURS = 72
+
+// The client uses permissions to decide what to show; the server still checks every request
+const toUserResponse = (user) => ({ ...user.toJSON(), permissions: getPermissions(user.role) })
+
+const findUserOrThrow = async (userId) => {
+    if (!isValidObjectId(userId)) {
+        throw new ApiError(400, "Invalid user id")
+    }
+
+    const user = await User.findById(userId).select("-password -refreshToken")
+    if (!user) {
+        throw new ApiError(404, "User not found")
+    }
+    return user
+}
+
+const ensureNotSelf = (req, user, action) => {
+    if (user._id.equals(req.user._id)) {
+        throw new ApiError(409, `You cannot ${action} your own account`)
+    }
+}
+
+const checkRole = (role) => {
+    if (!USER_ROLES.includes(role)) {
+        throw new ApiError(400, `Role must be one of ${USER_ROLES.join(", ")}`)
+    }
+    return role
+}
+
+// Driver accounts must point at an active driver that no other account is linked to
+const resolveDriverLink = async (role, driverId, userId = null) => {
+    if (role !== "driver") return undefined
+    if (!isValidObjectId(driverId)) {
+        throw new ApiError(400, "A valid driverId is required for driver accounts")
+    }
+
+    const [driver, linkedUser] = await Promise.all([
+        Driver.findById(driverId),
+        User.exists({ driver: driverId, _id: { $ne: userId } })
+    ])
+    if (!driver || !driver.isActive) {
+        throw new ApiError(400, "Driver not found or inactive")
+    }
+    if (linkedUser) {
+        throw new ApiError(409, `${driver.name} is already linked to another account`)
+    }
+    return driver._id
+}
+
+const generateAccessAndRefreshTokens = async (user) => {
+    const accessToken = user.generateAccessToken()
+    const refreshToken = user.generateRefreshToken()
+
+    user.refreshToken = refreshToken
+    await user.save({ validateBeforeSave: false })
+
+    return { accessToken, refreshToken }
+}
+
+const registerUser = asyncHandler(async (req, res) => {
+    const { username, email, fullName, password } = req.body ?? {}
+
+    // Non-string JSON values (numbers, arrays, objects) are rejected here rather than failing on toLowerCase below
+    if ([username, email, fullName, password].some((field) => typeof field !== "string" || field.trim() === "")) {
+        throw new ApiError(400, "Username, email, full name and password are required as text")
+    }
+
+    const existedUser = await User.findOne({
+        $or: [{ username: username.toLowerCase() }, { email: email.toLowerCase() }]
+    })
+
+    if (existedUser) {
+        throw new ApiError(409, "User with this username or email already exists")
+    }
+
+    // The first account administers the rest; everyone else who signs up can only read until an admin re-roles them
+    const isFirstUser = !(await User.exists({}))
+    const user = await User.create({ username, email, fullName, password, role: isFirstUser ? 'admin' : 'analyst' })
+
+    const createdUser = await User.findById(user._id).select("-password -refreshToken")
+
+    return res
+        .status(201)
+        .json(new ApiResponse(201, createdUser, "User registered successfully"))
+})
+
+const loginUser = asyncHandler(async (req, res) => {
+    const { username, email, password } = req.body ?? {}
+
+    // As in registration, non-string values are a 400 here; bcrypt would otherwise throw on them below
+    const isText = (field) => typeof field === "string" && field.trim() !== ""
+    if (!(isText(username) || isText(email)) || typeof password !== "string" || password === "") {
+        throw new ApiError(400, "Username or email and password are required as text")
+    }
+
+    const user = await User.findOne(
+        isText(username) ? { username: username.toLowerCase() } : { email: email.toLowerCase() }
+    )
+
+    if (!user) {
+        throw new ApiError(401, "Invalid user credentials")
+    }
+
+    if (user.isLocked) {
+        const retryAfterSeconds = Math.ceil((user.lockUntil - Date.now()) / 1000)
+        res.set("Retry-After", String(retryAfterSeconds))
+        throw new ApiError(
+            423,
+            `Account is locked due to too many failed login attempts. Try again in ${Math.ceil(retryAfterSeconds / 60)} minutes`,
+            [{ lockUntil: user.lockUntil, retryAfterSeconds }]
+        )
+    }
+
+    if (!user.isActive) {
+        throw new ApiError(403, "User account is deactivated")
+    }
+
+    if (user.inviteExpiresAt) {
+        throw new ApiError(403, "Accept your invitation and choose a password before signing in")
+    }
+
+    const isPasswordValid = await user.isPasswordCorrect(password)
+
+    if (!isPasswordValid) {
+        await user.incLoginAttempts()
+        throw new ApiError(401, "Invalid user credentials")
+    }
+
+    await user.resetLoginAttempts()
+
+    const { accessToken, refreshToken } = await generateAccessAndRefreshTokens(user)
+
+    const loggedInUser = await User.findById(user._id).select("-password -refreshToken")
+
+    return res
+        .status(200)
+        .cookie("accessToken", accessToken, cookieOptions)
+        .cookie("refreshToken", refreshToken, cookieOptions)
+        .json(new ApiResponse(200, { user: toUserResponse(loggedInUser), accessToken, refreshToken }, "User logged in successfully"))
+})
+
+const logoutUser = asyncHandler(async (req, res) => {
+    await User.findByIdAndUpdate(
+        req.user._id,
+        { $unset: { refreshToken: 1 } },
+        { new: true }
+    )
+
+    return res
+        .status(200)
+        .clearCookie("accessToken", cookieOptions)
+        .clearCookie("refreshToken", cookieOptions)
+        .json(new ApiResponse(200, {}, "User logged out successfully"))
+})
+
+const refreshAccessToken = asyncHandler(async (req, res) => {
+    const incomingRefreshToken = req.cookies?.refreshToken || req.body?.refreshToken
+
+    if (!incomingRefreshToken) {
+        throw new ApiError(401, "Unauthorized request")
+    }
+
+    const decodedToken = jwt.verify(incomingRefreshToken, process.env.REFRESH_TOKEN_SECRET)
+
+    const user = await User.findById(decodedToken?._id)
+
+    if (!user || !user.isActive) {
+        throw new ApiError(401, "Invalid refresh token")
+    }
+
+    if (incomingRefreshToken !== user.refreshToken) {
+        throw new ApiError(401, "Refresh token is expired or used")
+    }
+
+    const { accessToken, refreshToken } = await generateAccessAndRefreshTokens(user)
+
+    return res
+        .status(200)
+        .cookie("accessToken", accessToken, cookieOptions)
+        .cookie("refreshToken", refreshToken, cookieOptions)
+        .json(new ApiResponse(200, { accessToken, refreshToken }, "Access token refreshed"))
+})
+
+const getCurrentUser = asyncHandler(async (req, res) => {
+    return res
+        .status(200)
+        .json(new ApiResponse(200, toUserResponse(req.user), "Current user fetched successfully"))
+})
+
+const getAllUsers = asyncHandler(async (req, res) => {
+    const paginationOptions = getPaginationOptions(req.query, { allowedSortFields: USER_SORT_FIELDS })
+
+    const filter = {}
+    if (req.query.role) filter.role = checkRole(req.query.role)
+    const isActiveValue = parseBoolean(req.query.isActive, "isActive")
+    if (isActiveValue !== undefined) filter.isActive = isActiveValue
+
+    const query = User.find(filter).select("-password -refreshToken")
+    const { docs, pagination } = await paginateQuery(query, paginationOptions)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { users: docs, pagination }, "Users fetched successfully"))
+})
+
+// There is no mail service, so the invite token is returned once for the admin to pass on
+const inviteUser = asyncHandler(async (req, res) => {
+    const { username, email, fullName, role, driverId } = req.body ?? {}
+
+    if ([username, email, fullName, role].some((field) => !field || String(field).trim() === "")) {
+        throw new ApiError(400, "Username, email, full name and role are required")
+    }
+    checkRole(role)
+    const driver = await resolveDriverLink(role, driverId)
+
+    const existedUser = await User.findOne({
+        $or: [{ username: String(username).toLowerCase() }, { email: String(email).toLowerCase() }]
+    })
+    if (existedUser) {
+        throw new ApiError(409, "User with this username or email already exists")
+    }
+
+    const user = new User({ username, email, fullName, role, driver, invitedBy: req.user._id })
+    const inviteToken = user.createInviteToken(INVITE_EXPIRY_HOURS)
+    await user.save()
+
+    const invitedUser = await User.findById(user._id).select("-password -refreshToken")
+
+    return res
+        .status(201)
+        .json(new ApiResponse(
+            201,
+            { user: invitedUser, inviteToken, inviteExpiresAt: user.inviteExpiresAt },
+            `Invitation created; it expires in ${INVITE_EXPIRY_HOURS} hours`
+        ))
+})
+
+// Replaces the token of an invitation that has not been accepted yet, including one that has expired
+const resendInvite = asyncHandler(async (req, res) => {
+    const user = await findUserOrThrow(req.params.userId)
+    if (!user.inviteExpiresAt) {
+        throw new ApiError(409, `${user.username} has already accepted their invitation`)
+    }
+    if (!user.isActive) {
+        throw new ApiError(409, `${user.username} is deactivated; activate the account before renewing the invitation`)
+    }
+
+    const inviteToken = user.createInviteToken(INVITE_EXPIRY_HOURS)
+    await user.save()
+
+    const invitedUser = await User.findById(user._id).select("-password -refreshToken")
+
+    return res
+        .status(200)
+        .json(new ApiResponse(
+            200,
+            { user: invitedUser, inviteToken, inviteExpiresAt: user.inviteExpiresAt },
+            `Invitation renewed; it expires in ${INVITE_EXPIRY_HOURS} hours`
+        ))
+})
+
+const acceptInvite = asyncHandler(async (req, res) => {
+    const { token, password } = req.body ?? {}
+
+    if (!token || !password) {
+        throw new ApiError(400, "Invitation token and password are required")
+    }
+
+    const user = await User.findOne({
+        inviteToken: User.hashInviteToken(token),
+        inviteExpiresAt: { $gt: new Date() }
+    })
+    if (!user || !user.isActive) {
+        throw new ApiError(400, "Invitation is invalid or has expired")
+    }
+
+    user.password = password
+    user.inviteToken = undefined
+    user.inviteExpiresAt = undefined
+    await user.save()
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { username: user.username }, "Invitation accepted, you can now sign in"))
+})
+
+const updateUserRole = asyncHandler(async (req, res) => {
+    const user = await findUserOrThrow(req.params.userId)
+    ensureNotSelf(req, user, "change the role of")
+
+    user.role = checkRole(req.body?.role)
+    user.driver = await resolveDriverLink(user.role, req.body?.driverId, user._id)
+    await user.save()
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, user, `${user.username}'s role changed to ${user.role}`))
+})
+
+// Also drops the refresh token, so the user is signed out once their access token expires
+const deactivateUser = asyncHandler(async (req, res) => {
+    const user = await findUserOrThrow(req.params.userId)
+    ensureNotSelf(req, user, "deactivate")
+
+    user.isActive = false
+    // refreshToken is not selected, so it has to be marked for the save to unset it
+    user.refreshToken = undefined
+    user.markModified("refreshToken")
+    await user.save()
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, user, `${user.username} has been deactivated`))
+})
+
+const activateUser = asyncHandler(async (req, res) => {
+    const user = await findUserOrThrow(req.params.userId)
+
+    user.isActive = true
+    await user.save()
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, user, `${user.username} has been activated`))
+})
+
+export {
+    registerUser,
+    loginUser,
+    logoutUser,
+    refreshAccessToken,
+    getCurrentUser,
+    getAllUsers,
+    inviteUser,
+    resendInvite,
+    acceptInvite,
+    updateUserRole,
+    deactivateUser,
+    activateUser
+}
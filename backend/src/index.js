@@ -1,12 +1,25 @@
 import dotenv from "dotenv"
 import connectDB from "./db/index.js";
 import {app} from './app.js'
+import { failInterruptedSimulations } from "./services/simulation.service.js";
+import { RuleSet } from "./models/ruleSet.model.js";
+import { scheduleHoursRollover } from "./services/hoursOfService.service.js";
 dotenv.config({
     path: './.env'
 })
 
 connectDB()
-.then(() => {
+.then(async () => {
+    const rules = await RuleSet.loadActiveRules()
+    console.log(`Business rules version ${rules.version} is active`);
+
+    const interrupted = await failInterruptedSimulations()
+    if (interrupted > 0) {
+        console.log(`Marked ${interrupted} interrupted simulation(s) as failed`);
+    }
+
+    await scheduleHoursRollover()
+
     app.listen(process.env.PORT || 8000, () => {
         console.log(`⚙️ Server is running at port : ${process.env.PORT}`);
     })
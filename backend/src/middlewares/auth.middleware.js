@@ -0,0 +1,43 @@
+import jwt from "jsonwebtoken"
+import { ApiError } from "../utils/ApiError.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { User } from "../models/user.model.js"
+import { setRequestActor } from "../utils/requestContext.js"
+import { hasPermission } from "../utils/permissions.js"
+
+export const verifyJWT = asyncHandler(async (req, _, next) => {
+    const token = req.cookies?.accessToken || req.header("Authorization")?.replace("Bearer ", "")
+
+    if (!token) {
+        throw new ApiError(401, "Unauthorized request")
+    }
+
+    // Expired or malformed tokens throw here and are turned into 401s by the error middleware
+    const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET)
+
+    const user = await User.findById(decodedToken?._id).select("-password -refreshToken")
+
+    if (!user || !user.isActive) {
+        throw new ApiError(401, "Invalid access token")
+    }
+
+    // Permissions come from the token's role claim; after a re-role the old token is refused, and the
+    // client's refresh picks up a token with the new role
+    if (decodedToken.role !== user.role) {
+        throw new ApiError(401, "Access token role is out of date")
+    }
+
+    req.user = user
+    req.role = decodedToken.role
+    setRequestActor(user._id)
+    next()
+})
+
+// Must run after verifyJWT; every listed permission is required
+export const authorize = (...permissions) => (req, _, next) => {
+    const missing = permissions.filter(permission => !hasPermission(req.role, permission))
+    if (missing.length > 0) {
+        throw new ApiError(403, `Your role '${req.role}' does not allow this action (requires ${missing.join(", ")})`)
+    }
+    next()
+}
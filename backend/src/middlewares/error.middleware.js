@@ -0,0 +1,96 @@
+import mongoose from "mongoose"
+import jwt from "jsonwebtoken"
+import multer from "multer"
+import { ApiError } from "../utils/ApiError.js"
+
+const DUPLICATE_KEY_ERROR_CODE = 11000
+
+const normalizeError = (err) => {
+    if (err instanceof ApiError) {
+        return err
+    }
+
+    if (err instanceof mongoose.Error.ValidationError) {
+        const errors = Object.values(err.errors).map(fieldError => ({
+            field: fieldError.path,
+            message: fieldError.name === "CastError" ?
+                `Invalid value for ${fieldError.path}` : fieldError.message
+        }))
+        return new ApiError(400, "Validation failed", errors, err.stack)
+    }
+
+    if (err instanceof mongoose.Error.CastError) {
+        return new ApiError(
+            400,
+            `Invalid value for ${err.path}`,
+            [{ field: err.path, message: `Cannot cast '${err.value}' to ${err.kind}` }],
+            err.stack
+        )
+    }
+
+    if (err?.code === DUPLICATE_KEY_ERROR_CODE) {
+        const duplicates = Object.entries(err.keyValue || {})
+        const errors = duplicates.map(([field, value]) => ({
+            field,
+            message: `${field} '${value}' already exists`
+        }))
+        const message = duplicates.length > 0 ?
+            `Duplicate value for ${duplicates.map(([field]) => field).join(", ")}` :
+            "Duplicate value"
+        return new ApiError(409, message, errors, err.stack)
+    }
+
+    if (err instanceof jwt.TokenExpiredError) {
+        return new ApiError(401, "Token has expired", [], err.stack)
+    }
+
+    if (err instanceof jwt.JsonWebTokenError) {
+        return new ApiError(401, "Invalid token", [], err.stack)
+    }
+
+    if (err instanceof multer.MulterError) {
+        return new ApiError(400, err.message, [{ field: err.field, message: err.code }], err.stack)
+    }
+
+    // Malformed JSON bodies and other client errors raised by body parsers carry their own status
+    if (err?.type === "entity.parse.failed" || err?.type === "entity.too.large") {
+        return new ApiError(err.status, err.message, [], err.stack)
+    }
+
+    return new ApiError(err?.statusCode || err?.status || 500, err?.message || "Internal server error", [], err?.stack)
+}
+
+const notFound = (req, _, next) => {
+    next(new ApiError(404, `Route not found: ${req.method} ${req.originalUrl}`))
+}
+
+// Express recognises error middleware by its four arguments, so next must stay in the signature
+const errorHandler = (err, req, res, next) => {
+    // A streamed download that fails halfway cannot be turned into JSON; Express closes the connection instead
+    if (res.headersSent) {
+        return next(err)
+    }
+
+    const error = normalizeError(err)
+    const isProduction = process.env.NODE_ENV === "production"
+
+    if (error.statusCode >= 500) {
+        console.error(err)
+    }
+
+    return res
+        .status(error.statusCode)
+        .json({
+            statusCode: error.statusCode,
+            data: null,
+            message: isProduction && error.statusCode >= 500 ? "Internal server error" : error.message,
+            errors: error.errors,
+            success: false,
+            ...(isProduction ? {} : { stack: error.stack })
+        })
+}
+
+export {
+    notFound,
+    errorHandler
+}
@@ -0,0 +1,19 @@
+import multer from "multer"
+import { ApiError } from "../utils/ApiError.js"
+
+const MAX_CSV_SIZE_BYTES = 5 * 1024 * 1024
+
+export const uploadCsv = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_CSV_SIZE_BYTES },
+    fileFilter: (req, file, cb) => {
+        const isCsv = file.mimetype === "text/csv" ||
+            file.mimetype === "application/vnd.ms-excel" ||
+            file.originalname.toLowerCase().endsWith(".csv")
+
+        if (!isCsv) {
+            return cb(new ApiError(400, "Only CSV files can be imported"))
+        }
+        cb(null, true)
+    }
+})
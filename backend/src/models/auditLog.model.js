@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+export const AUDITED_ENTITIES = ['Driver', 'Route', 'Order', 'User', 'Simulation'];
+export const AUDIT_OPERATIONS = ['create', 'update', 'delete'];
+
+const fieldChangeSchema = new mongoose.Schema({
+    field: {
+        type: String,
+        required: true
+    },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const auditLogSchema = new mongoose.Schema({
+    entity: {
+        type: String,
+        enum: AUDITED_ENTITIES,
+        required: [true, "Entity is required"]
+    },
+    entityId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: [true, "Entity id is required"]
+    },
+    operation: {
+        type: String,
+        enum: AUDIT_OPERATIONS,
+        required: [true, "Operation is required"]
+    },
+    // null for changes made by the server itself, such as the scheduled hours rollover
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    changes: {
+        type: [fieldChangeSchema],
+        default: []
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+export const AuditLog = mongoose.model("AuditLog", auditLogSchema);
@@ -0,0 +1,162 @@
+import { AuditLog } from './auditLog.model.js';
+import { getRequestActor } from '../utils/requestContext.js';
+
+const REDACTED_FIELDS = ['password', 'refreshToken', 'inviteToken'];
+const REDACTED = '[REDACTED]';
+const UNAUDITED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+const UPDATE_QUERIES = ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'];
+const DELETE_QUERIES = ['deleteOne', 'deleteMany', 'findOneAndDelete'];
+const SINGLE_DOCUMENT_QUERIES = ['updateOne', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'findOneAndDelete'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Round-tripped through JSON so ObjectIds and dates compare, and are stored, the same way before and after
+const toAuditValues = (doc, exclude) => {
+    const raw = typeof doc.toObject === 'function' ?
+        doc.toObject({ depopulate: true, virtuals: false, getters: false, transform: false }) : doc;
+    const values = JSON.parse(JSON.stringify(raw ?? {}));
+    [...UNAUDITED_FIELDS, ...exclude].forEach(field => delete values[field]);
+    return values;
+};
+
+const redact = (field, value) => {
+    const name = field.split('.').pop();
+    if (!REDACTED_FIELDS.includes(name)) return value ?? null;
+    return value === undefined || value === null ? null : REDACTED;
+};
+
+// Nested objects are compared field by field; arrays are compared as a whole
+const diffValues = (before = {}, after = {}, prefix = '') => {
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...fields].flatMap(key => {
+        const field = prefix ? `${prefix}.${key}` : key;
+        if (isPlainObject(before[key]) && isPlainObject(after[key])) {
+            return diffValues(before[key], after[key], field);
+        }
+        if (JSON.stringify(before[key] ?? null) === JSON.stringify(after[key] ?? null)) return [];
+        if (isPlainObject(before[key]) || isPlainObject(after[key])) {
+            return diffValues(before[key] ?? {}, after[key] ?? {}, field);
+        }
+        return [{ field, before: redact(field, before[key]), after: redact(field, after[key]) }];
+    });
+};
+
+// Top-level fields an update can change, or null when that cannot be told (replacements, pipeline updates)
+const updatedFields = (update, replaces) => {
+    if (replaces || !isPlainObject(update)) return null;
+    const fields = new Set();
+    for (const [key, value] of Object.entries(update)) {
+        const paths = key.startsWith('$') ? Object.keys(isPlainObject(value) ? value : {}) : [key];
+        paths.forEach(path => fields.add(path.split('.')[0]));
+    }
+    return [...fields];
+};
+
+// A failed audit write is logged but never fails the change it describes
+const recordChanges = async (entity, records) => {
+    const actor = getRequestActor();
+    const entries = records
+        .map(({ entityId, operation, before, after }) => ({
+            entity,
+            entityId,
+            operation,
+            actor,
+            changes: diffValues(before, after)
+        }))
+        .filter(entry => entry.operation !== 'update' || entry.changes.length > 0);
+    if (entries.length === 0) return;
+
+    try {
+        await AuditLog.insertMany(entries);
+    } catch (error) {
+        console.error(`Audit log write for ${entity} failed`, error);
+    }
+};
+
+const recordUpdates = (entity, exclude, before, after) => {
+    const afterById = new Map(after.map(doc => [String(doc._id), doc]));
+    return recordChanges(entity, before.map(doc => ({
+        entityId: doc._id,
+        operation: 'update',
+        before: toAuditValues(doc, exclude),
+        after: toAuditValues(afterById.get(String(doc._id)), exclude)
+    })));
+};
+
+/**
+ * Records every create, update and delete of the model's documents in AuditLog, with the acting user taken from
+ * the request context. Covers save() and the update/delete queries (including document.updateOne/deleteOne).
+ * bulkWrite and insertMany are not seen by the hooks; wrap them in Model.auditChanges() instead.
+ * `exclude` lists top-level fields that are too large or too noisy to diff.
+ */
+export const auditLogPlugin = (schema, { entity, exclude = [] }) => {
+    const fullProjection = Object.fromEntries(exclude.map(field => [field, 0]));
+    const loadedBefore = new WeakMap();
+
+    // Updates only load the audited fields they touch, so wide updateMany calls stay small; null means none
+    const projectionFor = (fields) => {
+        if (!fields) return fullProjection;
+        const audited = fields.filter(field => !UNAUDITED_FIELDS.includes(field) && !exclude.includes(field));
+        return audited.length > 0 ? Object.fromEntries(audited.map(field => [field, 1])) : null;
+    };
+
+    // One find before and one after a batched write to the given documents, instead of one query per document
+    schema.statics.auditChanges = async function(ids, fields, write) {
+        const projection = projectionFor(fields);
+        if (!projection || ids.length === 0) return write();
+
+        const before = await this.find({ _id: { $in: ids } }, projection).lean();
+        const result = await write();
+        const after = await this.find({ _id: { $in: ids } }, projection).lean();
+        await recordUpdates(entity, exclude, before, after);
+        return result;
+    };
+
+    schema.post('init', function() {
+        this.$locals.auditValues = toAuditValues(this, exclude);
+    });
+
+    schema.pre('save', function(next) {
+        this.$locals.auditOperation = this.isNew ? 'create' : 'update';
+        next();
+    });
+
+    schema.post('save', async function() {
+        const operation = this.$locals.auditOperation;
+        const before = operation === 'create' ? {} : this.$locals.auditValues;
+        const after = toAuditValues(this, exclude);
+        this.$locals.auditValues = after;
+
+        await recordChanges(entity, [{ entityId: this._id, operation, before, after }]);
+    });
+
+    schema.pre([...UPDATE_QUERIES, ...DELETE_QUERIES], { document: false, query: true }, async function() {
+        const projection = DELETE_QUERIES.includes(this.op) ?
+            fullProjection : projectionFor(updatedFields(this.getUpdate(), this.op === 'replaceOne'));
+        if (!projection) return;
+
+        const query = this.model.find(this.getFilter(), projection).lean();
+        if (SINGLE_DOCUMENT_QUERIES.includes(this.op)) {
+            query.sort(this.getOptions().sort).limit(1);
+        }
+        loadedBefore.set(this, { projection, docs: await query });
+    });
+
+    schema.post(UPDATE_QUERIES, { document: false, query: true }, async function() {
+        const { projection, docs: before = [] } = loadedBefore.get(this) ?? {};
+        if (before.length === 0) return;
+
+        const after = await this.model.find({ _id: { $in: before.map(doc => doc._id) } }, projection).lean();
+        await recordUpdates(entity, exclude, before, after);
+    });
+
+    schema.post(DELETE_QUERIES, { document: false, query: true }, async function() {
+        const { docs: before = [] } = loadedBefore.get(this) ?? {};
+        await recordChanges(entity, before.map(doc => ({
+            entityId: doc._id,
+            operation: 'delete',
+            before: toAuditValues(doc, exclude),
+            after: {}
+        })));
+    });
+};
@@ -1,4 +1,40 @@
 import mongoose from 'mongoose';
+import { auditLogPlugin } from './auditLog.plugin.js';
+
+const OVERWORK_HOURS_PER_DAY = 8;
+
+// 'exhausted' after three or more overworked days in the past week, 'tired' after one
+const getFatigueLevelForWeek = (pastWeekHours = []) => {
+    const overworkDays = pastWeekHours.filter(hours => hours > OVERWORK_HOURS_PER_DAY).length;
+    if (overworkDays >= 3) return 'exhausted';
+    if (overworkDays >= 1) return 'tired';
+    return 'normal';
+};
+
+// The same rule as an aggregation expression, for statistics grouped in the database
+const fatigueLevelExpression = {
+    $let: {
+        vars: {
+            overworkDays: {
+                $size: {
+                    $filter: {
+                        input: { $ifNull: ['$pastWeekHours', []] },
+                        cond: { $gt: ['$$this', OVERWORK_HOURS_PER_DAY] }
+                    }
+                }
+            }
+        },
+        in: {
+            $switch: {
+                branches: [
+                    { case: { $gte: ['$$overworkDays', 3] }, then: 'exhausted' },
+                    { case: { $gte: ['$$overworkDays', 1] }, then: 'tired' }
+                ],
+                default: 'normal'
+            }
+        }
+    }
+};
 
 const driverSchema = new mongoose.Schema({
     name: {
@@ -53,6 +89,11 @@ const driverSchema = new mongoose.Schema({
         type: String,
         enum: ['normal', 'tired', 'exhausted'],
         default: 'normal'
+    },
+    // Last end-of-day boundary that moved currentDayHours into pastWeekHours
+    hoursRolledOverAt: {
+        type: Date,
+        default: Date.now
     }
 }, {
     timestamps: true
@@ -71,11 +112,16 @@ driverSchema.virtual('successRate').get(function() {
 });
 
 driverSchema.virtual('isFatigued').get(function() {
-    return this.pastWeekHours.some(hours => hours > 8);
+    return this.pastWeekHours.some(hours => hours > OVERWORK_HOURS_PER_DAY);
 });
 
 driverSchema.methods.workedOvertimeYesterday = function() {
-    return this.pastWeekHours[6] > 8;
+    return this.pastWeekHours[6] > OVERWORK_HOURS_PER_DAY;
+};
+
+// Derived from pastWeekHours, so it is correct even for drivers whose stored fatigueLevel was never recomputed
+driverSchema.methods.getFatigueLevel = function() {
+    return getFatigueLevelForWeek(this.pastWeekHours);
 };
 
 driverSchema.methods.updateDeliveryStats = function(wasOnTime) {
@@ -90,18 +136,10 @@ driverSchema.methods.updateDeliveryStats = function(wasOnTime) {
     return this.save();
 };
 
-driverSchema.methods.updateDailyHours = function(hoursWorked) {
-    this.pastWeekHours.shift();
-    this.pastWeekHours.push(hoursWorked);
-    
-    const overworkDays = this.pastWeekHours.filter(h => h > 8).length;
-    if (overworkDays >= 3) {
-        this.fatigueLevel = 'exhausted';
-    } else if (overworkDays >= 1) {
-        this.fatigueLevel = 'tired';  
-    } else {
-        this.fatigueLevel = 'normal';
-    }
+// Days without work (e.g. while the server was down) are recorded as 0 hours after the worked day
+driverSchema.methods.updateDailyHours = function(hoursWorked, idleDays = 0) {
+    const days = [Math.min(24, Math.round(hoursWorked * 100) / 100), ...Array(idleDays).fill(0)];
+    this.pastWeekHours = [...this.pastWeekHours, ...days].slice(-7);
     
     return this.save();
 };
@@ -113,7 +151,58 @@ driverSchema.statics.findAvailableDrivers = function(maxHours) {
     }).sort({ efficiency: -1, onTimeDeliveries: -1 });
 };
 
+// hoursByDriver: [{ driver, hours }] as returned by the simulation engine
+driverSchema.statics.addWorkedHours = function(hoursByDriver) {
+    const operations = hoursByDriver
+        .filter(({ hours }) => hours > 0)
+        .map(({ driver, hours }) => ({
+            updateOne: {
+                filter: { _id: driver },
+                update: { $inc: { currentDayHours: hours } }
+            }
+        }));
+    if (operations.length === 0) return Promise.resolve(null);
+
+    // bulkWrite bypasses the audit hooks, so the changes are recorded around it
+    const ids = operations.map(({ updateOne }) => updateOne.filter._id);
+    return this.auditChanges(ids, ['currentDayHours'], () => this.bulkWrite(operations));
+};
+
+// Grouped by the level derived from pastWeekHours: the stored fatigueLevel is only refreshed when a driver is
+// saved, so it lags behind bulk hour updates
+driverSchema.statics.getDriverStatistics = function(match = {}) {
+    return this.aggregate([
+        { $match: { isActive: true, ...match } },
+        {
+            $group: {
+                _id: fatigueLevelExpression,
+                count: { $sum: 1 },
+                avgSuccessRate: {
+                    $avg: {
+                        $cond: [
+                            { $gt: ['$totalDeliveries', 0] },
+                            { $multiply: [{ $divide: ['$onTimeDeliveries', '$totalDeliveries'] }, 100] },
+                            0
+                        ]
+                    }
+                },
+                avgEfficiency: { $avg: '$efficiency' },
+                totalDeliveries: { $sum: '$totalDeliveries' }
+            }
+        }
+    ]);
+};
+
+driverSchema.pre('save', function(next) {
+    if (this.isModified('pastWeekHours')) {
+        this.fatigueLevel = this.getFatigueLevel();
+    }
+    next();
+});
+
 driverSchema.set('toJSON', { virtuals: true });
 driverSchema.set('toObject', { virtuals: true });
 
+driverSchema.plugin(auditLogPlugin, { entity: 'Driver' });
+
 export const Driver = mongoose.model("Driver", driverSchema);
@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+import { isValidCoordinates } from '../utils/geo.js';
+
+// GeoJSON Point shared by routes and orders; coordinates are [longitude, latitude]
+export const pointSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: {
+            values: ['Point'],
+            message: "Location type must be 'Point'"
+        },
+        default: 'Point'
+    },
+    coordinates: {
+        type: [Number],
+        required: [true, "Coordinates are required"],
+        validate: {
+            validator: isValidCoordinates,
+            message: "Coordinates must be [longitude, latitude] with longitude between -180 and 180 and latitude between -90 and 90"
+        }
+    }
+}, {
+    _id: false
+});
@@ -1,4 +1,50 @@
 import mongoose from 'mongoose';
+import { auditLogPlugin } from './auditLog.plugin.js';
+import { getActiveRules } from './ruleSet.model.js';
+import { MINUTES_PER_DAY, timeToMinutes, minutesToTime } from '../utils/time.js';
+import { pointSchema } from './geoPoint.schema.js';
+import { Driver } from './driver.model.js';
+import { Route } from './route.model.js';
+import { ApiError } from '../utils/ApiError.js';
+
+export const ORDER_STATUSES = ['pending', 'assigned', 'in_transit', 'delivered', 'cancelled', 'failed'];
+
+// Delivered, cancelled and failed are final
+export const ORDER_STATUS_TRANSITIONS = {
+    pending: ['assigned', 'cancelled'],
+    assigned: ['in_transit', 'cancelled'],
+    in_transit: ['delivered', 'failed'],
+    delivered: [],
+    cancelled: [],
+    failed: []
+};
+
+const statusChangeSchema = new mongoose.Schema({
+    status: {
+        type: String,
+        enum: ORDER_STATUSES,
+        required: true
+    },
+    from: {
+        type: String,
+        enum: ORDER_STATUSES,
+        default: null
+    },
+    at: {
+        type: Date,
+        default: Date.now
+    },
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: [500, "Reason cannot exceed 500 characters"]
+    }
+}, { _id: false });
 
 const orderSchema = new mongoose.Schema({
     orderId: {
@@ -26,7 +72,7 @@ const orderSchema = new mongoose.Schema({
     status: {
         type: String,
         enum: {
-            values: ['pending', 'assigned', 'in_transit', 'delivered', 'cancelled', 'failed'],
+            values: ORDER_STATUSES,
             message: "Invalid order status"
         },
         default: 'pending'
@@ -69,6 +115,10 @@ const orderSchema = new mongoose.Schema({
         match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, "Actual delivery time must be in HH:MM format"],
         default: null
     },
+    deliveryLocation: {
+        type: pointSchema,
+        default: undefined
+    },
     deliveryNotes: {
         type: String,
         maxlength: [500, "Delivery notes cannot exceed 500 characters"],
@@ -84,6 +134,10 @@ const orderSchema = new mongoose.Schema({
         min: [1, "Rating must be at least 1"],
         max: [5, "Rating cannot exceed 5"],
         default: null
+    },
+    statusHistory: {
+        type: [statusChangeSchema],
+        default: []
     }
 }, {
     timestamps: true
@@ -95,51 +149,44 @@ orderSchema.index({ assignedDriver: 1 });
 orderSchema.index({ routeId: 1 });
 orderSchema.index({ valueRs: 1 });
 orderSchema.index({ createdAt: -1 });
+orderSchema.index({ deliveryLocation: '2dsphere' });
 
 orderSchema.virtual('isHighValue').get(function() {
-    return this.valueRs > 1000;
+    return this.valueRs > getActiveRules().highValueThreshold;
 });
 
 orderSchema.virtual('deliveryTimeInMinutes').get(function() {
-    const [hours, minutes] = this.deliveryTime.split(':').map(Number);
-    return hours * 60 + minutes;
+    return timeToMinutes(this.deliveryTime);
 });
 
 orderSchema.virtual('actualDeliveryTimeInMinutes').get(function() {
     if (!this.actualDeliveryTime) return null;
-    const [hours, minutes] = this.actualDeliveryTime.split(':').map(Number);
-    return hours * 60 + minutes;
+    return timeToMinutes(this.actualDeliveryTime);
 });
 
 orderSchema.methods.timeToMinutes = function(timeStr) {
-    const [hours, minutes] = timeStr.split(':').map(Number);
-    return hours * 60 + minutes;
+    return timeToMinutes(timeStr);
 };
 
 orderSchema.methods.minutesToTime = function(minutes) {
-    const hrs = Math.floor(minutes / 60);
-    const mins = minutes % 60;
-    return `${hrs.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
+    return minutesToTime(minutes);
 };
 
-orderSchema.methods.calculateProfit = function(route, isOnTime = null) {
+orderSchema.methods.calculateProfit = function(route, isOnTime = null, rules = getActiveRules()) {
     let penalty = 0;
     let bonus = 0;
     let fuelCost = 0;
 
     if (route) {
-        fuelCost = route.distanceKm * 5; // Base cost ₹5/km
-        if (route.trafficLevel === 'High') {
-            fuelCost += route.distanceKm * 2; // +₹2/km surcharge
-        }
+        fuelCost = route.calculateFuelCost(rules).totalCost;
     }
 
     if (isOnTime === false) {
-        penalty = 50; // ₹50 penalty for late delivery
+        penalty = rules.latePenalty;
     }
 
-    if (this.valueRs > 1000 && isOnTime === true) {
-        bonus = this.valueRs * 0.1; // 10% bonus
+    if (this.valueRs > rules.highValueThreshold && isOnTime === true) {
+        bonus = this.valueRs * rules.highValueBonusRate;
     }
 
     const profit = this.valueRs + bonus - penalty - fuelCost;
@@ -165,20 +212,63 @@ orderSchema.methods.calculateProfit = function(route, isOnTime = null) {
     };
 };
 
-orderSchema.methods.assignToDriver = function(driverId, routeObjectId) {
+// Compares a clock time with the promised delivery time, reading it as the nearest occurrence so deliveries
+// just after midnight are late rather than a day early
+orderSchema.methods.wasDeliveredOnTime = function(actualDeliveryTime, rules = getActiveRules()) {
+    let delay = timeToMinutes(actualDeliveryTime) - timeToMinutes(this.deliveryTime);
+    if (delay > MINUTES_PER_DAY / 2) delay -= MINUTES_PER_DAY;
+    if (delay <= -MINUTES_PER_DAY / 2) delay += MINUTES_PER_DAY;
+    return delay <= rules.gracePeriodMinutes;
+};
+
+orderSchema.methods.canTransitionTo = function(status) {
+    return ORDER_STATUS_TRANSITIONS[this.status]?.includes(status) ?? false;
+};
+
+// Only sets the status; the transition is checked and recorded in statusHistory when the order is saved
+orderSchema.methods.transitionTo = function(status, { actor = null, reason } = {}) {
+    if (!this.canTransitionTo(status)) {
+        throw new ApiError(409, `Order #${this.orderId} cannot move from '${this.status}' to '${status}'`);
+    }
+    this.$locals.statusChange = { actor, reason };
+    this.status = status;
+    return this;
+};
+
+orderSchema.methods.assignToDriver = function(driverId, routeObjectId, change = {}) {
+    this.transitionTo('assigned', change);
     this.assignedDriver = driverId;
     this.assignedRoute = routeObjectId;
-    this.status = 'assigned';
     return this.save();
 };
 
-orderSchema.methods.markAsDelivered = function(actualDeliveryTime, wasOnTime, customerRating = null) {
-    this.status = 'delivered';
+// deliveryMinutes is how long the delivery took on the route; without it the route's average time is left as is
+orderSchema.methods.markAsDelivered = async function(actualDeliveryTime, wasOnTime, customerRating = null,
+    { deliveryMinutes = null, ...change } = {}) {
+    this.transitionTo('delivered', change);
     this.actualDeliveryTime = actualDeliveryTime;
     this.isOnTime = wasOnTime;
     if (customerRating) {
         this.customerRating = customerRating;
     }
+    await this.save();
+
+    // Delivered is final, so this runs once per order
+    const [driver, route] = await Promise.all([
+        this.assignedDriver ? Driver.findById(this.assignedDriver) : null,
+        this.assignedRoute ? Route.findById(this.assignedRoute) : Route.findOne({ routeId: this.routeId })
+    ]);
+    await Promise.all([
+        driver?.updateDeliveryStats(wasOnTime),
+        route?.updateRouteStats(deliveryMinutes)
+    ]);
+    return this;
+};
+
+// Cancelled and failed orders keep the reason in their delivery notes as well as in statusHistory
+orderSchema.methods.closeWithReason = function(status, reason, change = {}) {
+    this.transitionTo(status, { ...change, reason });
+    this.deliveryNotes = reason;
     return this.save();
 };
 
@@ -186,15 +276,16 @@ orderSchema.statics.findByStatus = function(status) {
     return this.find({ status }).populate('assignedDriver assignedRoute');
 };
 
-orderSchema.statics.findHighValueOrders = function(minValue = 1000) {
+orderSchema.statics.findHighValueOrders = function(minValue = getActiveRules().highValueThreshold) {
     return this.find({ 
         valueRs: { $gt: minValue },
         status: { $ne: 'cancelled' }
     }).sort({ valueRs: -1 });
 };
 
-orderSchema.statics.getOrderStatistics = function() {
+orderSchema.statics.getOrderStatistics = function(match = {}) {
     return this.aggregate([
+        { $match: match },
         {
             $group: {
                 _id: '$status',
@@ -209,9 +300,37 @@ orderSchema.statics.getOrderStatistics = function() {
     ]);
 };
 
-orderSchema.statics.getDeliveryMetrics = function() {
+// Orders have no area of their own; they take the area of their route, and routes without one are grouped as null
+orderSchema.statics.getOrdersByArea = function(match = {}) {
     return this.aggregate([
-        { $match: { isOnTime: { $ne: null } } },
+        { $match: match },
+        {
+            $lookup: {
+                from: 'routes',
+                localField: 'routeId',
+                foreignField: 'routeId',
+                as: 'route'
+            }
+        },
+        {
+            $group: {
+                _id: { $ifNull: [{ $first: '$route.area' }, null] },
+                orderCount: { $sum: 1 },
+                routeIds: { $addToSet: '$routeId' },
+                totalValue: { $sum: '$valueRs' },
+                totalProfit: { $sum: '$profit' },
+                onTimeDeliveries: { $sum: { $cond: [{ $eq: ['$isOnTime', true] }, 1, 0] } },
+                lateDeliveries: { $sum: { $cond: [{ $eq: ['$isOnTime', false] }, 1, 0] } },
+                withLocation: { $sum: { $cond: [{ $ifNull: ['$deliveryLocation', false] }, 1, 0] } }
+            }
+        },
+        { $sort: { totalProfit: -1 } }
+    ]);
+};
+
+orderSchema.statics.getDeliveryMetrics = function(match = {}) {
+    return this.aggregate([
+        { $match: { isOnTime: { $ne: null }, ...match } },
         {
             $group: {
                 _id: null,
@@ -239,7 +358,37 @@ orderSchema.statics.getDeliveryMetrics = function() {
     ]);
 };
 
+orderSchema.post('init', function() {
+    this.$locals.persistedStatus = this.status;
+});
+
+// Enforces the transition table for every save, including plain status updates, and records each change
+orderSchema.pre('validate', function(next) {
+    const change = this.$locals.statusChange || {};
+    const from = this.isNew ? null : this.$locals.persistedStatus;
+
+    if (this.isNew || this.isModified('status')) {
+        if (!this.isNew && from !== this.status && !ORDER_STATUS_TRANSITIONS[from]?.includes(this.status)) {
+            return next(new ApiError(409, `Order #${this.orderId} cannot move from '${from}' to '${this.status}'`));
+        }
+        // validate() can run more than once before a save, so the same change is only recorded once
+        const last = this.statusHistory.at(-1);
+        const isRecorded = last && last.status === this.status && last.from === from;
+        if (from !== this.status && !isRecorded) {
+            this.statusHistory.push({ status: this.status, from, actor: change.actor, reason: change.reason });
+        }
+    }
+    next();
+});
+
+orderSchema.post('save', function() {
+    this.$locals.persistedStatus = this.status;
+    delete this.$locals.statusChange;
+});
+
 orderSchema.set('toJSON', { virtuals: true });
 orderSchema.set('toObject', { virtuals: true });
 
+orderSchema.plugin(auditLogPlugin, { entity: 'Order', exclude: ['statusHistory'] });
+
 export const Order = mongoose.model("Order", orderSchema);
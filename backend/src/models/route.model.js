@@ -1,4 +1,8 @@
 import mongoose from 'mongoose';
+import { auditLogPlugin } from './auditLog.plugin.js';
+import { getActiveRules } from './ruleSet.model.js';
+import { pointSchema } from './geoPoint.schema.js';
+import { pathDistanceKm } from '../utils/geo.js';
 
 const routeSchema = new mongoose.Schema({
     routeId: {
@@ -41,6 +45,15 @@ const routeSchema = new mongoose.Schema({
         enum: ['easy', 'medium', 'hard'],
         default: 'medium'
     },
+    // Optional coordinates; when the depot and at least one stop are set, distanceKm is computed from them
+    depot: {
+        type: pointSchema,
+        default: undefined
+    },
+    stops: {
+        type: [pointSchema],
+        default: undefined
+    },
     averageDeliveryTime: {
         type: Number,
         default: 0
@@ -58,13 +71,14 @@ routeSchema.index({ routeId: 1 }, { unique: true });
 routeSchema.index({ isActive: 1 });
 routeSchema.index({ trafficLevel: 1 });
 routeSchema.index({ distanceKm: 1 });
+routeSchema.index({ depot: '2dsphere' });
 
 routeSchema.virtual('baseFuelCost').get(function() {
-    return this.distanceKm * 5; // ₹5/km base cost
+    return this.calculateFuelCost().baseCost;
 });
 
 routeSchema.virtual('trafficSurcharge').get(function() {
-    return this.trafficLevel === 'High' ? this.distanceKm * 2 : 0;
+    return this.calculateFuelCost().trafficSurcharge;
 });
 
 routeSchema.virtual('totalFuelCost').get(function() {
@@ -72,12 +86,13 @@ routeSchema.virtual('totalFuelCost').get(function() {
 });
 
 routeSchema.virtual('allowedDeliveryTime').get(function() {
-    return this.baseTimeMin + 10;
+    return this.baseTimeMin + getActiveRules().gracePeriodMinutes;
 });
 
-routeSchema.methods.calculateFuelCost = function() {
-    const baseCost = this.distanceKm * 5; // ₹5/km
-    const trafficSurcharge = this.trafficLevel === 'High' ? this.distanceKm * 2 : 0; // +₹2/km if high traffic
+// Every rule-based method takes the rules as its last argument so simulations can apply the set they recorded
+routeSchema.methods.calculateFuelCost = function(rules = getActiveRules()) {
+    const baseCost = this.distanceKm * rules.fuelCostPerKm;
+    const trafficSurcharge = this.trafficLevel === 'High' ? this.distanceKm * rules.highTrafficSurchargePerKm : 0;
     return {
         baseCost,
         trafficSurcharge,
@@ -85,32 +100,42 @@ routeSchema.methods.calculateFuelCost = function() {
     };
 };
 
-routeSchema.methods.calculateDeliveryTime = function(driverFatigued = false) {
+// Slowdown for a fatigue level; `true` is the old single flag and counts as 'tired'.
+// Rules recorded before graded fatigue have no exhausted multiplier, so 'exhausted' falls back to the tired one.
+const getFatigueMultiplier = (fatigue, rules) => {
+    if (fatigue === 'exhausted') {
+        return rules.exhaustedSlowdownMultiplier ?? rules.fatigueSlowdownMultiplier;
+    }
+    if (fatigue === 'tired' || fatigue === true) {
+        return rules.fatigueSlowdownMultiplier;
+    }
+    return 1;
+};
+
+routeSchema.methods.calculateDeliveryTime = function(driverFatigue = false, rules = getActiveRules()) {
     let deliveryTime = this.baseTimeMin;
     
-    if (driverFatigued) {
-        deliveryTime = Math.ceil(deliveryTime * 1.3);
+    const fatigueMultiplier = getFatigueMultiplier(driverFatigue, rules);
+    if (fatigueMultiplier !== 1) {
+        deliveryTime = Math.ceil(deliveryTime * fatigueMultiplier);
     }
     
-    const trafficMultiplier = {
-        'Low': 1.0,
-        'Medium': 1.1,
-        'High': 1.2
-    };
-    
-    deliveryTime = Math.ceil(deliveryTime * trafficMultiplier[this.trafficLevel]);
+    deliveryTime = Math.ceil(deliveryTime * rules.trafficMultipliers[this.trafficLevel]);
     
     return deliveryTime;
 };
 
-routeSchema.methods.isDeliveryOnTime = function(actualDeliveryTimeMin, driverFatigued = false) {
-    const expectedTime = this.calculateDeliveryTime(driverFatigued);
-    const allowedTime = expectedTime + 10; 
+routeSchema.methods.isDeliveryOnTime = function(actualDeliveryTimeMin, driverFatigue = false, rules = getActiveRules()) {
+    const expectedTime = this.calculateDeliveryTime(driverFatigue, rules);
+    const allowedTime = expectedTime + rules.gracePeriodMinutes;
     return actualDeliveryTimeMin <= allowedTime;
 };
 
 routeSchema.methods.updateRouteStats = function(actualDeliveryTime) {
     this.totalDeliveries += 1;
+    if (actualDeliveryTime === null || actualDeliveryTime === undefined) {
+        return this.save();
+    }
     
     const currentAvg = this.averageDeliveryTime || this.baseTimeMin;
     this.averageDeliveryTime = Math.round(
@@ -120,6 +145,40 @@ routeSchema.methods.updateRouteStats = function(actualDeliveryTime) {
     return this.save();
 };
 
+// Depot first, then the stops in the order they are visited
+routeSchema.methods.getPathDistanceKm = function() {
+    if (!this.depot?.coordinates?.length || !this.stops?.length) return null;
+    const points = [this.depot, ...this.stops].map(point => point.coordinates);
+    return Math.round(pathDistanceKm(points) * 100) / 100;
+};
+
+routeSchema.pre('validate', function(next) {
+    if (this.isModified('depot') || this.isModified('stops') || this.isNew) {
+        const distance = this.getPathDistanceKm();
+        if (distance !== null) {
+            this.distanceKm = distance;
+        }
+    }
+    next();
+});
+
+// Active routes whose depot lies within radiusKm of [lng, lat], nearest first, with the distance in km
+routeSchema.statics.findNearby = function(coordinates, radiusKm) {
+    return this.aggregate([
+        {
+            $geoNear: {
+                near: { type: 'Point', coordinates },
+                key: 'depot',
+                distanceField: 'distanceFromPointKm',
+                distanceMultiplier: 0.001,
+                maxDistance: radiusKm * 1000,
+                spherical: true,
+                query: { isActive: true }
+            }
+        }
+    ]);
+};
+
 routeSchema.statics.findByTrafficLevel = function(trafficLevel) {
     return this.find({ 
         trafficLevel, 
@@ -127,22 +186,25 @@ routeSchema.statics.findByTrafficLevel = function(trafficLevel) {
     }).sort({ distanceKm: 1 });
 };
 
-routeSchema.statics.getRouteStatistics = function() {
+routeSchema.statics.getRouteStatistics = function(match = {}) {
+    const { fuelCostPerKm } = getActiveRules();
     return this.aggregate([
-        { $match: { isActive: true } },
+        { $match: { isActive: true, ...match } },
         {
             $group: {
                 _id: '$trafficLevel',
                 avgDistance: { $avg: '$distanceKm' },
                 avgBaseTime: { $avg: '$baseTimeMin' },
                 totalRoutes: { $sum: 1 },
-                avgFuelCost: { $avg: { $multiply: ['$distanceKm', 5] } }
+                avgFuelCost: { $avg: { $multiply: ['$distanceKm', fuelCostPerKm] } }
             }
         }
     ]);
 };
 
-driverSchema.set('toJSON', { virtuals: true });
-driverSchema.set('toObject', { virtuals: true });
+routeSchema.set('toJSON', { virtuals: true });
+routeSchema.set('toObject', { virtuals: true });
+
+routeSchema.plugin(auditLogPlugin, { entity: 'Route' });
 
 export const Route = mongoose.model("Route", routeSchema);
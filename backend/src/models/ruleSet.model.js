@@ -0,0 +1,171 @@
+import mongoose from 'mongoose';
+import { DEFAULT_BUSINESS_RULES } from '../constants.js';
+import { ApiError } from '../utils/ApiError.js';
+
+const DUPLICATE_KEY_ERROR_CODE = 11000;
+
+export const RULE_PARAMETERS = ['fuelCostPerKm', 'highTrafficSurchargePerKm', 'latePenalty', 'highValueThreshold',
+    'highValueBonusRate', 'fatigueSlowdownMultiplier', 'exhaustedSlowdownMultiplier', 'trafficMultipliers',
+    'gracePeriodMinutes', 'extraStopMinutes'];
+
+const trafficMultiplier = (level) => ({
+    type: Number,
+    required: [true, `${level} traffic multiplier is required`],
+    min: [0.5, `${level} traffic multiplier must be at least 0.5`],
+    max: [5, `${level} traffic multiplier cannot exceed 5`]
+});
+
+const ruleSetSchema = new mongoose.Schema({
+    version: {
+        type: Number,
+        required: [true, "Version is required"],
+        unique: true,
+        immutable: true,
+        min: [1, "Version must be positive"]
+    },
+    name: {
+        type: String,
+        trim: true,
+        maxlength: [100, "Rule set name cannot exceed 100 characters"]
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, "Description cannot exceed 500 characters"]
+    },
+    isActive: {
+        type: Boolean,
+        default: false
+    },
+    parameters: {
+        fuelCostPerKm: {
+            type: Number,
+            required: [true, "Fuel cost per km is required"],
+            min: [0, "Fuel cost per km cannot be negative"],
+            max: [1000, "Fuel cost per km cannot exceed 1000"]
+        },
+        highTrafficSurchargePerKm: {
+            type: Number,
+            required: [true, "High traffic surcharge per km is required"],
+            min: [0, "High traffic surcharge cannot be negative"],
+            max: [1000, "High traffic surcharge cannot exceed 1000"]
+        },
+        latePenalty: {
+            type: Number,
+            required: [true, "Late penalty is required"],
+            min: [0, "Late penalty cannot be negative"]
+        },
+        highValueThreshold: {
+            type: Number,
+            required: [true, "High value threshold is required"],
+            min: [0, "High value threshold cannot be negative"]
+        },
+        highValueBonusRate: {
+            type: Number,
+            required: [true, "High value bonus rate is required"],
+            min: [0, "High value bonus rate cannot be negative"],
+            max: [1, "High value bonus rate cannot exceed 1 (100%)"]
+        },
+        fatigueSlowdownMultiplier: {
+            type: Number,
+            required: [true, "Fatigue slowdown multiplier is required"],
+            min: [1, "Fatigue slowdown multiplier must be at least 1"],
+            max: [5, "Fatigue slowdown multiplier cannot exceed 5"]
+        },
+        // Rule sets created before graded fatigue have no value and fall back to the default
+        exhaustedSlowdownMultiplier: {
+            type: Number,
+            default: DEFAULT_BUSINESS_RULES.exhaustedSlowdownMultiplier,
+            min: [1, "Exhausted slowdown multiplier must be at least 1"],
+            max: [5, "Exhausted slowdown multiplier cannot exceed 5"],
+            validate: {
+                validator: function(value) {
+                    const tired = this.parameters?.fatigueSlowdownMultiplier;
+                    return tired === undefined || value >= tired;
+                },
+                message: "Exhausted slowdown multiplier cannot be lower than the fatigue (tired) slowdown multiplier"
+            }
+        },
+        trafficMultipliers: {
+            Low: trafficMultiplier('Low'),
+            Medium: trafficMultiplier('Medium'),
+            High: trafficMultiplier('High')
+        },
+        gracePeriodMinutes: {
+            type: Number,
+            required: [true, "Grace period is required"],
+            min: [0, "Grace period cannot be negative"],
+            max: [240, "Grace period cannot exceed 240 minutes"]
+        },
+        // Added for each order after the first on a batched trip
+        extraStopMinutes: {
+            type: Number,
+            default: DEFAULT_BUSINESS_RULES.extraStopMinutes,
+            min: [0, "Extra stop time cannot be negative"],
+            max: [120, "Extra stop time cannot exceed 120 minutes"]
+        }
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    }
+}, {
+    timestamps: true
+});
+
+// At most one rule set can be active at a time
+ruleSetSchema.index({ isActive: 1 }, { unique: true, partialFilterExpression: { isActive: true } });
+
+// Model methods are synchronous, so they read the active rules from this in-process copy.
+// It starts out as the defaults and is refreshed by loadActiveRules().
+let activeRules = { version: 0, ...DEFAULT_BUSINESS_RULES };
+
+export const getActiveRules = () => activeRules;
+
+ruleSetSchema.methods.toRules = function() {
+    const parameters = this.parameters.toObject();
+    return {
+        version: this.version,
+        ...Object.fromEntries(RULE_PARAMETERS.map(key => [key, parameters[key]]))
+    };
+};
+
+ruleSetSchema.statics.getNextVersion = async function() {
+    const latest = await this.findOne().sort({ version: -1 }).select('version');
+    return latest ? latest.version + 1 : 1;
+};
+
+// Seeds version 1 from the defaults the first time, so there is always an active rule set to record
+ruleSetSchema.statics.loadActiveRules = async function() {
+    let ruleSet = await this.findOne({ isActive: true });
+    if (!ruleSet && !(await this.exists({}))) {
+        ruleSet = await this.create({
+            version: 1,
+            name: "Default rules",
+            isActive: true,
+            parameters: DEFAULT_BUSINESS_RULES
+        });
+    }
+
+    activeRules = ruleSet ? ruleSet.toRules() : { version: 0, ...DEFAULT_BUSINESS_RULES };
+    return activeRules;
+};
+
+// The swap runs in one transaction so no reader sees a moment without an active rule set. Concurrent
+// activations are retried as transient conflicts; one that still trips the unique index is reported as a 409.
+ruleSetSchema.statics.activate = async function(ruleSetId) {
+    try {
+        await this.db.transaction(async (session) => {
+            await this.updateMany({ _id: { $ne: ruleSetId }, isActive: true }, { $set: { isActive: false } }, { session });
+            await this.updateOne({ _id: ruleSetId }, { $set: { isActive: true } }, { session });
+        });
+    } catch (error) {
+        if (error?.code === DUPLICATE_KEY_ERROR_CODE) {
+            throw new ApiError(409, "Another rule set was activated at the same time; try again");
+        }
+        throw error;
+    }
+    return this.loadActiveRules();
+};
+
+export const RuleSet = mongoose.model("RuleSet", ruleSetSchema);
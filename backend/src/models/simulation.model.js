@@ -1,4 +1,10 @@
 import mongoose from 'mongoose';
+import { auditLogPlugin } from './auditLog.plugin.js';
+
+// Results only exist once a run has finished; queued, failed and cancelled runs are stored without them
+function isCompleted() {
+    return this.status === 'completed';
+}
 
 const simulationSchema = new mongoose.Schema({
     inputs: {
@@ -28,38 +34,57 @@ const simulationSchema = new mongoose.Schema({
             type: String,
             trim: true,
             maxlength: [500, "Description cannot exceed 500 characters"]
+        },
+        assignmentStrategy: {
+            type: String,
+            trim: true,
+            default: 'round-robin'
+        },
+        strategyOptions: {
+            type: mongoose.Schema.Types.Mixed,
+            default: {}
+        },
+        // No default: simulations stored before trip batching keep their configuration hash
+        maxOrdersPerTrip: {
+            type: Number,
+            min: [1, "A trip must allow at least 1 order"],
+            max: [20, "A trip cannot exceed 20 orders"],
+            validate: {
+                validator: Number.isInteger,
+                message: "Max orders per trip must be a whole number"
+            }
         }
     },
     results: {
         totalProfit: {
             type: Number,
-            required: [true, "Total profit is required"]
+            required: [isCompleted, "Total profit is required"]
         },
         efficiencyScore: {
             type: Number,
-            required: [true, "Efficiency score is required"],
+            required: [isCompleted, "Efficiency score is required"],
             min: [0, "Efficiency score cannot be negative"],
             max: [100, "Efficiency score cannot exceed 100%"]
         },
         onTimeCount: {
             type: Number,
-            required: [true, "On-time count is required"],
+            required: [isCompleted, "On-time count is required"],
             min: [0, "On-time count cannot be negative"]
         },
         lateCount: {
             type: Number,
-            required: [true, "Late count is required"],
+            required: [isCompleted, "Late count is required"],
             min: [0, "Late count cannot be negative"]
         },
         totalOrders: {
             type: Number,
-            required: [true, "Total orders is required"],
+            required: [isCompleted, "Total orders is required"],
             min: [0, "Total orders cannot be negative"]
         },
         fuelCostBreakdown: {
             total: {
                 type: Number,
-                required: true,
+                required: [isCompleted, "Total fuel cost is required"],
                 min: [0, "Total fuel cost cannot be negative"]
             },
             byTrafficLevel: {
@@ -115,6 +140,18 @@ const simulationSchema = new mongoose.Schema({
         enum: ['running', 'completed', 'failed', 'cancelled'],
         default: 'completed'
     },
+    progress: {
+        processedOrders: {
+            type: Number,
+            default: 0,
+            min: [0, "Processed orders cannot be negative"]
+        },
+        totalOrders: {
+            type: Number,
+            default: 0,
+            min: [0, "Total orders cannot be negative"]
+        }
+    },
     errorMessage: {
         type: String,
         maxlength: [1000, "Error message cannot exceed 1000 characters"]
@@ -133,6 +170,26 @@ const simulationSchema = new mongoose.Schema({
         wasOnTime: Boolean,
         penalty: Number,
         bonus: Number,
+        fuelCost: Number,
+        actualDeliveryTime: String,
+        // 1 when the delivery lands after midnight of the day the route started
+        dayOffset: Number,
+        tripNumber: Number
+    }],
+    trips: [{
+        tripNumber: Number,
+        driverAssigned: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Driver'
+        },
+        routeUsed: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Route'
+        },
+        orderIds: [Number],
+        startTime: String,
+        endTime: String,
+        totalMinutes: Number,
         fuelCost: Number
     }],
     metadata: {
@@ -144,7 +201,13 @@ const simulationSchema = new mongoose.Schema({
             type: String,
             default: 'round-robin-assignment'
         },
-        configurationHash: String
+        configurationHash: String,
+        seed: Number,
+        ruleSetVersion: Number
+    },
+    snapshot: {
+        type: mongoose.Schema.Types.Mixed,
+        select: false
     }
 }, {
     timestamps: true
@@ -155,6 +218,7 @@ simulationSchema.index({ createdAt: -1 });
 simulationSchema.index({ status: 1 });
 simulationSchema.index({ 'results.efficiencyScore': -1 });
 simulationSchema.index({ 'results.totalProfit': -1 });
+simulationSchema.index({ 'metadata.configurationHash': 1 });
 
 simulationSchema.virtual('durationInSeconds').get(function() {
     return Math.round(this.executionTime / 1000);
@@ -203,9 +267,9 @@ simulationSchema.statics.findTopPerforming = function(limit = 10) {
         .populate('executedBy', 'username fullName');
 };
 
-simulationSchema.statics.getSimulationAnalytics = function() {
+simulationSchema.statics.getSimulationAnalytics = function(match = {}) {
     return this.aggregate([
-        { $match: { status: 'completed' } },
+        { $match: { status: 'completed', ...match } },
         {
             $group: {
                 _id: null,
@@ -225,7 +289,35 @@ simulationSchema.statics.compareSimulations = function(simulationIds) {
     return this.find({ 
         _id: { $in: simulationIds },
         status: 'completed'
-    }).select('inputs results executedBy createdAt');
+    }).select('inputs results metadata executedBy createdAt');
+};
+
+// Profit and lateness of one run per route area; routes without an area are grouped as null
+simulationSchema.statics.getAreaBreakdown = function(simulationId) {
+    return this.aggregate([
+        { $match: { _id: new mongoose.Types.ObjectId(String(simulationId)) } },
+        { $unwind: '$ordersProcessed' },
+        {
+            $lookup: {
+                from: 'routes',
+                localField: 'ordersProcessed.routeUsed',
+                foreignField: '_id',
+                as: 'route'
+            }
+        },
+        {
+            $group: {
+                _id: { $ifNull: [{ $first: '$route.area' }, null] },
+                orders: { $sum: 1 },
+                totalProfit: { $sum: '$ordersProcessed.profit' },
+                fuelCost: { $sum: '$ordersProcessed.fuelCost' },
+                penalties: { $sum: '$ordersProcessed.penalty' },
+                onTimeCount: { $sum: { $cond: ['$ordersProcessed.wasOnTime', 1, 0] } },
+                lateCount: { $sum: { $cond: ['$ordersProcessed.wasOnTime', 0, 1] } }
+            }
+        },
+        { $sort: { totalProfit: -1 } }
+    ]);
 };
 
 simulationSchema.pre('save', function(next) {
@@ -244,7 +336,16 @@ simulationSchema.pre('save', function(next) {
     next();
 });
 
-simulationSchema.set('toJSON', { virtuals: true });
+simulationSchema.set('toJSON', {
+    virtuals: true,
+    transform: function(doc, ret) {
+        delete ret.snapshot; // can hold every driver, route and order, so it is never sent in API responses
+        return ret;
+    }
+});
 simulationSchema.set('toObject', { virtuals: true });
 
+// The engine output is stored with the run itself, so only inputs, results and status changes are diffed
+simulationSchema.plugin(auditLogPlugin, { entity: 'Simulation', exclude: ['snapshot', 'ordersProcessed', 'trips', 'progress'] });
+
 export const Simulation = mongoose.model("Simulation", simulationSchema);
@@ -1,6 +1,9 @@
 import mongoose from 'mongoose';
+import { auditLogPlugin } from './auditLog.plugin.js';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import { USER_ROLES } from '../constants.js';
 
 const userSchema = new mongoose.Schema({
     username: {
@@ -28,18 +31,25 @@ const userSchema = new mongoose.Schema({
         minlength: [2, "Full name must be at least 2 characters"],
         maxlength: [50, "Full name cannot exceed 50 characters"]
     },
+    // Invited users choose their password when they accept the invitation
     password: {
         type: String,
-        required: [true, "Password is required"],
+        required: [function() { return !this.inviteExpiresAt; }, "Password is required"],
         minlength: [6, "Password must be at least 6 characters"]
     },
     role: {
         type: String,
         enum: {
-            values: ['manager'],
-            message: "Only managers can access this application"
+            values: USER_ROLES,
+            message: `Role must be one of ${USER_ROLES.join(', ')}`
         },
-        default: 'manager'
+        default: 'analyst'
+    },
+    // Only driver accounts are linked, and each driver has at most one account
+    driver: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Driver',
+        required: [function() { return this.role === 'driver'; }, "Driver accounts must be linked to a driver"]
     },
     isActive: {
         type: Boolean,
@@ -58,6 +68,19 @@ const userSchema = new mongoose.Schema({
     },
     lockUntil: {
         type: Date
+    },
+    // sha256 of the token sent to the invited user; only the hash is stored
+    inviteToken: {
+        type: String,
+        select: false
+    },
+    // Set while an invitation is pending and cleared once it is accepted
+    inviteExpiresAt: {
+        type: Date
+    },
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
     }
 }, {
     timestamps: true
@@ -66,18 +89,40 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
 userSchema.index({ isActive: 1 });
+userSchema.index({ inviteToken: 1 }, { sparse: true });
+userSchema.index({ driver: 1 }, { unique: true, partialFilterExpression: { driver: { $exists: true } } });
 
 userSchema.virtual('isLocked').get(function() {
     return !!(this.lockUntil && this.lockUntil > Date.now());
 });
 
+userSchema.pre('validate', function(next) {
+    if (this.role !== 'driver' && this.driver) {
+        this.driver = undefined;
+    }
+    next();
+});
+
 userSchema.pre("save", async function (next) {
     if(!this.isModified("password")) return next();
     this.password = await bcrypt.hash(this.password, 12);
     next();
 });
 
+userSchema.statics.hashInviteToken = function(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Returns the plain token, which is not stored and cannot be recovered later
+userSchema.methods.createInviteToken = function(expiresInHours = 72) {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.inviteToken = this.constructor.hashInviteToken(token);
+    this.inviteExpiresAt = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+    return token;
+};
+
 userSchema.methods.isPasswordCorrect = async function(password){
+    if (!this.password) return false;
     return await bcrypt.compare(password, this.password);
 };
 
@@ -130,4 +175,6 @@ userSchema.methods.resetLoginAttempts = function() {
     });
 };
 
+userSchema.plugin(auditLogPlugin, { entity: 'User' });
+
 export const User = mongoose.model("User", userSchema);
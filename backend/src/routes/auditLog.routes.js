@@ -0,0 +1,12 @@
+import { Router } from 'express';
+import { getAuditLogs } from "../controllers/auditLog.controller.js"
+import { verifyJWT, authorize } from "../middlewares/auth.middleware.js"
+
+const router = Router();
+
+router.use(verifyJWT);
+
+// Filters: entity, entityId, actor (a user id or "system"), operation, from, to
+router.route('/').get(authorize('audit:read'), getAuditLogs);
+
+export default router
@@ -0,0 +1,12 @@
+import { Router } from 'express';
+import { getDashboard, exportDashboard } from "../controllers/dashboard.controller.js"
+import { verifyJWT, authorize } from "../middlewares/auth.middleware.js"
+
+const router = Router();
+
+router.use(verifyJWT);
+
+router.route('/').get(authorize('dashboard:read'), getDashboard);
+router.route('/export').get(authorize('dashboard:read'), exportDashboard);
+
+export default router
@@ -0,0 +1,29 @@
+import { Router } from 'express';
+import {
+    getAllDrivers,
+    getDriverById,
+    createDriver,
+    updateDriver,
+    deleteDriver,
+    getDriverHoursNearLimit,
+    rolloverHours
+} from "../controllers/driver.controller.js"
+import { verifyJWT, authorize } from "../middlewares/auth.middleware.js"
+
+const router = Router();
+
+router.use(verifyJWT);
+
+const canRead = authorize('drivers:read');
+const canWrite = authorize('drivers:write');
+
+router.route('/').get(canRead, getAllDrivers).post(canWrite, createDriver);
+router.route('/hours/near-limit').get(canRead, getDriverHoursNearLimit);
+router.route('/hours/rollover').post(canWrite, rolloverHours);
+router
+    .route('/:driverId')
+    .get(canRead, getDriverById)
+    .patch(canWrite, updateDriver)
+    .delete(canWrite, deleteDriver);
+
+export default router
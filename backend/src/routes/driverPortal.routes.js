@@ -0,0 +1,20 @@
+import { Router } from 'express';
+import {
+    getMyOrders,
+    pickUpMyOrder,
+    deliverMyOrder,
+    failMyOrder
+} from "../controllers/driverPortal.controller.js"
+import { verifyJWT, authorize } from "../middlewares/auth.middleware.js"
+
+const router = Router();
+
+// Everything here works on the orders of the driver linked to the signed-in account
+router.use(verifyJWT, authorize('deliveries:own'));
+
+router.route('/orders').get(getMyOrders);
+router.route('/orders/:orderId/pickup').post(pickUpMyOrder);
+router.route('/orders/:orderId/deliver').post(deliverMyOrder);
+router.route('/orders/:orderId/fail').post(failMyOrder);
+
+export default router
@@ -0,0 +1,13 @@
+import { Router } from 'express';
+import { importEntities } from "../controllers/import.controller.js"
+import { verifyJWT, authorize } from "../middlewares/auth.middleware.js"
+import { uploadCsv } from "../middlewares/multer.middleware.js"
+
+const router = Router();
+
+router.use(verifyJWT);
+
+// entity is one of drivers, routes or orders; pass ?dryRun=true to only validate
+router.route('/:entity').post(authorize('imports:run'), uploadCsv.single("file"), importEntities);
+
+export default router
@@ -0,0 +1,37 @@
+import { Router } from 'express';
+import {
+    getAllOrders,
+    getOrdersByArea,
+    getOrderById,
+    createOrder,
+    updateOrder,
+    deleteOrder,
+    assignOrder,
+    dispatchOrder,
+    deliverOrder,
+    cancelOrder,
+    failOrder
+} from "../controllers/order.controller.js"
+import { verifyJWT, authorize } from "../middlewares/auth.middleware.js"
+
+const router = Router();
+
+router.use(verifyJWT);
+
+const canRead = authorize('orders:read');
+const canWrite = authorize('orders:write');
+
+router.route('/').get(canRead, getAllOrders).post(canWrite, createOrder);
+router.route('/by-area').get(canRead, getOrdersByArea);
+router
+    .route('/:orderId')
+    .get(canRead, getOrderById)
+    .patch(canWrite, updateOrder)
+    .delete(canWrite, deleteOrder);
+router.route('/:orderId/assign').post(canWrite, assignOrder);
+router.route('/:orderId/dispatch').post(canWrite, dispatchOrder);
+router.route('/:orderId/deliver').post(canWrite, deliverOrder);
+router.route('/:orderId/cancel').post(canWrite, cancelOrder);
+router.route('/:orderId/fail').post(canWrite, failOrder);
+
+export default router
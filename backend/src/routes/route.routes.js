@@ -0,0 +1,27 @@
+import { Router } from 'express';
+import {
+    getAllRoutes,
+    getNearbyRoutes,
+    getRouteById,
+    createRoute,
+    updateRoute,
+    deleteRoute
+} from "../controllers/route.controller.js"
+import { verifyJWT, authorize } from "../middlewares/auth.middleware.js"
+
+const router = Router();
+
+router.use(verifyJWT);
+
+const canRead = authorize('routes:read');
+const canWrite = authorize('routes:write');
+
+router.route('/').get(canRead, getAllRoutes).post(canWrite, createRoute);
+router.route('/nearby').get(canRead, getNearbyRoutes);
+router
+    .route('/:routeId')
+    .get(canRead, getRouteById)
+    .patch(canWrite, updateRoute)
+    .delete(canWrite, deleteRoute);
+
+export default router
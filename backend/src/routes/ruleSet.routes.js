@@ -0,0 +1,29 @@
+import { Router } from 'express';
+import {
+    getAllRuleSets,
+    getActiveRuleSet,
+    getRuleSetById,
+    createRuleSet,
+    updateRuleSet,
+    activateRuleSet,
+    deleteRuleSet
+} from "../controllers/ruleSet.controller.js"
+import { verifyJWT, authorize } from "../middlewares/auth.middleware.js"
+
+const router = Router();
+
+router.use(verifyJWT);
+
+const canRead = authorize('rules:read');
+const canWrite = authorize('rules:write');
+
+router.route('/').get(canRead, getAllRuleSets).post(canWrite, createRuleSet);
+router.route('/active').get(canRead, getActiveRuleSet);
+router
+    .route('/:ruleSetId')
+    .get(canRead, getRuleSetById)
+    .patch(canWrite, updateRuleSet)
+    .delete(canWrite, deleteRuleSet);
+router.route('/:ruleSetId/activate').post(canWrite, activateRuleSet);
+
+export default router
@@ -0,0 +1,32 @@
+import { Router } from 'express';
+import {
+    createSimulation,
+    getSimulationById,
+    getSimulationProgress,
+    cancelSimulation,
+    streamSimulationEvents,
+    rerunSimulation,
+    compareSimulations,
+    exportSimulation,
+    getAssignmentStrategies
+} from "../controllers/simulation.controller.js"
+import { verifyJWT, authorize } from "../middlewares/auth.middleware.js"
+
+const router = Router();
+
+router.use(verifyJWT);
+
+const canRead = authorize('simulations:read');
+const canRun = authorize('simulations:run');
+
+router.route('/').post(canRun, createSimulation);
+router.route('/strategies').get(canRead, getAssignmentStrategies);
+router.route('/compare').get(canRead, compareSimulations);
+router.route('/:simulationId').get(canRead, getSimulationById);
+router.route('/:simulationId/progress').get(canRead, getSimulationProgress);
+router.route('/:simulationId/cancel').post(canRun, cancelSimulation);
+router.route('/:simulationId/events').get(canRead, streamSimulationEvents);
+router.route('/:simulationId/rerun').post(canRun, rerunSimulation);
+router.route('/:simulationId/export').get(canRead, exportSimulation);
+
+export default router
@@ -0,0 +1,38 @@
+import { Router } from 'express';
+import {
+    registerUser,
+    loginUser,
+    logoutUser,
+    refreshAccessToken,
+    getCurrentUser,
+    getAllUsers,
+    inviteUser,
+    resendInvite,
+    acceptInvite,
+    updateUserRole,
+    deactivateUser,
+    activateUser
+} from "../controllers/user.controller.js"
+import { verifyJWT, authorize } from "../middlewares/auth.middleware.js"
+
+const router = Router();
+
+router.route('/register').post(registerUser);
+router.route('/login').post(loginUser);
+router.route('/refresh-token').post(refreshAccessToken);
+router.route('/accept-invite').post(acceptInvite);
+
+//secured routes
+router.route('/logout').post(verifyJWT, logoutUser);
+router.route('/current-user').get(verifyJWT, getCurrentUser);
+
+//admin routes
+const canManageUsers = [verifyJWT, authorize('users:manage')];
+router.route('/').get(...canManageUsers, getAllUsers);
+router.route('/invite').post(...canManageUsers, inviteUser);
+router.route('/:userId/resend-invite').post(...canManageUsers, resendInvite);
+router.route('/:userId/role').patch(...canManageUsers, updateUserRole);
+router.route('/:userId/deactivate').post(...canManageUsers, deactivateUser);
+router.route('/:userId/activate').post(...canManageUsers, activateUser);
+
+export default router
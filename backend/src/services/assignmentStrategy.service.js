@@ -0,0 +1,142 @@
+import { ApiError } from "../utils/ApiError.js"
+
+const PRIORITY_RANK = { urgent: 0, high: 1, medium: 2, low: 3 }
+
+// Picks the first candidate at or after the cursor, wrapping around, and moves the cursor past it
+const pickRoundRobin = (candidates, state, driverCount) => {
+    const chosen = candidates.find(candidate => candidate.index >= state.nextDriver) || candidates[0]
+    state.nextDriver = (chosen.index + 1) % driverCount
+    return chosen
+}
+
+const byLowest = (selector) => (candidates) => {
+    return candidates.reduce((best, candidate) => (selector(candidate) < selector(best) ? candidate : best))
+}
+
+/*
+ * Every strategy receives the orders once, to decide the processing order, and then for each order the
+ * drivers that still have enough hours left ("candidates"). A candidate carries the driver document, its
+ * position in the driver list, the minutes the delivery would take and the minutes already assigned.
+ */
+const ASSIGNMENT_STRATEGIES = {
+    'round-robin': {
+        description: "Hands orders to drivers in turn, skipping drivers without hours left",
+        options: {},
+        selectDriver: (candidates, { state, driverCount }) => pickRoundRobin(candidates, state, driverCount)
+    },
+    'greedy-value': {
+        description: "Processes the highest valueRs orders first and gives each one to the fastest available driver",
+        options: {
+            minValueRs: { type: "number", default: 0, description: "Orders below this value are processed last" }
+        },
+        sortOrders: (orders, options) => [...orders].sort((a, b) => {
+            const aBelow = a.valueRs < options.minValueRs
+            const bBelow = b.valueRs < options.minValueRs
+            if (aBelow !== bBelow) return aBelow ? 1 : -1
+            return b.valueRs - a.valueRs
+        }),
+        selectDriver: (candidates) => candidates.reduce((best, candidate) => {
+            const isFaster = candidate.deliveryMinutes < best.deliveryMinutes
+            const isLessBusy = candidate.deliveryMinutes === best.deliveryMinutes && candidate.minutesWorked < best.minutesWorked
+            return isFaster || isLessBusy ? candidate : best
+        })
+    },
+    'priority-first': {
+        description: "Processes urgent orders first, then high, medium and low, handing them out round-robin",
+        options: {},
+        sortOrders: (orders) => [...orders].sort((a, b) =>
+            (PRIORITY_RANK[a.priority] ?? PRIORITY_RANK.medium) - (PRIORITY_RANK[b.priority] ?? PRIORITY_RANK.medium) ||
+            b.valueRs - a.valueRs
+        ),
+        selectDriver: (candidates, { state, driverCount }) => pickRoundRobin(candidates, state, driverCount)
+    },
+    'fatigue-aware': {
+        description: "Round-robin that avoids drivers who worked overtime yesterday",
+        options: {
+            allowFallback: {
+                type: "boolean",
+                default: true,
+                description: "Use drivers who worked overtime yesterday when no rested driver has hours left"
+            }
+        },
+        selectDriver: (candidates, { state, driverCount, options }) => {
+            const rested = candidates.filter(candidate => !candidate.driver.workedOvertimeYesterday())
+            if (rested.length > 0) return pickRoundRobin(rested, state, driverCount)
+            return options.allowFallback ? pickRoundRobin(candidates, state, driverCount) : null
+        }
+    },
+    'random': {
+        description: "Gives each order to a random driver with hours left, reproducible through the simulation seed",
+        options: {},
+        selectDriver: (candidates, { random }) => candidates[Math.floor(random() * candidates.length)]
+    },
+    'least-loaded': {
+        description: "Gives each order to the driver with the fewest hours so far, counting currentDayHours",
+        options: {},
+        // minutesWorked already starts from the driver's currentDayHours
+        selectDriver: byLowest(candidate => candidate.minutesWorked)
+    }
+}
+
+const DEFAULT_ASSIGNMENT_STRATEGY = 'round-robin'
+
+const getAlgorithmName = (strategyName) => `${strategyName}-assignment`
+
+const listAssignmentStrategies = () => {
+    return Object.entries(ASSIGNMENT_STRATEGIES).map(([name, strategy]) => ({
+        name,
+        algorithmName: getAlgorithmName(name),
+        description: strategy.description,
+        options: strategy.options
+    }))
+}
+
+const resolveAssignmentStrategy = (name = DEFAULT_ASSIGNMENT_STRATEGY, options = {}) => {
+    if (!Object.hasOwn(ASSIGNMENT_STRATEGIES, name)) {
+        throw new ApiError(400, "Invalid assignment strategy", [{
+            field: "inputs.assignmentStrategy",
+            message: `Unknown strategy '${name}'. Use one of: ${Object.keys(ASSIGNMENT_STRATEGIES).join(", ")}`
+        }])
+    }
+    const strategy = ASSIGNMENT_STRATEGIES[name]
+
+    if (options === null || typeof options !== "object" || Array.isArray(options)) {
+        throw new ApiError(400, "Invalid assignment strategy options", [{
+            field: "inputs.strategyOptions",
+            message: "Strategy options must be an object"
+        }])
+    }
+
+    const errors = []
+    const resolvedOptions = {}
+    for (const key of Object.keys(options)) {
+        if (!Object.hasOwn(strategy.options, key)) {
+            errors.push({ field: `inputs.strategyOptions.${key}`, message: `Strategy '${name}' has no option '${key}'` })
+        }
+    }
+    for (const [key, definition] of Object.entries(strategy.options)) {
+        const value = options[key] ?? definition.default
+        if (typeof value !== definition.type) {
+            errors.push({ field: `inputs.strategyOptions.${key}`, message: `Option '${key}' must be a ${definition.type}` })
+        }
+        resolvedOptions[key] = value
+    }
+    if (errors.length > 0) {
+        throw new ApiError(400, "Invalid assignment strategy options", errors)
+    }
+
+    return {
+        name,
+        algorithmName: getAlgorithmName(name),
+        options: resolvedOptions,
+        sortOrders: (orders) => (strategy.sortOrders ? strategy.sortOrders(orders, resolvedOptions) : orders),
+        selectDriver: strategy.selectDriver
+    }
+}
+
+export {
+    ASSIGNMENT_STRATEGIES,
+    DEFAULT_ASSIGNMENT_STRATEGY,
+    listAssignmentStrategies,
+    resolveAssignmentStrategy
+}
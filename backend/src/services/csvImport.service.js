@@ -0,0 +1,190 @@
+import { parse } from "csv-parse/sync"
+import { Driver } from "../models/driver.model.js"
+import { Route } from "../models/route.model.js"
+import { Order } from "../models/order.model.js"
+import { ApiError } from "../utils/ApiError.js"
+
+// Non-numeric text is passed through untouched so Mongoose reports the original value in its cast error
+const toNumber = (value) => {
+    if (value === undefined || value === "") return undefined
+    const number = Number(value)
+    return Number.isNaN(number) ? value : number
+}
+
+// Optional longitude/latitude columns become a GeoJSON point; a half-filled pair is kept so validation reports it
+const toPoint = (lng, lat) => {
+    if ((lng === undefined || lng === "") && (lat === undefined || lat === "")) return undefined
+    return { type: "Point", coordinates: [toNumber(lng), toNumber(lat)].filter(value => value !== undefined) }
+}
+
+const toHoursList = (value) => {
+    if (value === undefined || value === "") return []
+    return value.split("|").map(hours => toNumber(hours.trim()))
+}
+
+// Each importer maps one CSV row onto its schema and names the field used to upsert existing documents
+const IMPORTERS = {
+    drivers: {
+        model: Driver,
+        keyField: "name",
+        requiredColumns: ["name", "shift_hours", "past_week_hours"],
+        mapRow: (row) => ({
+            name: row.name,
+            shiftHours: toNumber(row.shift_hours),
+            pastWeekHours: toHoursList(row.past_week_hours)
+        })
+    },
+    routes: {
+        model: Route,
+        keyField: "routeId",
+        requiredColumns: ["route_id", "distance_km", "traffic_level", "base_time_min"],
+        mapRow: (row) => ({
+            routeId: toNumber(row.route_id),
+            distanceKm: toNumber(row.distance_km),
+            trafficLevel: row.traffic_level,
+            baseTimeMin: toNumber(row.base_time_min),
+            area: row.area || undefined,
+            depot: toPoint(row.depot_lng, row.depot_lat)
+        })
+    },
+    orders: {
+        model: Order,
+        keyField: "orderId",
+        requiredColumns: ["order_id", "value_rs", "route_id", "delivery_time"],
+        mapRow: (row) => ({
+            orderId: toNumber(row.order_id),
+            valueRs: toNumber(row.value_rs),
+            routeId: toNumber(row.route_id),
+            deliveryTime: row.delivery_time,
+            deliveryLocation: toPoint(row.delivery_lng, row.delivery_lat)
+        })
+    }
+}
+
+const parseCsv = (buffer) => {
+    try {
+        return parse(buffer, {
+            columns: (header) => header.map(column => column.trim().toLowerCase()),
+            skip_empty_lines: true,
+            trim: true,
+            bom: true
+        })
+    } catch (error) {
+        throw new ApiError(400, `Could not parse CSV file: ${error.message}`)
+    }
+}
+
+// Numeric keys that did not parse would make the whole $in lookup fail with a CastError, so they are left out
+// of it; validateSync then reports them on their own row
+const isLookupKey = (model, keyField, key) => {
+    if (key === undefined) return false
+    return model.schema.path(keyField).instance !== "Number" || typeof key === "number"
+}
+
+const validationErrorsOf = (error) => {
+    return Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+    }))
+}
+
+const importCsv = async (entity, buffer, { dryRun = false } = {}) => {
+    if (!Object.hasOwn(IMPORTERS, entity)) {
+        throw new ApiError(400, `Unknown import type '${entity}'. Use one of: ${Object.keys(IMPORTERS).join(", ")}`)
+    }
+    const importer = IMPORTERS[entity]
+
+    const rows = parseCsv(buffer)
+    if (rows.length === 0) {
+        throw new ApiError(400, "CSV file has no data rows")
+    }
+
+    const missingColumns = importer.requiredColumns.filter(column => !(column in rows[0]))
+    if (missingColumns.length > 0) {
+        throw new ApiError(400, `CSV file is missing required columns: ${missingColumns.join(", ")}`)
+    }
+
+    const { model, keyField, mapRow } = importer
+    const mappedRows = rows.map(mapRow)
+
+    const keys = mappedRows.map(data => data[keyField]).filter(key => isLookupKey(model, keyField, key))
+    const existingDocs = await model.find({ [keyField]: { $in: keys } })
+    const existingByKey = new Map()
+    // Driver names are not unique, so a name shared by several stored drivers cannot say which one to update
+    const ambiguousKeys = new Set()
+    for (const doc of existingDocs) {
+        if (existingByKey.has(doc[keyField])) ambiguousKeys.add(doc[keyField])
+        existingByKey.set(doc[keyField], doc)
+    }
+
+    let knownRouteIds = null
+    if (entity === "orders") {
+        const routeIds = await Route.distinct("routeId")
+        knownRouteIds = new Set(routeIds)
+    }
+
+    const report = {
+        entity,
+        dryRun,
+        totalRows: rows.length,
+        created: 0,
+        updated: 0,
+        failed: 0,
+        rows: []
+    }
+    const seenKeys = new Set()
+
+    for (const [index, data] of mappedRows.entries()) {
+        // Line 1 is the header row
+        const rowReport = { row: index + 2, key: data[keyField], status: null, errors: [] }
+        const key = data[keyField]
+        const existing = isLookupKey(model, keyField, key) ? existingByKey.get(key) : undefined
+        const doc = existing || new model()
+        doc.set(data)
+
+        const validationError = doc.validateSync()
+        if (validationError) {
+            rowReport.errors.push(...validationErrorsOf(validationError))
+        }
+        if (ambiguousKeys.has(key)) {
+            rowReport.errors.push({
+                field: keyField,
+                message: `More than one existing ${entity.slice(0, -1)} has ${keyField} '${key}'; make them unique before importing`
+            })
+        }
+        if (key !== undefined && seenKeys.has(key)) {
+            rowReport.errors.push({ field: keyField, message: `Duplicate ${keyField} '${key}' in this file` })
+        }
+        // A route_id that is not a number already has its cast error from validateSync
+        if (knownRouteIds && typeof data.routeId === "number" && !knownRouteIds.has(data.routeId)) {
+            rowReport.errors.push({ field: "routeId", message: `Route ${data.routeId} does not exist` })
+        }
+        seenKeys.add(key)
+
+        if (rowReport.errors.length === 0 && !dryRun) {
+            try {
+                await doc.save()
+            } catch (error) {
+                const saveErrors = error.errors ?
+                    validationErrorsOf(error) : [{ field: keyField, message: error.message }]
+                rowReport.errors.push(...saveErrors)
+            }
+        }
+
+        if (rowReport.errors.length > 0) {
+            rowReport.status = "failed"
+            report.failed += 1
+        } else {
+            rowReport.status = existing ? "updated" : "created"
+            report[rowReport.status] += 1
+        }
+        report.rows.push(rowReport)
+    }
+
+    return report
+}
+
+export {
+    IMPORTERS,
+    importCsv
+}
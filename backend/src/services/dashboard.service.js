@@ -0,0 +1,153 @@
+import mongoose from "mongoose"
+import { Driver } from "../models/driver.model.js"
+import { Route } from "../models/route.model.js"
+import { Order } from "../models/order.model.js"
+import { Simulation } from "../models/simulation.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import { buildCreatedAtMatch } from "../utils/queryHelpers.js"
+
+const TRAFFIC_LEVELS = ['Low', 'Medium', 'High']
+const FATIGUE_LEVELS = ['normal', 'tired', 'exhausted']
+const LATEST_SIMULATIONS_LIMIT = 5
+
+const roundTo2 = (value) => Math.round(value * 100) / 100
+
+const summarizeDrivers = (groups) => {
+    const fatigueLevels = Object.fromEntries(FATIGUE_LEVELS.map(level => [level, 0]))
+    let totalDrivers = 0
+    let successRateSum = 0
+
+    for (const group of groups) {
+        fatigueLevels[group._id] = group.count
+        totalDrivers += group.count
+        successRateSum += group.avgSuccessRate * group.count
+    }
+
+    return {
+        activeDrivers: totalDrivers,
+        averageSuccessRate: totalDrivers > 0 ? roundTo2(successRateSum / totalDrivers) : 0,
+        fatigueLevels
+    }
+}
+
+const summarizeAreas = (groups) => groups.map(group => ({
+    area: group._id,
+    orders: group.orders,
+    totalProfit: roundTo2(group.totalProfit),
+    fuelCost: roundTo2(group.fuelCost),
+    penalties: roundTo2(group.penalties),
+    onTimeCount: group.onTimeCount,
+    lateCount: group.lateCount,
+    latePercent: group.orders > 0 ? roundTo2((group.lateCount / group.orders) * 100) : 0
+}))
+
+const summarizeSimulationKpis = (simulation) => {
+    if (!simulation) return null
+
+    const { results } = simulation
+    return {
+        source: "simulation",
+        simulationId: simulation._id,
+        simulationName: simulation.inputs.simulationName,
+        createdAt: simulation.createdAt,
+        totalProfit: results.totalProfit,
+        efficiencyScore: results.efficiencyScore,
+        onTimeDeliveries: results.onTimeCount,
+        lateDeliveries: results.lateCount,
+        totalOrders: results.totalOrders,
+        penalties: results.penalties,
+        bonuses: results.bonuses,
+        fuelCost: {
+            total: results.fuelCostBreakdown.total,
+            ...Object.fromEntries(TRAFFIC_LEVELS.map(level => [level, results.fuelCostBreakdown.byTrafficLevel[level] || 0]))
+        },
+        performance: simulation.getPerformanceSummary()
+    }
+}
+
+/*
+ * The date range filters orders and simulations by createdAt. Drivers and routes are master data, so their
+ * statistics always describe the current active fleet and network.
+ * KPIs come from the requested simulation, or else from the latest completed one inside the range.
+ */
+const getDashboardData = async ({ from, to, simulationId } = {}) => {
+    const createdAtMatch = buildCreatedAtMatch({ from, to })
+
+    let simulationQuery
+    if (simulationId) {
+        if (!mongoose.isValidObjectId(simulationId)) {
+            throw new ApiError(400, "Invalid simulation id")
+        }
+        simulationQuery = Simulation.findOne({ _id: simulationId, status: 'completed' })
+    } else {
+        simulationQuery = Simulation.findOne({ status: 'completed', ...createdAtMatch }).sort({ createdAt: -1 })
+    }
+
+    const [
+        kpiSimulation,
+        deliveryMetrics,
+        orderStatistics,
+        routeStatistics,
+        driverStatistics,
+        simulationAnalytics,
+        latestSimulations
+    ] = await Promise.all([
+        simulationQuery,
+        Order.getDeliveryMetrics(createdAtMatch),
+        Order.getOrderStatistics(createdAtMatch),
+        Route.getRouteStatistics(),
+        Driver.getDriverStatistics(),
+        Simulation.getSimulationAnalytics(createdAtMatch),
+        Simulation.find({ status: 'completed', ...createdAtMatch })
+            .sort({ createdAt: -1 })
+            .limit(LATEST_SIMULATIONS_LIMIT)
+            .select('inputs results metadata executedBy executionTime createdAt')
+            .populate('executedBy', 'username fullName')
+    ])
+
+    if (simulationId && !kpiSimulation) {
+        throw new ApiError(404, "Simulation not found or not completed")
+    }
+
+    const metrics = deliveryMetrics[0]
+    const areaBreakdown = kpiSimulation ? await Simulation.getAreaBreakdown(kpiSimulation._id) : []
+
+    return {
+        filters: {
+            from: createdAtMatch.createdAt?.$gte || null,
+            to: createdAtMatch.createdAt?.$lte || null,
+            simulationId: simulationId || null
+        },
+        kpis: summarizeSimulationKpis(kpiSimulation),
+        // Per-area profit and lateness of the KPI simulation
+        areas: summarizeAreas(areaBreakdown),
+        deliveries: {
+            totalOrders: metrics?.totalOrders || 0,
+            onTimeDeliveries: metrics?.onTimeDeliveries || 0,
+            lateDeliveries: metrics?.lateDeliveries || 0,
+            totalProfit: roundTo2(metrics?.totalProfit || 0),
+            efficiencyScore: roundTo2(metrics?.efficiencyScore || 0),
+            avgOrderValue: roundTo2(metrics?.avgOrderValue || 0)
+        },
+        ordersByStatus: orderStatistics,
+        routesByTrafficLevel: routeStatistics,
+        drivers: summarizeDrivers(driverStatistics),
+        simulations: simulationAnalytics[0] || null,
+        latestSimulations: latestSimulations.map(simulation => ({
+            _id: simulation._id,
+            simulationName: simulation.inputs.simulationName,
+            algorithmUsed: simulation.metadata?.algorithmUsed,
+            inputs: simulation.inputs,
+            executedBy: simulation.executedBy,
+            createdAt: simulation.createdAt,
+            ...simulation.getPerformanceSummary(),
+            onTimeCount: simulation.results.onTimeCount,
+            lateCount: simulation.results.lateCount,
+            fuelCost: simulation.results.fuelCostBreakdown.total
+        }))
+    }
+}
+
+export {
+    getDashboardData
+}
@@ -0,0 +1,105 @@
+import { isValidObjectId } from "mongoose"
+import { Driver } from "../models/driver.model.js"
+import { Route } from "../models/route.model.js"
+import { Order } from "../models/order.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import { minutesOfDay, minutesToTime, toShiftMinutes } from "../utils/time.js"
+import { getLatestRolloverBoundary } from "./hoursOfService.service.js"
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/
+const ROUTE_SUMMARY_FIELDS = 'routeId area distanceKm trafficLevel baseTimeMin depot'
+
+const getLinkedDriver = async (user) => {
+    const driver = user.driver ? await Driver.findById(user.driver) : null
+    if (!driver || !driver.isActive) {
+        throw new ApiError(403, "Your account is not linked to an active driver")
+    }
+    return driver
+}
+
+// Orders assigned to someone else are reported as missing rather than forbidden
+const findOwnOrderOrThrow = async (driver, orderId) => {
+    if (!isValidObjectId(orderId)) {
+        throw new ApiError(400, "Invalid order id")
+    }
+
+    const order = await Order.findOne({ _id: orderId, assignedDriver: driver._id })
+    if (!order) {
+        throw new ApiError(404, "Order not found among your assignments")
+    }
+    return order
+}
+
+// The working day starts at the hours rollover boundary. Orders already in transit stay listed until they
+// are delivered or failed, whenever they were assigned.
+const getTodaysOrders = async (driver, now = new Date()) => {
+    const dayStart = getLatestRolloverBoundary(now)
+    const orders = await Order.find({
+        assignedDriver: driver._id,
+        $or: [
+            { status: 'in_transit' },
+            { status: 'assigned', statusHistory: { $elemMatch: { status: 'assigned', at: { $gte: dayStart } } } }
+        ]
+    })
+        .populate('assignedRoute', ROUTE_SUMMARY_FIELDS)
+        .sort({ deliveryTime: 1, orderId: 1 })
+
+    return { dayStart, orders }
+}
+
+const pickUpOrder = async (driver, orderId, actor) => {
+    const order = await findOwnOrderOrThrow(driver, orderId)
+    order.transitionTo('in_transit', { actor, reason: "Picked up by driver" })
+    return order.save()
+}
+
+// The delivery took from the pickup until actualDeliveryTime; that duration is what the route's on-time rule
+// and average delivery time are based on
+const deliverOrder = async (driver, orderId, { actualDeliveryTime, notes }, actor) => {
+    if (typeof actualDeliveryTime !== "string" || !TIME_PATTERN.test(actualDeliveryTime)) {
+        throw new ApiError(400, "actualDeliveryTime is required in HH:MM format")
+    }
+
+    const order = await findOwnOrderOrThrow(driver, orderId)
+    const pickup = order.statusHistory.findLast(change => change.status === 'in_transit')
+    if (!order.canTransitionTo('delivered') || !pickup) {
+        throw new ApiError(409, `Order #${order.orderId} must be picked up before it can be delivered`)
+    }
+
+    const pickupMinutes = minutesOfDay(pickup.at)
+    const deliveryMinutes = toShiftMinutes(actualDeliveryTime, pickupMinutes) - pickupMinutes
+    if (deliveryMinutes < 0) {
+        throw new ApiError(400, `actualDeliveryTime cannot be before the pickup at ${minutesToTime(pickupMinutes)}`)
+    }
+
+    const route = order.assignedRoute ?
+        await Route.findById(order.assignedRoute) : await Route.findOne({ routeId: order.routeId })
+    if (!route) {
+        throw new ApiError(409, `Route ${order.routeId} of order #${order.orderId} no longer exists`)
+    }
+    const isOnTime = route.isDeliveryOnTime(deliveryMinutes, driver.getFatigueLevel())
+
+    if (typeof notes === "string" && notes.trim()) {
+        order.deliveryNotes = notes.trim()
+    }
+    await order.markAsDelivered(actualDeliveryTime, isOnTime, null, { deliveryMinutes, actor })
+
+    return { order, deliveryMinutes, isOnTime }
+}
+
+const failOrder = async (driver, orderId, reason, actor) => {
+    if (typeof reason !== "string" || !reason.trim()) {
+        throw new ApiError(400, "A reason is required to fail an order")
+    }
+
+    const order = await findOwnOrderOrThrow(driver, orderId)
+    return order.closeWithReason('failed', reason.trim(), { actor })
+}
+
+export {
+    getLinkedDriver,
+    getTodaysOrders,
+    pickUpOrder,
+    deliverOrder,
+    failOrder
+}
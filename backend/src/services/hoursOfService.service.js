@@ -0,0 +1,116 @@
+import { Driver } from "../models/driver.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import { runWithActor } from "../utils/requestContext.js"
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const DEFAULT_ROLLOVER_TIME = "00:00"
+const DEFAULT_NEAR_LIMIT_RATIO = 0.8
+
+const roundTo2 = (value) => Math.round(value * 100) / 100
+
+// HOURS_ROLLOVER_TIME is the server-local HH:MM at which a working day ends
+const getRolloverTime = () => {
+    const value = process.env.HOURS_ROLLOVER_TIME || DEFAULT_ROLLOVER_TIME
+    const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(value)
+    if (!match) {
+        console.warn(`Invalid HOURS_ROLLOVER_TIME '${value}', using ${DEFAULT_ROLLOVER_TIME}`)
+        return { hours: 0, minutes: 0 }
+    }
+    return { hours: Number(match[1]), minutes: Number(match[2]) }
+}
+
+// The most recent end-of-day boundary at or before `now`
+const getLatestRolloverBoundary = (now = new Date()) => {
+    const { hours, minutes } = getRolloverTime()
+    const boundary = new Date(now)
+    boundary.setHours(hours, minutes, 0, 0)
+    if (boundary > now) {
+        boundary.setDate(boundary.getDate() - 1)
+    }
+    return boundary
+}
+
+// Moves currentDayHours into pastWeekHours for every driver that has not been rolled over since the latest
+// boundary. Safe to run repeatedly; drivers that missed several boundaries get 0-hour days for the gaps.
+const rolloverDriverHours = async (now = new Date()) => {
+    const boundary = getLatestRolloverBoundary(now)
+    const drivers = await Driver.find({ hoursRolledOverAt: { $lt: boundary } })
+
+    for (const driver of drivers) {
+        const boundariesPassed = Math.ceil((boundary - driver.hoursRolledOverAt) / DAY_MS)
+        const idleDays = Math.min(6, Math.max(0, boundariesPassed - 1))
+        const hoursWorked = driver.currentDayHours
+
+        driver.currentDayHours = 0
+        driver.hoursRolledOverAt = boundary
+        await driver.updateDailyHours(hoursWorked, idleDays)
+    }
+
+    return { boundary, driversRolledOver: drivers.length }
+}
+
+let rolloverTimer = null
+
+// Catches up on any boundary missed while the server was down, then re-arms itself for the next one
+const scheduleHoursRollover = async () => {
+    clearTimeout(rolloverTimer)
+
+    // Drivers stored before rollover tracking start counting from now instead of being rolled over at once
+    await Driver.updateMany({ hoursRolledOverAt: { $exists: false } }, { $set: { hoursRolledOverAt: new Date() } })
+
+    try {
+        const { driversRolledOver } = await rolloverDriverHours()
+        if (driversRolledOver > 0) {
+            console.log(`Rolled over daily hours for ${driversRolledOver} driver(s)`)
+        }
+    } catch (error) {
+        console.error("Driver hours rollover failed", error)
+    }
+
+    const nextBoundary = getLatestRolloverBoundary()
+    nextBoundary.setDate(nextBoundary.getDate() + 1)
+    // The scheduled rollover is a server action, never attributed to a user
+    rolloverTimer = setTimeout(() => runWithActor(null, () => {
+        scheduleHoursRollover().catch(error => console.error("Driver hours rollover failed", error))
+    }), nextBoundary - Date.now())
+}
+
+// Each driver's limit is maxHours when given, otherwise their own shift length.
+// threshold is the share of the limit (0-1] from which a driver is reported.
+const getDriversNearingLimit = async ({ maxHours, threshold = DEFAULT_NEAR_LIMIT_RATIO } = {}) => {
+    if (threshold <= 0 || threshold > 1) {
+        throw new ApiError(400, "threshold must be greater than 0 and at most 1")
+    }
+    if (maxHours !== undefined && maxHours <= 0) {
+        throw new ApiError(400, "maxHours must be greater than 0")
+    }
+
+    const drivers = await Driver.find({ isActive: true })
+
+    const report = drivers
+        .map(driver => {
+            const limitHours = maxHours ?? driver.shiftHours
+            const currentDayHours = roundTo2(driver.currentDayHours)
+            return {
+                _id: driver._id,
+                name: driver.name,
+                currentDayHours,
+                limitHours,
+                remainingHours: roundTo2(Math.max(0, limitHours - currentDayHours)),
+                percentUsed: Math.round((currentDayHours / limitHours) * 100),
+                status: currentDayHours >= limitHours ? "at-limit" : "near-limit",
+                fatigueLevel: driver.getFatigueLevel()
+            }
+        })
+        .filter(entry => entry.currentDayHours >= entry.limitHours * threshold)
+        .sort((a, b) => a.remainingHours - b.remainingHours)
+
+    return { threshold, maxHours: maxHours ?? null, drivers: report }
+}
+
+export {
+    getLatestRolloverBoundary,
+    rolloverDriverHours,
+    scheduleHoursRollover,
+    getDriversNearingLimit
+}
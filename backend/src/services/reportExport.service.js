@@ -0,0 +1,332 @@
+import mongoose from "mongoose"
+import { Simulation } from "../models/simulation.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import { buildCreatedAtMatch } from "../utils/queryHelpers.js"
+import { getDashboardData } from "./dashboard.service.js"
+
+const TRAFFIC_LEVELS = ['Low', 'Medium', 'High']
+
+const roundTo2 = (value) => Math.round(value * 100) / 100
+
+const toFilename = (...parts) => parts
+    .filter(Boolean)
+    .join("-")
+    .toLowerCase()
+    .replace(/[^a-z0-9-]+/g, "-")
+    .replace(/-+/g, "-")
+    .replace(/^-|-$/g, "")
+
+const formatDeliveryTime = (entry) => {
+    if (!entry.actualDeliveryTime) return null
+    return entry.dayOffset > 0 ? `${entry.actualDeliveryTime} (+${entry.dayOffset} day)` : entry.actualDeliveryTime
+}
+
+const formatUser = (user) => user?.fullName || user?.username || null
+
+const deliveriesChart = (onTime, late) => ({
+    title: "On-time vs late deliveries",
+    bars: [{ label: "On time", value: onTime }, { label: "Late", value: late }]
+})
+
+const fuelCostSection = (total = 0, byTrafficLevel = {}) => {
+    const levels = TRAFFIC_LEVELS.map(level => ({
+        trafficLevel: level,
+        fuelCost: roundTo2(byTrafficLevel[level] || 0),
+        share: total > 0 ? roundTo2(((byTrafficLevel[level] || 0) / total) * 100) : 0
+    }))
+
+    return {
+        title: "Fuel cost breakdown",
+        columns: [
+            { key: "trafficLevel", header: "Traffic level", width: 2 },
+            { key: "fuelCost", header: "Fuel cost (Rs)", align: "right" },
+            { key: "share", header: "Share (%)", align: "right" }
+        ],
+        rows: [...levels, { trafficLevel: "Total", fuelCost: roundTo2(total), share: total > 0 ? 100 : 0 }],
+        chart: {
+            title: "Fuel cost by traffic level (Rs)",
+            bars: levels.map(level => ({ label: level.trafficLevel, value: level.fuelCost }))
+        }
+    }
+}
+
+// The per-order table is read through a cursor, one batch at a time, with driver names and route ids joined in
+async function* streamProcessedOrders(simulationId) {
+    const cursor = Simulation.aggregate([
+        { $match: { _id: simulationId } },
+        { $unwind: '$ordersProcessed' },
+        { $replaceRoot: { newRoot: '$ordersProcessed' } },
+        { $lookup: { from: 'drivers', localField: 'driverAssigned', foreignField: '_id', as: 'driver' } },
+        { $lookup: { from: 'routes', localField: 'routeUsed', foreignField: '_id', as: 'route' } },
+        {
+            $project: {
+                orderId: 1,
+                tripNumber: 1,
+                actualDeliveryTime: 1,
+                dayOffset: 1,
+                wasOnTime: 1,
+                profit: 1,
+                fuelCost: 1,
+                penalty: 1,
+                bonus: 1,
+                driverName: { $first: '$driver.name' },
+                routeId: { $first: '$route.routeId' },
+                trafficLevel: { $first: '$route.trafficLevel' }
+            }
+        }
+    ]).cursor()
+
+    for await (const entry of cursor) {
+        yield { ...entry, deliveredAt: formatDeliveryTime(entry) }
+    }
+}
+
+const buildSimulationReport = async (simulationId) => {
+    if (!mongoose.isValidObjectId(simulationId)) {
+        throw new ApiError(400, "Invalid simulation id")
+    }
+
+    const simulation = await Simulation.findById(simulationId)
+        .select('-ordersProcessed -trips')
+        .populate('executedBy', 'username fullName')
+    if (!simulation) {
+        throw new ApiError(404, "Simulation not found")
+    }
+    if (simulation.status !== 'completed') {
+        throw new ApiError(409, `Only completed simulations can be exported; this one is ${simulation.status}`)
+    }
+
+    const { inputs, results, metadata } = simulation
+    const summary = simulation.getPerformanceSummary()
+    const name = inputs.simulationName || `Simulation ${simulation._id}`
+
+    return {
+        title: name,
+        subtitle: `Simulation report - run on ${simulation.createdAt.toISOString().slice(0, 16).replace("T", " ")} UTC`,
+        filename: toFilename("simulation", inputs.simulationName, String(simulation._id)),
+        sections: [
+            {
+                title: "Summary",
+                fields: [
+                    { label: "Simulation id", value: String(simulation._id) },
+                    { label: "Run on", value: simulation.createdAt },
+                    { label: "Executed by", value: formatUser(simulation.executedBy) },
+                    { label: "Assignment strategy", value: inputs.assignmentStrategy },
+                    { label: "Available drivers", value: inputs.availableDrivers },
+                    { label: "Route start time", value: inputs.routeStartTime },
+                    { label: "Max hours per driver", value: inputs.maxHoursPerDriver },
+                    { label: "Max orders per trip", value: inputs.maxOrdersPerTrip ?? null },
+                    { label: "Rule set version", value: metadata?.ruleSetVersion ?? null },
+                    { label: "Seed", value: metadata?.seed != null ? String(metadata.seed) : null },
+                    { label: "Total orders", value: results.totalOrders },
+                    { label: "On-time deliveries", value: results.onTimeCount },
+                    { label: "Late deliveries", value: results.lateCount },
+                    { label: "Efficiency score (%)", value: results.efficiencyScore },
+                    { label: "Total profit (Rs)", value: results.totalProfit },
+                    { label: "Profit per order (Rs)", value: summary.profitPerOrder },
+                    { label: "Penalties (Rs)", value: results.penalties },
+                    { label: "Bonuses (Rs)", value: results.bonuses },
+                    { label: "Average delivery time (min)", value: results.averageDeliveryTime },
+                    { label: "Driver utilization (%)", value: results.driverUtilization ?? null },
+                    { label: "ROI (%)", value: summary.roi }
+                ],
+                chart: deliveriesChart(results.onTimeCount, results.lateCount)
+            },
+            fuelCostSection(results.fuelCostBreakdown.total, results.fuelCostBreakdown.byTrafficLevel),
+            {
+                title: "Orders processed",
+                columns: [
+                    { key: "orderId", header: "Order", grouping: false },
+                    { key: "tripNumber", header: "Trip", width: 0.7, grouping: false },
+                    { key: "driverName", header: "Driver", width: 2 },
+                    { key: "routeId", header: "Route", width: 0.8, grouping: false },
+                    { key: "trafficLevel", header: "Traffic" },
+                    { key: "deliveredAt", header: "Delivered at", width: 1.6 },
+                    { key: "wasOnTime", header: "On time", width: 0.9 },
+                    { key: "profit", header: "Profit (Rs)", align: "right", width: 1.2 },
+                    { key: "fuelCost", header: "Fuel (Rs)", align: "right" },
+                    { key: "penalty", header: "Penalty (Rs)", align: "right", width: 1.1 },
+                    { key: "bonus", header: "Bonus (Rs)", align: "right" }
+                ],
+                rows: streamProcessedOrders(simulation._id)
+            }
+        ]
+    }
+}
+
+async function* streamSimulationsInRange(createdAtMatch) {
+    const cursor = Simulation.find({ status: 'completed', ...createdAtMatch })
+        .sort({ createdAt: -1 })
+        .select('inputs results metadata createdAt')
+        .lean()
+        .cursor()
+
+    for await (const simulation of cursor) {
+        yield {
+            createdAt: simulation.createdAt,
+            simulationName: simulation.inputs.simulationName || String(simulation._id),
+            assignmentStrategy: simulation.inputs.assignmentStrategy,
+            availableDrivers: simulation.inputs.availableDrivers,
+            totalOrders: simulation.results.totalOrders,
+            onTimeCount: simulation.results.onTimeCount,
+            lateCount: simulation.results.lateCount,
+            efficiencyScore: simulation.results.efficiencyScore,
+            totalProfit: simulation.results.totalProfit,
+            fuelCost: simulation.results.fuelCostBreakdown.total
+        }
+    }
+}
+
+// Same data and date filtering as the dashboard, plus every completed simulation in the range
+const buildDashboardReport = async ({ from, to, simulationId } = {}) => {
+    const dashboard = await getDashboardData({ from, to, simulationId })
+    const createdAtMatch = buildCreatedAtMatch({ from, to })
+    const { filters, kpis, deliveries, drivers } = dashboard
+
+    const period = `${filters.from ? filters.from.toISOString().slice(0, 10) : "start"} to ${filters.to ? filters.to.toISOString().slice(0, 10) : "today"}`
+
+    const sections = [
+        {
+            title: "Report period",
+            fields: [
+                { label: "From", value: filters.from },
+                { label: "To", value: filters.to },
+                { label: "Generated at", value: new Date() },
+                { label: "KPI simulation", value: kpis ? kpis.simulationName || String(kpis.simulationId) : null }
+            ]
+        }
+    ]
+
+    if (kpis) {
+        sections.push(
+            {
+                title: "Simulation KPIs",
+                fields: [
+                    { label: "Total profit (Rs)", value: kpis.totalProfit },
+                    { label: "Efficiency score (%)", value: kpis.efficiencyScore },
+                    { label: "Total orders", value: kpis.totalOrders },
+                    { label: "On-time deliveries", value: kpis.onTimeDeliveries },
+                    { label: "Late deliveries", value: kpis.lateDeliveries },
+                    { label: "Penalties (Rs)", value: kpis.penalties },
+                    { label: "Bonuses (Rs)", value: kpis.bonuses },
+                    { label: "Profit per order (Rs)", value: kpis.performance.profitPerOrder },
+                    { label: "ROI (%)", value: kpis.performance.roi }
+                ],
+                chart: deliveriesChart(kpis.onTimeDeliveries, kpis.lateDeliveries)
+            },
+            fuelCostSection(kpis.fuelCost.total, kpis.fuelCost),
+            {
+                title: "Profit and lateness by area",
+                columns: [
+                    { key: "area", header: "Area", width: 2 },
+                    { key: "orders", header: "Orders", align: "right" },
+                    { key: "totalProfit", header: "Profit (Rs)", align: "right", width: 1.3 },
+                    { key: "fuelCost", header: "Fuel (Rs)", align: "right" },
+                    { key: "penalties", header: "Penalties (Rs)", align: "right", width: 1.2 },
+                    { key: "lateCount", header: "Late", align: "right" },
+                    { key: "latePercent", header: "Late (%)", align: "right" }
+                ],
+                rows: dashboard.areas.map(area => ({ ...area, area: area.area || "No area" })),
+                chart: {
+                    title: "Profit by area (Rs)",
+                    bars: dashboard.areas.map(area => ({ label: area.area || "No area", value: area.totalProfit }))
+                }
+            }
+        )
+    }
+
+    sections.push(
+        {
+            title: "Deliveries",
+            fields: [
+                { label: "Total orders", value: deliveries.totalOrders },
+                { label: "On-time deliveries", value: deliveries.onTimeDeliveries },
+                { label: "Late deliveries", value: deliveries.lateDeliveries },
+                { label: "Efficiency score (%)", value: deliveries.efficiencyScore },
+                { label: "Total profit (Rs)", value: deliveries.totalProfit },
+                { label: "Average order value (Rs)", value: deliveries.avgOrderValue }
+            ],
+            chart: deliveriesChart(deliveries.onTimeDeliveries, deliveries.lateDeliveries)
+        },
+        {
+            title: "Orders by status",
+            columns: [
+                { key: "status", header: "Status", width: 1.5 },
+                { key: "count", header: "Orders", align: "right" },
+                { key: "totalValue", header: "Value (Rs)", align: "right" },
+                { key: "totalProfit", header: "Profit (Rs)", align: "right" },
+                { key: "totalPenalties", header: "Penalties (Rs)", align: "right" },
+                { key: "totalBonuses", header: "Bonuses (Rs)", align: "right" }
+            ],
+            rows: dashboard.ordersByStatus.map(group => ({
+                status: group._id,
+                count: group.count,
+                totalValue: roundTo2(group.totalValue || 0),
+                totalProfit: roundTo2(group.totalProfit || 0),
+                totalPenalties: roundTo2(group.totalPenalties || 0),
+                totalBonuses: roundTo2(group.totalBonuses || 0)
+            })),
+            chart: {
+                title: "Orders by status",
+                bars: dashboard.ordersByStatus.map(group => ({ label: group._id, value: group.count }))
+            }
+        },
+        {
+            title: "Drivers",
+            fields: [
+                { label: "Active drivers", value: drivers.activeDrivers },
+                { label: "Average success rate (%)", value: drivers.averageSuccessRate },
+                ...Object.entries(drivers.fatigueLevels).map(([level, count]) => ({ label: `Fatigue: ${level}`, value: count }))
+            ],
+            chart: {
+                title: "Drivers by fatigue level",
+                bars: Object.entries(drivers.fatigueLevels).map(([level, count]) => ({ label: level, value: count }))
+            }
+        },
+        {
+            title: "Routes by traffic level",
+            columns: [
+                { key: "trafficLevel", header: "Traffic level", width: 1.5 },
+                { key: "totalRoutes", header: "Routes", align: "right" },
+                { key: "avgDistance", header: "Avg distance (km)", align: "right", width: 1.3 },
+                { key: "avgBaseTime", header: "Avg base time (min)", align: "right", width: 1.3 },
+                { key: "avgFuelCost", header: "Avg fuel cost (Rs)", align: "right", width: 1.3 }
+            ],
+            rows: dashboard.routesByTrafficLevel.map(group => ({
+                trafficLevel: group._id,
+                totalRoutes: group.totalRoutes,
+                avgDistance: roundTo2(group.avgDistance || 0),
+                avgBaseTime: roundTo2(group.avgBaseTime || 0),
+                avgFuelCost: roundTo2(group.avgFuelCost || 0)
+            }))
+        },
+        {
+            title: "Simulations in period",
+            columns: [
+                { key: "createdAt", header: "Run on", width: 1.6 },
+                { key: "simulationName", header: "Name", width: 2 },
+                { key: "assignmentStrategy", header: "Strategy", width: 1.3 },
+                { key: "availableDrivers", header: "Drivers", align: "right", width: 0.8 },
+                { key: "totalOrders", header: "Orders", align: "right", width: 0.8 },
+                { key: "onTimeCount", header: "On time", align: "right", width: 0.8 },
+                { key: "lateCount", header: "Late", align: "right", width: 0.8 },
+                { key: "efficiencyScore", header: "Efficiency (%)", align: "right" },
+                { key: "totalProfit", header: "Profit (Rs)", align: "right", width: 1.2 },
+                { key: "fuelCost", header: "Fuel (Rs)", align: "right" }
+            ],
+            rows: streamSimulationsInRange(createdAtMatch)
+        }
+    )
+
+    return {
+        title: "GreenCart KPI report",
+        subtitle: `Period: ${period}`,
+        filename: toFilename("kpi-report", period.replace(" to ", "-to-")),
+        sections
+    }
+}
+
+export {
+    buildSimulationReport,
+    buildDashboardReport
+}
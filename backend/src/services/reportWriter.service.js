@@ -0,0 +1,298 @@
+import { once } from "node:events"
+import { finished } from "node:stream/promises"
+import { stringify } from "csv-stringify"
+import ExcelJS from "exceljs"
+import PDFDocument from "pdfkit"
+import { ApiError } from "../utils/ApiError.js"
+
+/*
+ * A report is { title, subtitle, filename, sections }. Each section has a title and either
+ *   fields:  [{ label, value }]                       - a two-column summary
+ *   columns: [{ key, header, width, align, grouping }] and rows - a table; rows may be an array or an async iterable
+ * and can carry a chart: { title, bars: [{ label, value }] }. Charts are only drawn in PDF, since the
+ * CSV and XLSX files already hold the same numbers as tables.
+ * Rows are written as they are read, so a cursor can be passed in without loading the whole table, and
+ * reading stops as soon as the client goes away.
+ */
+const EXPORT_FORMATS = {
+    csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+    xlsx: { contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", extension: "xlsx" },
+    pdf: { contentType: "application/pdf", extension: "pdf" }
+}
+
+const parseExportFormat = (format) => {
+    const value = String(format ?? "").toLowerCase()
+    if (!Object.hasOwn(EXPORT_FORMATS, value)) {
+        throw new ApiError(400, `format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`)
+    }
+    return value
+}
+
+const sectionRows = (section) => section.fields ?
+    section.fields.map(({ label, value }) => ({ label, value })) :
+    section.rows
+
+const sectionColumns = (section) => section.fields ?
+    [{ key: "label", header: "Metric", width: 2 }, { key: "value", header: "Value", width: 2 }] :
+    section.columns
+
+// PDFKit and the XLSX writer push into `output` without waiting for it, so the row loops wait here instead
+// whenever the client is behind; otherwise a slow download would buffer the whole file in memory
+const waitForOutput = async (output, signal) => {
+    signal.throwIfAborted()
+    if (output.writableNeedDrain) await once(output, "drain", { signal })
+}
+
+const writeCsv = async (output, report, signal) => {
+    const csv = stringify({
+        bom: true,
+        cast: {
+            boolean: (value) => value ? "true" : "false",
+            date: (value) => value.toISOString()
+        }
+    })
+    csv.pipe(output)
+
+    const write = async (record) => {
+        signal.throwIfAborted()
+        if (!csv.write(record)) await once(csv, "drain", { signal })
+    }
+
+    for (const [index, section] of report.sections.entries()) {
+        if (index > 0) await write([])
+        await write([section.title])
+
+        const columns = sectionColumns(section)
+        if (!section.fields) await write(columns.map(column => column.header))
+        for await (const row of sectionRows(section)) {
+            await write(columns.map(column => row[column.key] ?? ""))
+        }
+    }
+
+    csv.end()
+    await finished(output)
+}
+
+// Worksheet names are limited to 31 characters and must be unique within a workbook
+const toSheetName = (title, usedNames) => {
+    const base = title.replace(/[[\]:*?/\\]+/g, " ").replace(/\s+/g, " ").slice(0, 31).trim() || "Sheet"
+    let name = base
+    for (let suffix = 2; usedNames.has(name.toLowerCase()); suffix += 1) {
+        name = `${base.slice(0, 31 - String(suffix).length - 1)} ${suffix}`
+    }
+    usedNames.add(name.toLowerCase())
+    return name
+}
+
+const writeXlsx = async (output, report, signal) => {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true })
+    workbook.creator = "GreenCart Logistics"
+    workbook.title = report.title
+
+    const usedNames = new Set()
+    for (const section of report.sections) {
+        const worksheet = workbook.addWorksheet(toSheetName(section.title, usedNames))
+        worksheet.columns = sectionColumns(section).map(column => ({
+            key: column.key,
+            header: column.header,
+            width: Math.max(12, (column.width ?? 1) * 12)
+        }))
+        worksheet.getRow(1).font = { bold: true }
+        worksheet.getRow(1).commit()
+
+        for await (const row of sectionRows(section)) {
+            worksheet.addRow(row).commit()
+            await waitForOutput(output, signal)
+        }
+        worksheet.commit()
+    }
+
+    await workbook.commit()
+    await finished(output)
+}
+
+const PAGE_MARGIN = 40
+const ROW_HEIGHT = 18
+const CELL_PADDING = 4
+const CHART_BAR_HEIGHT = 14
+const CHART_LABEL_WIDTH = 140
+const COLORS = {
+    text: "#0f172a",
+    muted: "#64748b",
+    headerFill: "#ecfdf5",
+    stripeFill: "#f8fafc",
+    positive: "#059669",
+    negative: "#e11d48"
+}
+
+const formatPdfValue = (value, { grouping = true } = {}) => {
+    if (value === null || value === undefined || value === "") return "-"
+    if (value instanceof Date) return value.toISOString().slice(0, 16).replace("T", " ")
+    if (typeof value === "boolean") return value ? "Yes" : "No"
+    if (typeof value === "number") return value.toLocaleString("en-IN", { maximumFractionDigits: 2, useGrouping: grouping })
+    return String(value)
+}
+
+const createPdfWriter = (doc) => {
+    const left = PAGE_MARGIN
+    const width = doc.page.width - PAGE_MARGIN * 2
+    const bottom = () => doc.page.height - PAGE_MARGIN
+
+    // Starts a new page when the next block does not fit, and reports whether it did
+    const ensureSpace = (height) => {
+        if (doc.y + height <= bottom()) return false
+        doc.addPage()
+        return true
+    }
+
+    const heading = (text) => {
+        ensureSpace(ROW_HEIGHT * 3)
+        doc.moveDown(0.5)
+        doc.font("Helvetica-Bold").fontSize(13).fillColor(COLORS.text).text(text, left, doc.y, { width })
+        doc.moveDown(0.3)
+    }
+
+    const cell = (value, x, y, cellWidth, { bold = false, align = "left", grouping } = {}) => {
+        doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9).fillColor(COLORS.text)
+            .text(formatPdfValue(value, { grouping }), x + CELL_PADDING, y + 5, {
+                width: cellWidth - CELL_PADDING * 2,
+                height: ROW_HEIGHT - 5,
+                align,
+                ellipsis: true,
+                lineBreak: false
+            })
+    }
+
+    const tableRow = (values, columns, { header = false, stripe = false } = {}) => {
+        const y = doc.y
+        if (header || stripe) {
+            doc.rect(left, y, width, ROW_HEIGHT).fill(header ? COLORS.headerFill : COLORS.stripeFill)
+        }
+        let x = left
+        values.forEach((value, index) => {
+            const { width: cellWidth, align, grouping } = columns[index]
+            cell(value, x, y, cellWidth, { bold: header, align, grouping })
+            x += cellWidth
+        })
+        doc.y = y + ROW_HEIGHT
+    }
+
+    const table = async (columns, rows, beforeRow) => {
+        const totalWeight = columns.reduce((sum, column) => sum + (column.width ?? 1), 0)
+        const layout = columns.map(column => ({ ...column, width: width * (column.width ?? 1) / totalWeight }))
+        const headers = columns.map(column => column.header)
+
+        ensureSpace(ROW_HEIGHT * 2)
+        tableRow(headers, layout, { header: true })
+
+        let index = 0
+        for await (const row of rows) {
+            await beforeRow()
+            // The header is repeated on every page the table continues on
+            if (ensureSpace(ROW_HEIGHT)) tableRow(headers, layout, { header: true })
+            tableRow(columns.map(column => row[column.key]), layout, { stripe: index % 2 === 1 })
+            index += 1
+        }
+        if (index === 0) {
+            tableRow(["No rows"], [{ width }])
+        }
+    }
+
+    const fields = (entries) => {
+        const layout = [{ width: width * 0.45 }, { width: width * 0.55 }]
+        entries.forEach(({ label, value }, index) => {
+            ensureSpace(ROW_HEIGHT)
+            tableRow([label, value], layout, { stripe: index % 2 === 1 })
+        })
+    }
+
+    // Horizontal bars scaled to the largest magnitude; negative values are drawn in red from the same origin
+    const barChart = ({ title, bars }) => {
+        const chartHeight = ROW_HEIGHT + bars.length * (CHART_BAR_HEIGHT + 6) + 10
+        ensureSpace(chartHeight)
+
+        doc.moveDown(0.5)
+        doc.font("Helvetica-Bold").fontSize(10).fillColor(COLORS.muted).text(title, left, doc.y, { width })
+        doc.moveDown(0.3)
+
+        const maxValue = Math.max(...bars.map(bar => Math.abs(bar.value ?? 0)), 0)
+        const valueWidth = 70
+        const barArea = width - CHART_LABEL_WIDTH - valueWidth
+        for (const bar of bars) {
+            const y = doc.y
+            const value = bar.value ?? 0
+            const barWidth = maxValue > 0 ? Math.max(1, barArea * Math.abs(value) / maxValue) : 1
+
+            doc.font("Helvetica").fontSize(9).fillColor(COLORS.text)
+                .text(formatPdfValue(bar.label), left, y + 2, { width: CHART_LABEL_WIDTH - 8, ellipsis: true, lineBreak: false })
+            doc.rect(left + CHART_LABEL_WIDTH, y, barWidth, CHART_BAR_HEIGHT)
+                .fill(value < 0 ? COLORS.negative : COLORS.positive)
+            doc.font("Helvetica").fontSize(9).fillColor(COLORS.text)
+                .text(formatPdfValue(value), left + CHART_LABEL_WIDTH + barWidth + 4, y + 2, { width: valueWidth, lineBreak: false })
+
+            doc.y = y + CHART_BAR_HEIGHT + 6
+        }
+        doc.x = left
+    }
+
+    return { heading, table, fields, barChart }
+}
+
+const writePdf = async (output, report, signal) => {
+    const doc = new PDFDocument({ size: "A4", margin: PAGE_MARGIN, info: { Title: report.title, Author: "GreenCart Logistics" } })
+    doc.pipe(output)
+
+    doc.font("Helvetica-Bold").fontSize(18).fillColor(COLORS.text).text(report.title)
+    if (report.subtitle) {
+        doc.font("Helvetica").fontSize(10).fillColor(COLORS.muted).text(report.subtitle)
+    }
+    doc.moveDown(0.5)
+
+    const pdf = createPdfWriter(doc)
+    for (const section of report.sections) {
+        pdf.heading(section.title)
+        if (section.chart && section.chart.bars.length > 0) {
+            pdf.barChart(section.chart)
+            doc.moveDown(0.5)
+        }
+        if (section.fields) {
+            pdf.fields(section.fields)
+        } else {
+            await pdf.table(section.columns, section.rows, () => waitForOutput(output, signal))
+        }
+    }
+
+    doc.end()
+    await finished(output)
+}
+
+const WRITERS = { csv: writeCsv, xlsx: writeXlsx, pdf: writePdf }
+
+// Headers are sent before the first row is read, so everything that can fail with a client error has to be
+// checked before calling this. A failure while streaming ends the response early instead.
+const streamReport = async (res, format, report) => {
+    const disconnected = new AbortController()
+    res.on("close", () => {
+        if (!res.writableFinished) disconnected.abort()
+    })
+
+    const { contentType, extension } = EXPORT_FORMATS[format]
+    res.status(200).set({
+        "Content-Type": contentType,
+        "Content-Disposition": `attachment; filename="${report.filename}.${extension}"`,
+        "Cache-Control": "no-store"
+    })
+
+    try {
+        await WRITERS[format](res, report, disconnected.signal)
+    } catch (error) {
+        // Nothing is left to answer once the client has gone
+        if (!disconnected.signal.aborted) throw error
+    }
+}
+
+export {
+    EXPORT_FORMATS,
+    parseExportFormat,
+    streamReport
+}
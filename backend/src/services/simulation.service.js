@@ -0,0 +1,529 @@
+import { Driver } from "../models/driver.model.js"
+import { Route } from "../models/route.model.js"
+import { Order } from "../models/order.model.js"
+import { Simulation } from "../models/simulation.model.js"
+import { ApiError } from "../utils/ApiError.js"
+import { runWithActor } from "../utils/requestContext.js"
+import { createSeededRandom, MAX_SEED } from "../utils/random.js"
+import { MINUTES_PER_DAY, timeToMinutes, minutesToTime, toShiftMinutes } from "../utils/time.js"
+import { resolveAssignmentStrategy } from "./assignmentStrategy.service.js"
+import {
+    enqueueSimulationJob,
+    getSimulationJob,
+    cancelSimulationJob,
+    JOB_CANCELLED,
+    JOB_TIMED_OUT
+} from "./simulationQueue.service.js"
+import { openSimulationStream, publishOrderEvent, closeSimulationStream } from "./simulationStream.service.js"
+import {
+    buildSnapshot,
+    hydrateSnapshot,
+    deriveSeed,
+    computeConfigurationHash,
+    stableStringify
+} from "./simulationSnapshot.service.js"
+import { RuleSet, getActiveRules } from "../models/ruleSet.model.js"
+import { DEFAULT_BUSINESS_RULES } from "../constants.js"
+
+const SIMULATED_ORDER_STATUSES = ['pending', 'assigned', 'in_transit']
+
+const INPUT_PATHS = [
+    'inputs.assignmentStrategy',
+    'inputs.strategyOptions',
+    'inputs.availableDrivers',
+    'inputs.routeStartTime',
+    'inputs.maxHoursPerDriver',
+    'inputs.maxOrdersPerTrip',
+    'inputs.simulationName',
+    'inputs.description'
+]
+
+const roundTo2 = (value) => Math.round(value * 100) / 100
+
+const loadSimulationData = async ({ availableDrivers, maxHoursPerDriver }) => {
+    const [drivers, routes, orders, rules] = await Promise.all([
+        Driver.findAvailableDrivers(maxHoursPerDriver).limit(availableDrivers),
+        Route.find({ isActive: true }),
+        Order.find({ status: { $in: SIMULATED_ORDER_STATUSES } }).sort({ orderId: 1 }),
+        RuleSet.loadActiveRules()
+    ])
+
+    return { drivers, routes, orders, rules }
+}
+
+// Pure simulation engine: works on already loaded documents and never writes to the database.
+// The assignment strategy decides the order processing sequence and which driver with hours left gets each order.
+// It yields once per order so callers can report progress, stream entries or stop between orders.
+function* simulateOrders({ inputs, drivers, routes, orders, rules = getActiveRules(), seed = 0 }) {
+    const strategy = resolveAssignmentStrategy(inputs.assignmentStrategy, inputs.strategyOptions)
+    const random = createSeededRandom(seed)
+    const maxMinutesPerDriver = inputs.maxHoursPerDriver * 60
+    // Minutes since midnight of the start day; each driver's deliveries run back to back from routeStartTime
+    const startMinutes = timeToMinutes(inputs.routeStartTime)
+    const routesById = new Map(routes.map(route => [route.routeId, route]))
+    // Hours already worked today count towards the limit; only the minutes added here are written back
+    const driverMinutes = drivers.map(driver => Math.round((driver.currentDayHours || 0) * 60))
+    const addedMinutes = drivers.map(() => 0)
+    const strategyState = { nextDriver: 0 }
+    // Orders on the same route ride along on the driver's current trip until it is full.
+    // Missing on older simulations, which always ran one order per trip.
+    const maxOrdersPerTrip = inputs.maxOrdersPerTrip ?? 1
+    const extraStopMinutes = rules.extraStopMinutes ?? DEFAULT_BUSINESS_RULES.extraStopMinutes
+    const currentTrips = drivers.map(() => null)
+    const trips = []
+
+    const results = {
+        totalProfit: 0,
+        efficiencyScore: 0,
+        onTimeCount: 0,
+        lateCount: 0,
+        totalOrders: 0,
+        fuelCostBreakdown: {
+            total: 0,
+            byTrafficLevel: { Low: 0, Medium: 0, High: 0 }
+        },
+        penalties: 0,
+        bonuses: 0,
+        averageDeliveryTime: 0
+    }
+    const ordersProcessed = []
+    const sortedOrders = strategy.sortOrders(orders)
+    let totalDeliveryMinutes = 0
+
+    for (const [position, order] of sortedOrders.entries()) {
+        const step = { processedOrders: position + 1, totalOrders: sortedOrders.length, entry: null, results }
+
+        const route = routesById.get(order.routeId)
+        if (!route) {
+            yield step
+            continue
+        }
+
+        const candidates = drivers
+            .map((driver, index) => {
+                const trip = currentTrips[index]
+                const joinsTrip = trip?.routeId === route.routeId && trip.orderIds.length < maxOrdersPerTrip
+                return {
+                    driver,
+                    index,
+                    joinsTrip,
+                    deliveryMinutes: joinsTrip ? extraStopMinutes : route.calculateDeliveryTime(driver.getFatigueLevel(), rules),
+                    minutesWorked: driverMinutes[index]
+                }
+            })
+            .filter(candidate => candidate.minutesWorked + candidate.deliveryMinutes <= maxMinutesPerDriver)
+            // No delivery may finish after the driver's shift ends
+            .filter(candidate => addedMinutes[candidate.index] + candidate.deliveryMinutes <= candidate.driver.shiftHours * 60)
+        if (candidates.length === 0) {
+            yield step
+            continue
+        }
+
+        // Consolidating into an open trip wins over the strategy; the strategy only picks who starts a new trip
+        const assignment = candidates.find(candidate => candidate.joinsTrip) || strategy.selectDriver(candidates, {
+            order,
+            route,
+            state: strategyState,
+            driverCount: drivers.length,
+            options: strategy.options,
+            random
+        })
+        if (!assignment) {
+            yield step
+            continue
+        }
+
+        const { index, driver, deliveryMinutes, joinsTrip } = assignment
+        if (!joinsTrip) {
+            currentTrips[index] = {
+                tripNumber: trips.length + 1,
+                driverAssigned: driver._id,
+                routeUsed: route._id,
+                routeId: route.routeId,
+                orderIds: [],
+                startMinutes: startMinutes + addedMinutes[index],
+                totalMinutes: 0,
+                fuelCost: 0
+            }
+            trips.push(currentTrips[index])
+        }
+        const trip = currentTrips[index]
+        driverMinutes[index] += deliveryMinutes
+        addedMinutes[index] += deliveryMinutes
+
+        // The delivery slot is where the driver's clock stands after this order; it is late once it passes
+        // the promised delivery time plus the grace period
+        const deliveredAt = startMinutes + addedMinutes[index]
+        const promisedAt = toShiftMinutes(order.deliveryTime, startMinutes)
+        const wasOnTime = deliveredAt <= promisedAt + rules.gracePeriodMinutes
+        order.actualDeliveryTime = minutesToTime(deliveredAt)
+        // Fuel is paid once per trip, by the order that started it; without a route calculateProfit charges none
+        const { penalty, bonus, fuelCost, profit } = order.calculateProfit(joinsTrip ? null : route, wasOnTime, rules)
+        trip.orderIds.push(order.orderId)
+        trip.totalMinutes += deliveryMinutes
+        trip.fuelCost += fuelCost
+
+        const entry = {
+            orderId: order.orderId,
+            driverAssigned: driver._id,
+            routeUsed: route._id,
+            profit,
+            wasOnTime,
+            penalty,
+            bonus,
+            fuelCost,
+            actualDeliveryTime: order.actualDeliveryTime,
+            dayOffset: Math.floor(deliveredAt / MINUTES_PER_DAY),
+            tripNumber: trip.tripNumber
+        }
+        ordersProcessed.push(entry)
+
+        results.totalOrders += 1
+        results.totalProfit += profit
+        results.penalties += penalty
+        results.bonuses += bonus
+        results.fuelCostBreakdown.total += fuelCost
+        results.fuelCostBreakdown.byTrafficLevel[route.trafficLevel] += fuelCost
+        if (wasOnTime) {
+            results.onTimeCount += 1
+        } else {
+            results.lateCount += 1
+        }
+        totalDeliveryMinutes += deliveryMinutes
+
+        yield { ...step, entry, trafficLevel: route.trafficLevel, driverName: driver.name }
+    }
+
+    results.totalProfit = roundTo2(results.totalProfit)
+    results.penalties = roundTo2(results.penalties)
+    results.bonuses = roundTo2(results.bonuses)
+    results.fuelCostBreakdown.total = roundTo2(results.fuelCostBreakdown.total)
+    for (const level of Object.keys(results.fuelCostBreakdown.byTrafficLevel)) {
+        results.fuelCostBreakdown.byTrafficLevel[level] = roundTo2(results.fuelCostBreakdown.byTrafficLevel[level])
+    }
+    if (results.totalOrders > 0) {
+        results.efficiencyScore = Math.round((results.onTimeCount / results.totalOrders) * 100)
+        results.averageDeliveryTime = roundTo2(totalDeliveryMinutes / results.totalOrders)
+    }
+
+    const driverHours = drivers
+        .map((driver, index) => ({ driver: driver._id, hours: roundTo2(addedMinutes[index] / 60) }))
+        .filter(({ hours }) => hours > 0)
+
+    const tripSummaries = trips.map(({ startMinutes: tripStart, routeId, ...trip }) => ({
+        ...trip,
+        startTime: minutesToTime(tripStart),
+        endTime: minutesToTime(tripStart + trip.totalMinutes),
+        fuelCost: roundTo2(trip.fuelCost)
+    }))
+
+    return { results, ordersProcessed, trips: tripSummaries, driverHours, algorithmUsed: strategy.algorithmName }
+}
+
+const runSimulation = (params) => {
+    const steps = simulateOrders(params)
+    let step = steps.next()
+    while (!step.done) {
+        step = steps.next()
+    }
+    return step.value
+}
+
+const ORDERS_PER_EVENT_LOOP_TURN = 25
+
+// Same engine, but gives the event loop a turn every few orders so progress polls, cancellation and
+// timeouts are served while a large simulation runs. Aborting the signal stops it between two orders.
+const runSimulationAsync = async (params, { signal, onStep } = {}) => {
+    signal?.throwIfAborted()
+    const steps = simulateOrders(params)
+    let step = steps.next()
+    while (!step.done) {
+        onStep?.(step.value)
+        if (step.value.processedOrders % ORDERS_PER_EVENT_LOOP_TURN === 0) {
+            await new Promise(resolve => setImmediate(resolve))
+        }
+        signal?.throwIfAborted()
+        step = steps.next()
+    }
+    return step.value
+}
+
+const validateSeed = (seed) => {
+    if (seed === undefined || seed === null) return undefined
+    if (!Number.isInteger(seed) || seed < 0 || seed >= MAX_SEED) {
+        throw new ApiError(400, "Invalid simulation seed", [{
+            field: "seed",
+            message: `Seed must be an integer between 0 and ${MAX_SEED - 1}`
+        }])
+    }
+    return seed
+}
+
+// Returns an already stored (or still running) simulation instead of a new one when the configuration hash
+// matches. Otherwise stores a 'running' simulation and queues it; the caller gets it back before it finishes.
+const startSimulation = async ({ inputs, executedBy, seed }) => {
+    const simulation = new Simulation({ inputs, executedBy, status: 'running' })
+
+    // Fail fast on bad inputs before loading any data
+    await simulation.validate(INPUT_PATHS)
+    const strategy = resolveAssignmentStrategy(simulation.inputs.assignmentStrategy, simulation.inputs.strategyOptions)
+    const explicitSeed = validateSeed(seed)
+
+    const data = await loadSimulationData(simulation.inputs)
+    if (data.drivers.length === 0) {
+        throw new ApiError(409, "No active drivers are available for the given max hours per driver")
+    }
+
+    const snapshot = buildSnapshot(data)
+    const simulationSeed = explicitSeed ?? deriveSeed(simulation.inputs, snapshot)
+    const configurationHash = computeConfigurationHash({ inputs: simulation.inputs, snapshot, seed: simulationSeed })
+
+    const duplicate = await Simulation.findOne({
+        'metadata.configurationHash': configurationHash,
+        status: { $in: ['completed', 'running'] }
+    })
+    if (duplicate) {
+        return { simulation: duplicate, isDuplicate: true }
+    }
+
+    simulation.snapshot = snapshot
+    simulation.metadata.algorithmUsed = strategy.algorithmName
+    simulation.metadata.seed = simulationSeed
+    simulation.metadata.configurationHash = configurationHash
+    simulation.metadata.ruleSetVersion = data.rules.version
+    simulation.progress = { processedOrders: 0, totalOrders: snapshot.orders.length }
+    await simulation.save()
+
+    openSimulationStream(simulation._id)
+    enqueueSimulationJob(simulation._id, {
+        totalOrders: snapshot.orders.length,
+        // Audit entries written by the run are attributed to whoever started it
+        run: (job) => runWithActor(simulation.executedBy, () => processSimulation(simulation, job))
+    })
+
+    return { simulation, isDuplicate: false }
+}
+
+const ERROR_MESSAGE_MAX_LENGTH = 1000
+
+// A save can still be rejected (a validation error, or results past the 16 MB document limit). The run is then
+// marked failed with a plain update, so it never stays 'running' until the next restart. Returns whether the
+// full document was saved.
+const saveFinalState = async (simulation) => {
+    try {
+        await simulation.save()
+        return true
+    } catch (error) {
+        console.error(`Could not save simulation ${simulation._id}`, error)
+        simulation.status = 'failed'
+        simulation.errorMessage = `Simulation results could not be saved: ${error.message}`.slice(0, ERROR_MESSAGE_MAX_LENGTH)
+        await Simulation.updateOne(
+            { _id: simulation._id },
+            {
+                $set: {
+                    status: simulation.status,
+                    errorMessage: simulation.errorMessage,
+                    progress: {
+                        processedOrders: simulation.progress.processedOrders,
+                        totalOrders: simulation.progress.totalOrders
+                    },
+                    executionTime: simulation.executionTime
+                }
+            }
+        )
+        return false
+    }
+}
+
+// Runs inside the job queue. Every outcome, including cancellation and timeouts, is written back to the document.
+const processSimulation = async (simulation, job) => {
+    const startedAt = Date.now()
+    let driverHours = []
+
+    try {
+        // Run on the snapshot rather than the live documents so a replay sees exactly the same data
+        const { results, ordersProcessed, trips, driverHours: hoursWorked } = await runSimulationAsync(
+            {
+                inputs: simulation.inputs,
+                ...hydrateSnapshot(simulation.snapshot),
+                seed: simulation.metadata.seed
+            },
+            {
+                signal: job.signal,
+                onStep: (step) => {
+                    job.reportProgress(step)
+                    publishOrderEvent(simulation._id, step)
+                }
+            }
+        )
+
+        simulation.results = results
+        simulation.ordersProcessed = ordersProcessed
+        simulation.trips = trips
+        simulation.status = 'completed'
+        driverHours = hoursWorked
+    } catch (error) {
+        const reason = job.signal.aborted ? job.signal.reason : error
+        if (reason === JOB_CANCELLED) {
+            simulation.status = 'cancelled'
+            simulation.errorMessage = "Simulation was cancelled"
+        } else if (reason === JOB_TIMED_OUT) {
+            simulation.status = 'failed'
+            simulation.errorMessage = `Simulation exceeded the maximum run time of ${Math.round(job.maxRunTimeMs / 1000)} seconds`
+        } else {
+            simulation.status = 'failed'
+            simulation.errorMessage = String(reason?.message || reason).slice(0, ERROR_MESSAGE_MAX_LENGTH)
+        }
+    }
+
+    simulation.progress = { ...job.progress }
+    simulation.executionTime = Date.now() - startedAt
+    try {
+        if (await saveFinalState(simulation)) {
+            // Only a completed run books its delivery time against the drivers' hours for the day
+            await Driver.addWorkedHours(driverHours)
+        }
+    } finally {
+        closeSimulationStream(simulation._id, simulation)
+    }
+}
+
+// Jobs only live in memory, so anything still 'running' when the server starts was cut off by a restart
+const failInterruptedSimulations = async () => {
+    const { modifiedCount } = await Simulation.updateMany(
+        { status: 'running' },
+        { $set: { status: 'failed', errorMessage: "Simulation was interrupted by a server restart" } }
+    )
+    return modifiedCount
+}
+
+const getSimulationProgress = async (simulationId) => {
+    const simulation = await Simulation.findById(simulationId).select('status progress executionTime errorMessage')
+    if (!simulation) {
+        throw new ApiError(404, "Simulation not found")
+    }
+
+    const job = getSimulationJob(simulationId)
+    const progress = job?.progress || simulation.progress?.toObject?.() || simulation.progress || {}
+    const totalOrders = progress.totalOrders || 0
+
+    return {
+        simulationId: simulation._id,
+        status: simulation.status,
+        jobState: job?.state || null,
+        queuePosition: job?.queuePosition || 0,
+        progress: {
+            processedOrders: progress.processedOrders || 0,
+            totalOrders,
+            percent: totalOrders > 0 ? Math.round(((progress.processedOrders || 0) / totalOrders) * 100) : 0
+        },
+        executionTime: job?.startedAt ? Date.now() - job.startedAt : simulation.executionTime,
+        errorMessage: simulation.errorMessage || null
+    }
+}
+
+const cancelSimulation = async (simulationId) => {
+    const simulation = await Simulation.findById(simulationId).select('status')
+    if (!simulation) {
+        throw new ApiError(404, "Simulation not found")
+    }
+    if (simulation.status !== 'running' || !cancelSimulationJob(simulationId)) {
+        throw new ApiError(409, `Simulation is not running, its status is '${simulation.status}'`)
+    }
+}
+
+const RESULT_FIELDS = ['totalProfit', 'efficiencyScore', 'onTimeCount', 'lateCount', 'totalOrders',
+    'penalties', 'bonuses', 'averageDeliveryTime']
+const PROCESSED_ORDER_FIELDS = ['driverAssigned', 'routeUsed', 'profit', 'wasOnTime', 'penalty', 'bonus', 'fuelCost',
+    'actualDeliveryTime', 'dayOffset', 'tripNumber']
+
+// Versions are ignored so a new rule set with unchanged parameters still counts as the same rules
+const sameRuleParameters = (a, b) => stableStringify({ ...a, version: undefined }) === stableStringify({ ...b, version: undefined })
+
+const sameValue = (a, b) => String(a ?? null) === String(b ?? null)
+
+const diffReplay = (stored, replayed) => {
+    const differences = []
+
+    for (const field of RESULT_FIELDS) {
+        if (!sameValue(stored.results[field], replayed.results[field])) {
+            differences.push({ path: `results.${field}`, stored: stored.results[field], replayed: replayed.results[field] })
+        }
+    }
+    for (const level of ['Low', 'Medium', 'High']) {
+        const storedCost = stored.results.fuelCostBreakdown.byTrafficLevel[level]
+        const replayedCost = replayed.results.fuelCostBreakdown.byTrafficLevel[level]
+        if (!sameValue(storedCost, replayedCost)) {
+            differences.push({ path: `results.fuelCostBreakdown.byTrafficLevel.${level}`, stored: storedCost, replayed: replayedCost })
+        }
+    }
+
+    const replayedByOrderId = new Map(replayed.ordersProcessed.map(order => [order.orderId, order]))
+    for (const storedOrder of stored.ordersProcessed) {
+        const replayedOrder = replayedByOrderId.get(storedOrder.orderId)
+        replayedByOrderId.delete(storedOrder.orderId)
+        if (!replayedOrder) {
+            differences.push({ path: `ordersProcessed.${storedOrder.orderId}`, stored: "processed", replayed: "skipped" })
+            continue
+        }
+        for (const field of PROCESSED_ORDER_FIELDS) {
+            if (!sameValue(storedOrder[field], replayedOrder[field])) {
+                differences.push({
+                    path: `ordersProcessed.${storedOrder.orderId}.${field}`,
+                    stored: storedOrder[field],
+                    replayed: replayedOrder[field]
+                })
+            }
+        }
+    }
+    for (const orderId of replayedByOrderId.keys()) {
+        differences.push({ path: `ordersProcessed.${orderId}`, stored: "skipped", replayed: "processed" })
+    }
+
+    return differences
+}
+
+// Re-runs a stored simulation from its snapshot and reports whether the engine still produces the same results
+const replaySimulation = async (simulationId) => {
+    const simulation = await Simulation.findById(simulationId).select("+snapshot")
+    if (!simulation) {
+        throw new ApiError(404, "Simulation not found")
+    }
+    if (simulation.status !== 'completed') {
+        throw new ApiError(409, `Only completed simulations can be replayed, this one is '${simulation.status}'`)
+    }
+    if (!simulation.snapshot) {
+        throw new ApiError(409, "Simulation was stored without an input snapshot and cannot be replayed")
+    }
+
+    const seed = simulation.metadata.seed ?? 0
+    const configurationHash = computeConfigurationHash({ inputs: simulation.inputs, snapshot: simulation.snapshot, seed })
+    // Runs in the request, so it yields like a queued run instead of holding the event loop for a large snapshot
+    const replayed = await runSimulationAsync({
+        inputs: simulation.inputs,
+        ...hydrateSnapshot(simulation.snapshot),
+        seed
+    })
+    const differences = diffReplay(simulation, replayed)
+
+    return {
+        simulationId: simulation._id,
+        configurationHash: simulation.metadata.configurationHash,
+        hashMatches: configurationHash === simulation.metadata.configurationHash,
+        rulesMatch: sameRuleParameters(simulation.snapshot.rules, getActiveRules()),
+        resultsMatch: differences.length === 0,
+        differences,
+        replayedResults: replayed.results
+    }
+}
+
+export {
+    loadSimulationData,
+    runSimulation,
+    runSimulationAsync,
+    startSimulation,
+    getSimulationProgress,
+    cancelSimulation,
+    failInterruptedSimulations,
+    replaySimulation
+}
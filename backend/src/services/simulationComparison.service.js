@@ -0,0 +1,152 @@
+import { isValidObjectId } from "mongoose"
+import { Simulation } from "../models/simulation.model.js"
+import { ApiError } from "../utils/ApiError.js"
+
+const TRAFFIC_LEVELS = ['Low', 'Medium', 'High']
+const SUMMARY_FIELDS = ['totalProfit', 'efficiencyScore', 'successRate', 'profitPerOrder', 'roi', 'driverUtilization', 'totalOrdersProcessed']
+
+const roundTo2 = (value) => Math.round(value * 100) / 100
+
+const describeChange = (baseline, value) => {
+    const baselineValue = baseline ?? 0
+    const currentValue = value ?? 0
+    const change = roundTo2(currentValue - baselineValue)
+    return {
+        baseline: baselineValue,
+        value: currentValue,
+        change,
+        changePercent: baselineValue !== 0 ? roundTo2((change / Math.abs(baselineValue)) * 100) : null
+    }
+}
+
+const driverOf = (processedOrder) => {
+    const driver = processedOrder.driverAssigned
+    if (!driver) return null
+    return driver.name ? { _id: driver._id, name: driver.name } : { _id: driver, name: null }
+}
+
+const diffKpis = (baseline, simulation) => {
+    const baselineSummary = baseline.getPerformanceSummary()
+    const summary = simulation.getPerformanceSummary()
+
+    const kpis = {
+        penalties: describeChange(baseline.results.penalties, simulation.results.penalties),
+        bonuses: describeChange(baseline.results.bonuses, simulation.results.bonuses),
+        onTimeCount: describeChange(baseline.results.onTimeCount, simulation.results.onTimeCount),
+        lateCount: describeChange(baseline.results.lateCount, simulation.results.lateCount),
+        fuelCost: {
+            total: describeChange(baseline.results.fuelCostBreakdown.total, simulation.results.fuelCostBreakdown.total)
+        }
+    }
+    for (const field of SUMMARY_FIELDS) {
+        kpis[field] = describeChange(baselineSummary[field], summary[field])
+    }
+    for (const level of TRAFFIC_LEVELS) {
+        kpis.fuelCost[level] = describeChange(
+            baseline.results.fuelCostBreakdown.byTrafficLevel[level],
+            simulation.results.fuelCostBreakdown.byTrafficLevel[level]
+        )
+    }
+    return kpis
+}
+
+const diffOrders = (baseline, simulation) => {
+    const diff = {
+        flippedToLate: [],
+        flippedToOnTime: [],
+        driverChanged: [],
+        profitChanged: [],
+        onlyInBaseline: [],
+        onlyInSimulation: []
+    }
+
+    const processedByOrderId = new Map(simulation.ordersProcessed.map(order => [order.orderId, order]))
+    for (const baselineOrder of baseline.ordersProcessed) {
+        const order = processedByOrderId.get(baselineOrder.orderId)
+        processedByOrderId.delete(baselineOrder.orderId)
+        if (!order) {
+            diff.onlyInBaseline.push(baselineOrder.orderId)
+            continue
+        }
+
+        if (baselineOrder.wasOnTime && !order.wasOnTime) {
+            diff.flippedToLate.push(baselineOrder.orderId)
+        } else if (!baselineOrder.wasOnTime && order.wasOnTime) {
+            diff.flippedToOnTime.push(baselineOrder.orderId)
+        }
+
+        const baselineDriver = driverOf(baselineOrder)
+        const driver = driverOf(order)
+        if (String(baselineDriver?._id) !== String(driver?._id)) {
+            diff.driverChanged.push({ orderId: order.orderId, from: baselineDriver, to: driver })
+        }
+
+        if (baselineOrder.profit !== order.profit) {
+            diff.profitChanged.push({ orderId: order.orderId, ...describeChange(baselineOrder.profit, order.profit) })
+        }
+    }
+    diff.onlyInSimulation.push(...processedByOrderId.keys())
+
+    return diff
+}
+
+const describeSimulation = (simulation) => ({
+    _id: simulation._id,
+    simulationName: simulation.inputs.simulationName,
+    algorithmUsed: simulation.metadata?.algorithmUsed,
+    inputs: simulation.inputs,
+    summary: simulation.getPerformanceSummary(),
+    createdAt: simulation.createdAt
+})
+
+const pickBest = (simulations, selector) => {
+    const best = simulations.reduce((top, simulation) => (selector(simulation) > selector(top) ? simulation : top))
+    return { simulationId: best._id, algorithmUsed: best.metadata?.algorithmUsed, value: selector(best) }
+}
+
+// The first id is the baseline that every other simulation is diffed against
+const compareSimulationRuns = async (simulationIds) => {
+    const uniqueIds = [...new Set(simulationIds.map(String))]
+    if (uniqueIds.length < 2) {
+        throw new ApiError(400, "At least two different simulation ids are required for a comparison")
+    }
+    const invalidIds = uniqueIds.filter(id => !isValidObjectId(id))
+    if (invalidIds.length > 0) {
+        throw new ApiError(400, "Invalid simulation ids", invalidIds.map(id => ({ field: "ids", message: `'${id}' is not a valid id` })))
+    }
+
+    const found = await Simulation.compareSimulations(uniqueIds)
+        .select('ordersProcessed executionTime')
+        .populate('ordersProcessed.driverAssigned', 'name')
+    const foundById = new Map(found.map(simulation => [String(simulation._id), simulation]))
+
+    const missingIds = uniqueIds.filter(id => !foundById.has(id))
+    if (missingIds.length > 0) {
+        throw new ApiError(404, "Some simulations were not found or are not completed", missingIds.map(id => ({
+            field: "ids",
+            message: `Simulation ${id} was not found or is not completed`
+        })))
+    }
+
+    const simulations = uniqueIds.map(id => foundById.get(id))
+    const [baseline, ...others] = simulations
+
+    return {
+        baselineId: baseline._id,
+        simulations: simulations.map(describeSimulation),
+        comparisons: others.map(simulation => ({
+            simulationId: simulation._id,
+            kpis: diffKpis(baseline, simulation),
+            orders: diffOrders(baseline, simulation)
+        })),
+        best: {
+            byProfit: pickBest(simulations, simulation => simulation.results.totalProfit),
+            byEfficiency: pickBest(simulations, simulation => simulation.results.efficiencyScore),
+            byRoi: pickBest(simulations, simulation => simulation.calculateROI())
+        }
+    }
+}
+
+export {
+    compareSimulationRuns
+}
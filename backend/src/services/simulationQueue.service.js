@@ -0,0 +1,104 @@
+const JOB_CANCELLED = "cancelled"
+const JOB_TIMED_OUT = "timed_out"
+
+const DEFAULT_CONCURRENCY = 2
+const DEFAULT_MAX_RUN_TIME_MS = 2 * 60 * 1000
+
+const readPositiveInt = (value, fallback) => {
+    const number = parseInt(value, 10)
+    return Number.isInteger(number) && number > 0 ? number : fallback
+}
+
+// In-process queue: simulations wait here until one of the concurrency slots is free.
+// Jobs live only in memory; the documents they write to are the durable record.
+const jobs = new Map()
+const waiting = []
+let runningCount = 0
+
+const getConcurrency = () => readPositiveInt(process.env.SIMULATION_CONCURRENCY, DEFAULT_CONCURRENCY)
+const getMaxRunTimeMs = () => readPositiveInt(process.env.SIMULATION_MAX_RUNTIME_MS, DEFAULT_MAX_RUN_TIME_MS)
+
+const executeJob = (job) => {
+    return Promise.resolve()
+        .then(() => job.run(job))
+        .catch((error) => console.error(`Simulation job ${job.id} crashed`, error))
+        .finally(() => jobs.delete(job.id))
+}
+
+const startJob = (job) => {
+    runningCount += 1
+    job.state = "running"
+    job.startedAt = Date.now()
+
+    const timer = setTimeout(() => job.controller.abort(JOB_TIMED_OUT), job.maxRunTimeMs)
+
+    executeJob(job).finally(() => {
+        clearTimeout(timer)
+        runningCount -= 1
+        drainQueue()
+    })
+}
+
+const drainQueue = () => {
+    while (runningCount < getConcurrency() && waiting.length > 0) {
+        startJob(waiting.shift())
+    }
+}
+
+const enqueueSimulationJob = (simulationId, { totalOrders, run }) => {
+    const id = String(simulationId)
+    const controller = new AbortController()
+    const job = {
+        id,
+        run,
+        controller,
+        signal: controller.signal,
+        state: "queued",
+        maxRunTimeMs: getMaxRunTimeMs(),
+        progress: { processedOrders: 0, totalOrders },
+        reportProgress: ({ processedOrders }) => {
+            job.progress.processedOrders = processedOrders
+        }
+    }
+
+    jobs.set(id, job)
+    waiting.push(job)
+    drainQueue()
+    return job
+}
+
+const getSimulationJob = (simulationId) => {
+    const job = jobs.get(String(simulationId))
+    if (!job) return null
+
+    return {
+        state: job.state,
+        progress: { ...job.progress },
+        queuePosition: job.state === "queued" ? waiting.indexOf(job) + 1 : 0,
+        startedAt: job.startedAt || null,
+        maxRunTimeMs: job.maxRunTimeMs
+    }
+}
+
+// A queued job is aborted before it starts, so its run() still executes once and records the cancellation.
+// It does so outside the concurrency slots, which stay free for the jobs still waiting.
+const cancelSimulationJob = (simulationId) => {
+    const job = jobs.get(String(simulationId))
+    if (!job) return false
+
+    job.controller.abort(JOB_CANCELLED)
+    const index = waiting.indexOf(job)
+    if (index !== -1) {
+        waiting.splice(index, 1)
+        executeJob(job)
+    }
+    return true
+}
+
+export {
+    JOB_CANCELLED,
+    JOB_TIMED_OUT,
+    enqueueSimulationJob,
+    getSimulationJob,
+    cancelSimulationJob
+}
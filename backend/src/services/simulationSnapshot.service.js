@@ -0,0 +1,89 @@
+import crypto from "crypto"
+import { Driver } from "../models/driver.model.js"
+import { Route } from "../models/route.model.js"
+import { Order } from "../models/order.model.js"
+import { MAX_SEED } from "../utils/random.js"
+
+const SNAPSHOT_FIELDS = {
+    drivers: ['_id', 'name', 'shiftHours', 'pastWeekHours', 'isActive', 'efficiency', 'totalDeliveries',
+        'onTimeDeliveries', 'currentDayHours', 'fatigueLevel'],
+    routes: ['_id', 'routeId', 'distanceKm', 'trafficLevel', 'baseTimeMin', 'isActive', 'area', 'difficulty'],
+    orders: ['_id', 'orderId', 'valueRs', 'routeId', 'deliveryTime', 'status', 'priority']
+}
+
+// Only the inputs that change the outcome; the name and description are labels
+const HASHED_INPUTS = ['availableDrivers', 'routeStartTime', 'maxHoursPerDriver', 'maxOrdersPerTrip', 'assignmentStrategy',
+    'strategyOptions']
+
+const pickSnapshotFields = (doc, fields) => {
+    const source = typeof doc.toObject === "function" ? doc.toObject({ virtuals: false, depopulate: true }) : doc
+    return fields.reduce((picked, field) => {
+        if (source[field] !== undefined) {
+            picked[field] = field === '_id' ? String(source[field]) : source[field]
+        }
+        return picked
+    }, {})
+}
+
+// JSON with sorted object keys, so equal data always serialises to the same string
+const stableStringify = (value) => {
+    if (value === null || value === undefined) return "null"
+    if (typeof value?.toHexString === "function") return JSON.stringify(value.toHexString())
+    if (value instanceof Date) return JSON.stringify(value.toISOString())
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`
+    if (typeof value === "object") {
+        const entries = Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+        return `{${entries.join(",")}}`
+    }
+    return JSON.stringify(value)
+}
+
+const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex")
+
+const buildSnapshot = ({ drivers, routes, orders, rules }) => ({
+    drivers: drivers.map(driver => pickSnapshotFields(driver, SNAPSHOT_FIELDS.drivers)),
+    routes: routes.map(route => pickSnapshotFields(route, SNAPSHOT_FIELDS.routes)),
+    orders: orders.map(order => pickSnapshotFields(order, SNAPSHOT_FIELDS.orders)),
+    rules: { ...rules }
+})
+
+// Rebuilds full documents (methods and virtuals included) from a stored snapshot without touching the database
+const hydrateSnapshot = (snapshot) => ({
+    drivers: snapshot.drivers.map(driver => Driver.hydrate(driver)),
+    routes: snapshot.routes.map(route => Route.hydrate(route)),
+    orders: snapshot.orders.map(order => Order.hydrate(order)),
+    rules: snapshot.rules
+})
+
+const pickHashedInputs = (inputs) => {
+    const source = typeof inputs?.toObject === "function" ? inputs.toObject() : inputs
+    return HASHED_INPUTS.reduce((picked, field) => {
+        picked[field] = source?.[field]
+        return picked
+    }, {})
+}
+
+// Without an explicit seed the seed is derived from the data, so identical configurations hash identically
+const deriveSeed = (inputs, snapshot) => {
+    const digest = sha256(stableStringify({ inputs: pickHashedInputs(inputs), snapshot }))
+    return parseInt(digest.slice(0, 8), 16) % MAX_SEED
+}
+
+const computeConfigurationHash = ({ inputs, snapshot, seed }) => {
+    return sha256(stableStringify({
+        inputs: pickHashedInputs(inputs),
+        snapshot,
+        seed
+    }))
+}
+
+export {
+    buildSnapshot,
+    hydrateSnapshot,
+    deriveSeed,
+    computeConfigurationHash,
+    stableStringify
+}
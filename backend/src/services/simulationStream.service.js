@@ -0,0 +1,132 @@
+const roundTo2 = (value) => Math.round(value * 100) / 100
+
+// Event ids are the 1-based position in ordersProcessed, so they mean the same thing whether the events
+// come from a running job or are rebuilt from a stored simulation. That is what makes Last-Event-ID work.
+const createEventLog = () => ({
+    events: [],
+    totals: {
+        profit: 0,
+        onTimeCount: 0,
+        lateCount: 0,
+        fuelCost: { total: 0, Low: 0, Medium: 0, High: 0 }
+    }
+})
+
+const appendOrderEvent = (log, { entry, driverName, trafficLevel }) => {
+    const { totals } = log
+    totals.profit += entry.profit
+    totals.fuelCost.total += entry.fuelCost
+    if (trafficLevel in totals.fuelCost) {
+        totals.fuelCost[trafficLevel] += entry.fuelCost
+    }
+    if (entry.wasOnTime) {
+        totals.onTimeCount += 1
+    } else {
+        totals.lateCount += 1
+    }
+
+    const event = {
+        id: log.events.length + 1,
+        event: "order",
+        data: {
+            orderId: entry.orderId,
+            driver: { _id: entry.driverAssigned, name: driverName ?? null },
+            wasOnTime: entry.wasOnTime,
+            actualDeliveryTime: entry.actualDeliveryTime ?? null,
+            profit: entry.profit,
+            runningProfit: roundTo2(totals.profit),
+            totals: {
+                onTimeCount: totals.onTimeCount,
+                lateCount: totals.lateCount,
+                fuelCost: {
+                    total: roundTo2(totals.fuelCost.total),
+                    Low: roundTo2(totals.fuelCost.Low),
+                    Medium: roundTo2(totals.fuelCost.Medium),
+                    High: roundTo2(totals.fuelCost.High)
+                }
+            }
+        }
+    }
+    log.events.push(event)
+    return event
+}
+
+const appendCompleteEvent = (log, simulation) => {
+    const isCompleted = simulation.status === 'completed'
+    const event = {
+        id: log.events.length + 1,
+        event: "complete",
+        data: {
+            simulationId: simulation._id,
+            status: simulation.status,
+            errorMessage: simulation.errorMessage || null,
+            executionTime: simulation.executionTime,
+            results: isCompleted ? simulation.results.toObject() : null,
+            performanceSummary: isCompleted ? simulation.getPerformanceSummary() : null
+        }
+    }
+    log.events.push(event)
+    return event
+}
+
+const formatSseEvent = ({ id, event, data }) => `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`
+
+// Logs of simulations that are running in this process, with the listeners currently attached to them
+const liveStreams = new Map()
+
+const openSimulationStream = (simulationId) => {
+    liveStreams.set(String(simulationId), { log: createEventLog(), listeners: new Set() })
+}
+
+const publishOrderEvent = (simulationId, step) => {
+    const stream = liveStreams.get(String(simulationId))
+    if (!stream || !step.entry) return
+
+    const event = appendOrderEvent(stream.log, step)
+    stream.listeners.forEach(listener => listener(event))
+}
+
+// Called once the final state is saved, so anyone subscribing afterwards can rebuild the events from the document
+const closeSimulationStream = (simulationId, simulation) => {
+    const id = String(simulationId)
+    const stream = liveStreams.get(id)
+    if (!stream) return
+
+    liveStreams.delete(id)
+    const event = appendCompleteEvent(stream.log, simulation)
+    stream.listeners.forEach(listener => listener(event))
+}
+
+// Replays the events after lastEventId and then forwards new ones. Returns an unsubscribe function,
+// or null when the simulation is not running here.
+const subscribeToSimulationStream = (simulationId, lastEventId, listener) => {
+    const stream = liveStreams.get(String(simulationId))
+    if (!stream) return null
+
+    stream.log.events.slice(lastEventId).forEach(listener)
+    stream.listeners.add(listener)
+    return () => stream.listeners.delete(listener)
+}
+
+// Expects ordersProcessed.driverAssigned and ordersProcessed.routeUsed to be populated
+const buildStoredSimulationEvents = (simulation) => {
+    const log = createEventLog()
+    for (const entry of simulation.ordersProcessed) {
+        appendOrderEvent(log, {
+            entry: { ...entry.toObject(), driverAssigned: entry.driverAssigned?._id ?? entry.driverAssigned },
+            driverName: entry.driverAssigned?.name,
+            trafficLevel: entry.routeUsed?.trafficLevel
+        })
+    }
+    appendCompleteEvent(log, simulation)
+    return log.events
+}
+
+export {
+    formatSseEvent,
+    openSimulationStream,
+    publishOrderEvent,
+    closeSimulationStream,
+    subscribeToSimulationStream,
+    buildStoredSimulationEvents
+}
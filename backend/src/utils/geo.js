@@ -0,0 +1,34 @@
+const EARTH_RADIUS_KM = 6371
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180
+
+// Great-circle distance between two [longitude, latitude] pairs (GeoJSON order)
+const haversineKm = ([lng1, lat1], [lng2, lat2]) => {
+    const dLat = toRadians(lat2 - lat1)
+    const dLng = toRadians(lng2 - lng1)
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a))
+}
+
+// Length of a path visiting the given [longitude, latitude] pairs in order
+const pathDistanceKm = (points) => {
+    let total = 0
+    for (let i = 1; i < points.length; i++) {
+        total += haversineKm(points[i - 1], points[i])
+    }
+    return total
+}
+
+const isValidCoordinates = (coordinates) => {
+    if (!Array.isArray(coordinates) || coordinates.length !== 2) return false
+    const [lng, lat] = coordinates
+    return Number.isFinite(lng) && Number.isFinite(lat) && lng >= -180 && lng <= 180 && lat >= -90 && lat <= 90
+}
+
+export {
+    EARTH_RADIUS_KM,
+    haversineKm,
+    pathDistanceKm,
+    isValidCoordinates
+}
@@ -0,0 +1,10 @@
+import { ROLE_PERMISSIONS } from "../constants.js"
+
+const getPermissions = (role) => ROLE_PERMISSIONS[role] ?? []
+
+const hasPermission = (role, permission) => getPermissions(role).includes(permission)
+
+export {
+    getPermissions,
+    hasPermission
+}
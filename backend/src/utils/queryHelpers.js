@@ -0,0 +1,115 @@
+import { ApiError } from "./ApiError.js"
+
+const DEFAULT_LIMIT = 10
+const MAX_LIMIT = 100
+
+const getPaginationOptions = (query, { allowedSortFields = [], defaultSort = { createdAt: -1 } } = {}) => {
+    const page = Math.max(1, parseInt(query.page, 10) || 1)
+    const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(query.limit, 10) || DEFAULT_LIMIT))
+
+    let sort = null
+    if (query.sortBy) {
+        if (!allowedSortFields.includes(query.sortBy)) {
+            throw new ApiError(400, `Cannot sort by '${query.sortBy}'. Allowed fields: ${allowedSortFields.join(", ")}`)
+        }
+        sort = { [query.sortBy]: query.sortType === "asc" ? 1 : -1 }
+    }
+
+    return { page, limit, skip: (page - 1) * limit, sort, defaultSort }
+}
+
+// Works with plain find() queries as well as the model statics, which already carry their own sort
+const paginateQuery = async (query, { page, limit, skip, sort, defaultSort }) => {
+    if (sort) {
+        query.sort(sort)
+    } else if (!query.getOptions().sort) {
+        query.sort(defaultSort)
+    }
+
+    const [docs, totalDocs] = await Promise.all([
+        query.skip(skip).limit(limit),
+        query.model.countDocuments(query.getFilter())
+    ])
+
+    return {
+        docs,
+        pagination: {
+            page,
+            limit,
+            totalDocs,
+            totalPages: Math.ceil(totalDocs / limit),
+            hasNextPage: page * limit < totalDocs,
+            hasPrevPage: page > 1
+        }
+    }
+}
+
+const parseBoolean = (value, field) => {
+    if (value === undefined || typeof value === "boolean") return value
+    if (value === "true") return true
+    if (value === "false") return false
+    throw new ApiError(400, `${field} must be true or false`)
+}
+
+const parseNumber = (value, field) => {
+    if (value === undefined || value === "") return undefined
+    const number = Number(value)
+    if (Number.isNaN(number)) {
+        throw new ApiError(400, `${field} must be a number`)
+    }
+    return number
+}
+
+const parseNumberRange = (min, max, field) => {
+    const range = {}
+    const minValue = parseNumber(min, `Minimum ${field}`)
+    const maxValue = parseNumber(max, `Maximum ${field}`)
+    if (minValue !== undefined) range.$gte = minValue
+    if (maxValue !== undefined) range.$lte = maxValue
+    return Object.keys(range).length > 0 ? range : undefined
+}
+
+const pickFields = (source, fields) => {
+    return fields.reduce((picked, field) => {
+        if (source?.[field] !== undefined) {
+            picked[field] = source[field]
+        }
+        return picked
+    }, {})
+}
+
+const parseDate = (value, field) => {
+    if (!value) return undefined
+    const date = new Date(value)
+    if (Number.isNaN(date.getTime())) {
+        throw new ApiError(400, `${field} must be a valid date`, [{ field, message: `'${value}' is not a valid date` }])
+    }
+    return date
+}
+
+const buildCreatedAtMatch = ({ from, to }) => {
+    const fromDate = parseDate(from, "from")
+    const toDate = parseDate(to, "to")
+    if (fromDate && toDate && fromDate > toDate) {
+        throw new ApiError(400, "'from' must be before 'to'")
+    }
+
+    const createdAt = {}
+    if (fromDate) createdAt.$gte = fromDate
+    if (toDate) createdAt.$lte = toDate
+    return Object.keys(createdAt).length > 0 ? { createdAt } : {}
+}
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+export {
+    getPaginationOptions,
+    paginateQuery,
+    parseBoolean,
+    parseNumber,
+    parseNumberRange,
+    parseDate,
+    buildCreatedAtMatch,
+    pickFields,
+    escapeRegex
+}
@@ -0,0 +1,21 @@
+const MAX_SEED = 2 ** 32
+
+const generateSeed = () => Math.floor(Math.random() * MAX_SEED)
+
+// mulberry32: a small, fast PRNG that yields the same sequence for the same 32-bit seed
+const createSeededRandom = (seed) => {
+    let state = seed >>> 0
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0
+        let t = state
+        t = Math.imul(t ^ (t >>> 15), t | 1)
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+        return ((t ^ (t >>> 14)) >>> 0) / MAX_SEED
+    }
+}
+
+export {
+    MAX_SEED,
+    generateSeed,
+    createSeededRandom
+}
@@ -0,0 +1,26 @@
+import { AsyncLocalStorage } from "node:async_hooks"
+
+// Carries the authenticated user through everything a request triggers, including model middleware
+// that has no access to req
+const storage = new AsyncLocalStorage()
+
+const requestContext = (req, _, next) => {
+    storage.run({ actor: null }, next)
+}
+
+const setRequestActor = (actor) => {
+    const store = storage.getStore()
+    if (store) store.actor = actor
+}
+
+const getRequestActor = () => storage.getStore()?.actor ?? null
+
+// Background work (queued jobs, timers) would otherwise inherit whichever request happened to start it
+const runWithActor = (actor, fn) => storage.run({ actor }, fn)
+
+export {
+    requestContext,
+    setRequestActor,
+    getRequestActor,
+    runWithActor
+}
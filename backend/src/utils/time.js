@@ -0,0 +1,35 @@
+const MINUTES_PER_DAY = 24 * 60
+
+const timeToMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number)
+    return hours * 60 + minutes
+}
+
+// Wraps past midnight, so 25:30 worth of minutes becomes "01:30"
+const minutesToTime = (totalMinutes) => {
+    const minutes = ((Math.round(totalMinutes) % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY
+    const hrs = Math.floor(minutes / 60)
+    const mins = minutes % 60
+    return `${hrs.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`
+}
+
+const minutesOfDay = (date) => date.getHours() * 60 + date.getMinutes()
+
+// Places an HH:MM clock time on a timeline measured from midnight of the day a shift starts. The time is read
+// as the occurrence nearest to the shift start, so "01:00" is the next day for a 22:00 start and "08:30" is
+// the same morning (already passed) for a 09:00 start.
+const toShiftMinutes = (time, shiftStartMinutes) => {
+    let minutes = timeToMinutes(time)
+    if (shiftStartMinutes - minutes > MINUTES_PER_DAY / 2) {
+        minutes += MINUTES_PER_DAY
+    }
+    return minutes
+}
+
+export {
+    MINUTES_PER_DAY,
+    timeToMinutes,
+    minutesToTime,
+    minutesOfDay,
+    toShiftMinutes
+}
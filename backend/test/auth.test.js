@@ -0,0 +1,184 @@
+import { describe, it, before, after, afterEach, mock } from "node:test"
+import assert from "node:assert/strict"
+import bcrypt from "bcryptjs"
+import { User } from "../src/models/user.model.js"
+import { startServer, fakeQuery, signInAs } from "./helpers.js"
+
+const PASSWORD = "correct-horse"
+
+// Hashing with a low cost keeps the tests fast; compare() reads the cost from the hash
+const createStoredUser = async (fields = {}) => new User({
+    username: "alice",
+    email: "alice@example.com",
+    fullName: "Alice Example",
+    password: await bcrypt.hash(PASSWORD, 4),
+    role: "manager",
+    ...fields
+})
+
+describe("auth endpoints", () => {
+    let server
+
+    before(async () => {
+        server = await startServer()
+    })
+
+    after(() => server.close())
+
+    afterEach(() => mock.restoreAll())
+
+    describe("POST /users/register", () => {
+        it("answers 400 when the request has no body", async () => {
+            const { status, body } = await server.request("POST", "/users/register")
+
+            assert.equal(status, 400)
+            assert.equal(body.success, false)
+        })
+
+        it("answers 400 for non-string fields", async () => {
+            const { status } = await server.request("POST", "/users/register", {
+                body: { username: 42, email: ["a@example.com"], fullName: {}, password: true }
+            })
+
+            assert.equal(status, 400)
+        })
+
+        it("makes the first account an admin", async () => {
+            mock.method(User, "findOne", async () => null)
+            mock.method(User, "exists", async () => null)
+            const create = mock.method(User, "create", async (data) => new User(data))
+            mock.method(User, "findById", () => fakeQuery(new User({ username: "alice", role: "admin" })))
+
+            const { status } = await server.request("POST", "/users/register", {
+                body: { username: "Alice", email: "alice@example.com", fullName: "Alice Example", password: PASSWORD }
+            })
+
+            assert.equal(status, 201)
+            assert.equal(create.mock.calls[0].arguments[0].role, "admin")
+        })
+
+        it("answers 409 when the username or email is taken", async () => {
+            mock.method(User, "findOne", async () => createStoredUser())
+
+            const { status } = await server.request("POST", "/users/register", {
+                body: { username: "alice", email: "alice@example.com", fullName: "Alice Example", password: PASSWORD }
+            })
+
+            assert.equal(status, 409)
+        })
+    })
+
+    describe("POST /users/login", () => {
+        it("answers 400 when the request has no body", async () => {
+            const { status } = await server.request("POST", "/users/login")
+
+            assert.equal(status, 400)
+        })
+
+        for (const password of [123, {}, ["secret"], null]) {
+            it(`answers 400 for the password ${JSON.stringify(password)}`, async () => {
+                const { status } = await server.request("POST", "/users/login", { body: { username: "alice", password } })
+
+                assert.equal(status, 400)
+            })
+        }
+
+        it("answers 400 for a non-string username without an email", async () => {
+            const { status } = await server.request("POST", "/users/login", { body: { username: 7, password: PASSWORD } })
+
+            assert.equal(status, 400)
+        })
+
+        it("answers 401 for an unknown user", async () => {
+            mock.method(User, "findOne", async () => null)
+
+            const { status } = await server.request("POST", "/users/login", { body: { username: "nobody", password: PASSWORD } })
+
+            assert.equal(status, 401)
+        })
+
+        it("answers 401 and counts the attempt for a wrong password", async () => {
+            const user = await createStoredUser()
+            mock.method(User, "findOne", async () => user)
+            const updateOne = mock.method(User.prototype, "updateOne", async () => ({}))
+
+            const { status } = await server.request("POST", "/users/login", { body: { username: "alice", password: "wrong" } })
+
+            assert.equal(status, 401)
+            assert.deepEqual(updateOne.mock.calls[0].arguments[0], { $inc: { loginAttempts: 1 } })
+        })
+
+        it("answers 423 with Retry-After while the account is locked", async () => {
+            const user = await createStoredUser({ lockUntil: new Date(Date.now() + 60 * 60 * 1000) })
+            mock.method(User, "findOne", async () => user)
+
+            const { status, body } = await server.request("POST", "/users/login", { body: { username: "alice", password: PASSWORD } })
+
+            assert.equal(status, 423)
+            assert.ok(body.errors[0].retryAfterSeconds > 0)
+        })
+
+        it("signs in by email and returns tokens for the right password", async () => {
+            const user = await createStoredUser()
+            const findOne = mock.method(User, "findOne", async () => user)
+            mock.method(User, "findById", () => fakeQuery(user))
+            mock.method(User.prototype, "updateOne", async () => ({}))
+            mock.method(User.prototype, "save", async function() {
+                return this
+            })
+
+            const { status, body } = await server.request("POST", "/users/login", {
+                body: { email: "Alice@Example.com", password: PASSWORD }
+            })
+
+            assert.equal(status, 200)
+            assert.deepEqual(findOne.mock.calls[0].arguments[0], { email: "alice@example.com" })
+            assert.ok(body.data.accessToken)
+            assert.ok(body.data.refreshToken)
+            assert.ok(body.data.user.permissions.includes("simulations:run"))
+        })
+    })
+
+    describe("authenticated routes", () => {
+        it("answers 401 without a token", async () => {
+            const { status } = await server.request("GET", "/users/current-user")
+
+            assert.equal(status, 401)
+        })
+
+        it("answers 401 for a malformed token", async () => {
+            const { status } = await server.request("GET", "/users/current-user", { token: "not-a-jwt" })
+
+            assert.equal(status, 401)
+        })
+
+        it("returns the signed-in user with their permissions", async () => {
+            const { token } = signInAs("analyst")
+
+            const { status, body } = await server.request("GET", "/users/current-user", { token })
+
+            assert.equal(status, 200)
+            assert.equal(body.data.role, "analyst")
+            assert.ok(body.data.permissions.includes("simulations:read"))
+        })
+
+        it("answers 401 once the user's role has changed since the token was issued", async () => {
+            const { user, token } = signInAs("manager")
+            user.role = "analyst"
+
+            const { status } = await server.request("GET", "/users/current-user", { token })
+
+            assert.equal(status, 401)
+        })
+
+        it("answers 403 when the role lacks the permission", async () => {
+            const { token } = signInAs("analyst")
+
+            const runAttempt = await server.request("POST", "/simulations", { token, body: {} })
+            const userList = await server.request("GET", "/users", { token })
+
+            assert.equal(runAttempt.status, 403)
+            assert.equal(userList.status, 403)
+        })
+    })
+})
@@ -0,0 +1,67 @@
+import { mock } from "node:test"
+import mongoose from "mongoose"
+import { app } from "../src/app.js"
+import { User } from "../src/models/user.model.js"
+
+process.env.ACCESS_TOKEN_SECRET ||= "test-access-token-secret"
+process.env.REFRESH_TOKEN_SECRET ||= "test-refresh-token-secret"
+
+// There is no database in the tests: every model call a request makes is stubbed, and one that is not
+// fails at once instead of waiting for a connection
+mongoose.set("bufferCommands", false)
+
+// Listens on a free port; call close() when the file's tests are done
+const startServer = async () => {
+    const server = app.listen(0)
+    await new Promise(resolve => server.once("listening", resolve))
+    const baseUrl = `http://127.0.0.1:${server.address().port}/api/v1`
+
+    const request = async (method, path, { body, token, rawBody } = {}) => {
+        const headers = {}
+        if (body !== undefined || rawBody !== undefined) headers["Content-Type"] = "application/json"
+        if (token) headers.Authorization = `Bearer ${token}`
+
+        const response = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers,
+            body: rawBody ?? (body === undefined ? undefined : JSON.stringify(body))
+        })
+        return { status: response.status, body: await response.json().catch(() => null) }
+    }
+
+    const close = () => new Promise(resolve => server.close(resolve))
+
+    return { request, close }
+}
+
+// Stands in for a Mongoose query: chainable like one and resolving to the given value
+const fakeQuery = (value) => {
+    const query = {
+        select: () => query,
+        populate: () => query,
+        sort: () => query,
+        limit: () => query,
+        lean: () => query,
+        then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+    }
+    return query
+}
+
+// Returns an access token for a user with the given role; verifyJWT finds that user through the stubbed findById
+const signInAs = (role, fields = {}) => {
+    const user = new User({
+        username: `${role}-user`,
+        email: `${role}@example.com`,
+        fullName: `Test ${role}`,
+        role,
+        ...fields
+    })
+    mock.method(User, "findById", () => fakeQuery(user))
+    return { user, token: user.generateAccessToken() }
+}
+
+export {
+    startServer,
+    fakeQuery,
+    signInAs
+}
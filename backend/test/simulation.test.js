@@ -0,0 +1,203 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from "node:test"
+import assert from "node:assert/strict"
+import { setTimeout as delay } from "node:timers/promises"
+import { Driver } from "../src/models/driver.model.js"
+import { Route } from "../src/models/route.model.js"
+import { Order } from "../src/models/order.model.js"
+import { RuleSet } from "../src/models/ruleSet.model.js"
+import { Simulation } from "../src/models/simulation.model.js"
+import { runSimulation } from "../src/services/simulation.service.js"
+import { getSimulationJob } from "../src/services/simulationQueue.service.js"
+import { DEFAULT_BUSINESS_RULES } from "../src/constants.js"
+import { startServer, fakeQuery, signInAs } from "./helpers.js"
+
+const RULES = { version: 1, ...DEFAULT_BUSINESS_RULES }
+
+const createData = () => ({
+    drivers: [
+        new Driver({ name: "Asha", shiftHours: 8, pastWeekHours: [6, 7, 8, 6, 7, 8, 6] }),
+        new Driver({ name: "Ravi", shiftHours: 8, pastWeekHours: [9, 9, 9, 6, 6, 6, 6] })
+    ],
+    routes: [
+        new Route({ routeId: 1, distanceKm: 12, trafficLevel: "Low", baseTimeMin: 30 }),
+        new Route({ routeId: 2, distanceKm: 25, trafficLevel: "High", baseTimeMin: 60 })
+    ],
+    orders: [
+        new Order({ orderId: 1, valueRs: 1500, routeId: 1, deliveryTime: "01:00" }),
+        new Order({ orderId: 2, valueRs: 400, routeId: 2, deliveryTime: "01:30" }),
+        new Order({ orderId: 3, valueRs: 2500, routeId: 2, deliveryTime: "02:00" }),
+        new Order({ orderId: 4, valueRs: 800, routeId: 1, deliveryTime: "00:45" })
+    ]
+})
+
+const INPUTS = { availableDrivers: 2, routeStartTime: "09:00", maxHoursPerDriver: 8 }
+
+// The job runs after the response is sent; it is forgotten by the queue once its final state is saved
+const waitForJob = async (simulationId) => {
+    for (let attempt = 0; attempt < 200 && getSimulationJob(simulationId); attempt += 1) {
+        await delay(5)
+    }
+    assert.equal(getSimulationJob(simulationId), null, "simulation job did not finish")
+}
+
+describe("simulation endpoints", () => {
+    let server
+    let token
+    let saved
+
+    before(async () => {
+        server = await startServer()
+    })
+
+    after(() => server.close())
+
+    beforeEach(() => {
+        ({ token } = signInAs("manager"))
+        const { drivers, routes, orders } = createData()
+        saved = []
+
+        mock.method(Driver, "findAvailableDrivers", () => fakeQuery(drivers))
+        mock.method(Driver, "addWorkedHours", async () => null)
+        mock.method(Route, "find", () => fakeQuery(routes))
+        mock.method(Order, "find", () => fakeQuery(orders))
+        mock.method(RuleSet, "loadActiveRules", async () => RULES)
+        mock.method(Simulation, "findOne", async () => null)
+        mock.method(Simulation, "findById", () => fakeQuery(saved.at(-1)?.simulation ?? null))
+        mock.method(Simulation.prototype, "populate", async function() {
+            return this
+        })
+        mock.method(Simulation.prototype, "save", async function() {
+            await this.validate()
+            saved.push({ status: this.status, simulation: this })
+            return this
+        })
+    })
+
+    afterEach(() => mock.restoreAll())
+
+    // Queues a run, waits for it to finish and returns the stored document
+    const runToCompletion = async (body) => {
+        const { status, body: response } = await server.request("POST", "/simulations", { token, body })
+        assert.equal(status, 202)
+
+        const { simulationId } = response.data
+        await waitForJob(simulationId)
+        return saved.at(-1).simulation
+    }
+
+    describe("POST /simulations", () => {
+        it("answers 400 when the request has no body", async () => {
+            const { status, body } = await server.request("POST", "/simulations", { token })
+
+            assert.equal(status, 400)
+            assert.ok(body.errors.some(error => error.field === "inputs.availableDrivers"))
+        })
+
+        for (const assignmentStrategy of ["unknown", "constructor", "toString"]) {
+            it(`answers 400 for the assignment strategy '${assignmentStrategy}'`, async () => {
+                const { status, body } = await server.request("POST", "/simulations", {
+                    token,
+                    body: { ...INPUTS, assignmentStrategy }
+                })
+
+                assert.equal(status, 400)
+                assert.equal(body.errors[0].field, "inputs.assignmentStrategy")
+            })
+        }
+
+        it("answers 400 for an unknown strategy option", async () => {
+            const { status } = await server.request("POST", "/simulations", {
+                token,
+                body: { ...INPUTS, strategyOptions: { constructor: 1 } }
+            })
+
+            assert.equal(status, 400)
+        })
+
+        it("answers 400 for a seed that is not a non-negative integer", async () => {
+            const { status } = await server.request("POST", "/simulations", { token, body: { ...INPUTS, seed: -1.5 } })
+
+            assert.equal(status, 400)
+        })
+
+        it("answers 409 when no driver is available", async () => {
+            mock.method(Driver, "findAvailableDrivers", () => fakeQuery([]))
+
+            const { status } = await server.request("POST", "/simulations", { token, body: INPUTS })
+
+            assert.equal(status, 409)
+        })
+
+        it("queues the run and stores the completed results", async () => {
+            const simulation = await runToCompletion({ ...INPUTS, seed: 7 })
+
+            assert.deepEqual(saved.map(({ status }) => status), ["running", "completed"])
+            assert.equal(simulation.results.totalOrders, 4)
+            assert.equal(simulation.ordersProcessed.length, 4)
+            assert.equal(simulation.metadata.seed, 7)
+            assert.equal(Driver.addWorkedHours.mock.callCount(), 1)
+        })
+
+        it("returns the stored run for an identical configuration", async () => {
+            const simulation = await runToCompletion(INPUTS)
+            const findOne = mock.method(Simulation, "findOne", async () => simulation)
+
+            const { status, body } = await server.request("POST", "/simulations", { token, body: INPUTS })
+
+            assert.equal(status, 200)
+            assert.equal(body.data._id, String(simulation._id))
+            assert.equal(findOne.mock.calls[0].arguments[0]["metadata.configurationHash"], simulation.metadata.configurationHash)
+        })
+    })
+
+    describe("POST /simulations/:simulationId/rerun", () => {
+        it("answers 400 for an invalid id", async () => {
+            const { status } = await server.request("POST", "/simulations/not-an-id/rerun", { token })
+
+            assert.equal(status, 400)
+        })
+
+        it("answers 409 for a run that has not completed", async () => {
+            const simulation = new Simulation({ inputs: INPUTS, status: "running" })
+            mock.method(Simulation, "findById", () => fakeQuery(simulation))
+
+            const { status } = await server.request("POST", `/simulations/${simulation._id}/rerun`, { token })
+
+            assert.equal(status, 409)
+        })
+
+        it("reproduces the stored results from the snapshot", async () => {
+            const simulation = await runToCompletion({ ...INPUTS, seed: 11 })
+
+            const { status, body } = await server.request("POST", `/simulations/${simulation._id}/rerun`, { token })
+
+            assert.equal(status, 200)
+            assert.equal(body.data.hashMatches, true)
+            assert.equal(body.data.resultsMatch, true)
+            assert.deepEqual(body.data.differences, [])
+        })
+
+        it("reports what changed when the stored results differ", async () => {
+            const simulation = await runToCompletion({ ...INPUTS, seed: 11 })
+            simulation.results.totalProfit += 100
+
+            const { body } = await server.request("POST", `/simulations/${simulation._id}/rerun`, { token })
+
+            assert.equal(body.data.resultsMatch, false)
+            assert.deepEqual(body.data.differences.map(({ path }) => path), ["results.totalProfit"])
+        })
+    })
+})
+
+describe("simulation engine", () => {
+    it("produces the same results for the same data and seed", () => {
+        const first = runSimulation({ inputs: INPUTS, ...createData(), rules: RULES, seed: 42 })
+        const second = runSimulation({ inputs: INPUTS, ...createData(), rules: RULES, seed: 42 })
+
+        assert.deepEqual(
+            second.ordersProcessed.map(({ orderId, profit, wasOnTime }) => ({ orderId, profit, wasOnTime })),
+            first.ordersProcessed.map(({ orderId, profit, wasOnTime }) => ({ orderId, profit, wasOnTime }))
+        )
+        assert.deepEqual(second.results, first.results)
+    })
+})
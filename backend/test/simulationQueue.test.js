@@ -0,0 +1,111 @@
+import { describe, it, beforeEach, afterEach } from "node:test"
+import assert from "node:assert/strict"
+import { setTimeout as delay } from "node:timers/promises"
+import {
+    JOB_CANCELLED,
+    JOB_TIMED_OUT,
+    enqueueSimulationJob,
+    getSimulationJob,
+    cancelSimulationJob
+} from "../src/services/simulationQueue.service.js"
+
+// A job that records what happened to it and finishes when `release` is called or its signal aborts
+const createJob = (events) => {
+    let release
+    const finished = new Promise(resolve => {
+        release = resolve
+    })
+    const run = async (job) => {
+        events.push(`${job.id}:start`)
+        try {
+            job.signal.throwIfAborted()
+            await new Promise((resolve, reject) => {
+                finished.then(resolve)
+                job.signal.addEventListener("abort", () => reject(job.signal.reason))
+            })
+            events.push(`${job.id}:done`)
+        } catch (reason) {
+            events.push(`${job.id}:${reason}`)
+        }
+    }
+    return { run, release }
+}
+
+describe("simulation queue", () => {
+    let events
+
+    beforeEach(() => {
+        events = []
+        process.env.SIMULATION_CONCURRENCY = "1"
+    })
+
+    afterEach(() => {
+        delete process.env.SIMULATION_CONCURRENCY
+        delete process.env.SIMULATION_MAX_RUNTIME_MS
+    })
+
+    it("starts queued jobs only as slots free up", async () => {
+        const first = createJob(events)
+        const second = createJob(events)
+        enqueueSimulationJob("queue-a", { totalOrders: 1, run: first.run })
+        enqueueSimulationJob("queue-b", { totalOrders: 1, run: second.run })
+
+        assert.equal(getSimulationJob("queue-a").state, "running")
+        assert.equal(getSimulationJob("queue-b").state, "queued")
+        assert.equal(getSimulationJob("queue-b").queuePosition, 1)
+
+        first.release()
+        await delay(5)
+        assert.equal(getSimulationJob("queue-a"), null)
+        assert.equal(getSimulationJob("queue-b").state, "running")
+
+        second.release()
+        await delay(5)
+        assert.deepEqual(events, ["queue-a:start", "queue-a:done", "queue-b:start", "queue-b:done"])
+    })
+
+    it("records a cancelled queued job without taking a running slot", async () => {
+        const running = createJob(events)
+        const waiting = createJob(events)
+        // Recording the cancellation is a database write, so it can still be going on when the running job ends
+        let finishRecording
+        const recording = new Promise(resolve => {
+            finishRecording = resolve
+        })
+        const cancelled = async (job) => {
+            events.push(`${job.id}:${job.signal.reason}`)
+            await recording
+        }
+        enqueueSimulationJob("cancel-a", { totalOrders: 1, run: running.run })
+        enqueueSimulationJob("cancel-b", { totalOrders: 1, run: cancelled })
+        enqueueSimulationJob("cancel-c", { totalOrders: 1, run: waiting.run })
+
+        assert.equal(cancelSimulationJob("cancel-b"), true)
+        await delay(5)
+        assert.equal(getSimulationJob("cancel-c").queuePosition, 1)
+
+        running.release()
+        await delay(5)
+        assert.equal(getSimulationJob("cancel-c").state, "running")
+        assert.deepEqual(events, ["cancel-a:start", `cancel-b:${JOB_CANCELLED}`, "cancel-a:done", "cancel-c:start"])
+
+        finishRecording()
+        waiting.release()
+        await delay(5)
+        assert.equal(getSimulationJob("cancel-b"), null)
+    })
+
+    it("aborts a job that runs past the time limit", async () => {
+        process.env.SIMULATION_MAX_RUNTIME_MS = "10"
+        const slow = createJob(events)
+        enqueueSimulationJob("timeout-a", { totalOrders: 1, run: slow.run })
+
+        await delay(30)
+
+        assert.deepEqual(events, ["timeout-a:start", `timeout-a:${JOB_TIMED_OUT}`])
+    })
+
+    it("returns false when cancelling an unknown job", () => {
+        assert.equal(cancelSimulationJob("missing"), false)
+    })
+})
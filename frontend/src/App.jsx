@@ -1,34 +1,48 @@
-import { useState } from 'react'
-import reactLogo from './assets/react.svg'
-import viteLogo from '/vite.svg'
-import './App.css'
+import { Navigate, Route, Routes } from 'react-router-dom'
+import AcceptInvite from './pages/AcceptInvite'
+import AppLayout from './components/layout/AppLayout'
+import ProtectedRoute from './components/auth/ProtectedRoute'
+import Dashboard from './pages/Dashboard'
+import DriversPage from './pages/DriversPage'
+import Login from './pages/Login'
+import MyDeliveriesPage from './pages/MyDeliveriesPage'
+import OrdersPage from './pages/OrdersPage'
+import RoutesPage from './pages/RoutesPage'
+import SimulationRunner from './pages/SimulationRunner'
+import UsersPage from './pages/UsersPage'
 
 function App() {
-  const [count, setCount] = useState(0)
-
   return (
-    <>
-      <div>
-        <a href="https://vite.dev" target="_blank">
-          <img src={viteLogo} className="logo" alt="Vite logo" />
-        </a>
-        <a href="https://react.dev" target="_blank">
-          <img src={reactLogo} className="logo react" alt="React logo" />
-        </a>
-      </div>
-      <h1>Vite + React</h1>
-      <div className="card">
-        <button onClick={() => setCount((count) => count + 1)}>
-          count is {count}
-        </button>
-        <p>
-          Edit <code>src/App.jsx</code> and save to test HMR
-        </p>
-      </div>
-      <p className="read-the-docs">
-        Click on the Vite and React logos to learn more
-      </p>
-    </>
+    <Routes>
+      <Route path="login" element={<Login />} />
+      <Route path="accept-invite" element={<AcceptInvite />} />
+      <Route element={<ProtectedRoute />}>
+        <Route element={<AppLayout />}>
+          <Route element={<ProtectedRoute permission="dashboard:read" />}>
+            <Route index element={<Dashboard />} />
+          </Route>
+          <Route element={<ProtectedRoute permission="simulations:run" />}>
+            <Route path="simulations/new" element={<SimulationRunner />} />
+          </Route>
+          <Route element={<ProtectedRoute permission="drivers:read" />}>
+            <Route path="drivers" element={<DriversPage />} />
+          </Route>
+          <Route element={<ProtectedRoute permission="routes:read" />}>
+            <Route path="routes" element={<RoutesPage />} />
+          </Route>
+          <Route element={<ProtectedRoute permission="orders:read" />}>
+            <Route path="orders" element={<OrdersPage />} />
+          </Route>
+          <Route element={<ProtectedRoute permission="deliveries:own" />}>
+            <Route path="my-deliveries" element={<MyDeliveriesPage />} />
+          </Route>
+          <Route element={<ProtectedRoute permission="users:manage" />}>
+            <Route path="users" element={<UsersPage />} />
+          </Route>
+        </Route>
+      </Route>
+      <Route path="*" element={<Navigate to="/" replace />} />
+    </Routes>
   )
 }
 
@@ -0,0 +1,13 @@
+import { apiRequest } from './client'
+
+export function login(credentials) {
+  return apiRequest('/users/login', { method: 'POST', body: credentials })
+}
+
+export function logout() {
+  return apiRequest('/users/logout', { method: 'POST' })
+}
+
+export function fetchCurrentUser() {
+  return apiRequest('/users/current-user')
+}
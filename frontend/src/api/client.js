@@ -0,0 +1,99 @@
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || '/api/v1'
+
+export class ApiRequestError extends Error {
+  constructor(statusCode, message, errors = []) {
+    super(message)
+    this.statusCode = statusCode
+    this.errors = errors
+  }
+}
+
+function buildUrl(path, params) {
+  const url = `${API_BASE_URL}${path}`
+  if (!params) return url
+
+  const query = new URLSearchParams()
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      query.append(key, value)
+    }
+  })
+  const queryString = query.toString()
+  return queryString ? `${url}?${queryString}` : url
+}
+
+// Server-Sent Events stream; the auth cookie goes along, and the browser resends Last-Event-ID on reconnect
+export function openEventStream(path, params) {
+  return new EventSource(buildUrl(path, params), { withCredentials: true })
+}
+
+// Exports are plain links, so the browser streams the file straight to disk with the auth cookie attached;
+// ExportLinks checks the session through apiRequest first, since a 401 here would not be refreshed
+export function buildDownloadUrl(path, params) {
+  return buildUrl(path, params)
+}
+
+// Auth endpoints answer 401 for bad credentials, so a refresh would never help them
+const NO_REFRESH_PATHS = ['/users/login', '/users/register', '/users/refresh-token']
+
+let refreshPromise = null
+let sessionExpiredHandler = null
+
+export function setSessionExpiredHandler(handler) {
+  sessionExpiredHandler = handler
+}
+
+// Unwraps the backend's ApiResponse envelope and turns ApiError bodies into ApiRequestError
+async function sendRequest(path, { method = 'GET', body, params, signal } = {}) {
+  const response = await fetch(buildUrl(path, params), {
+    method,
+    credentials: 'include',
+    headers: body === undefined ? undefined : { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body),
+    signal,
+  })
+
+  const payload = await response.json().catch(() => null)
+
+  if (!response.ok || payload?.success === false) {
+    throw new ApiRequestError(
+      payload?.statusCode || response.status,
+      payload?.message || response.statusText || 'Request failed',
+      payload?.errors || [],
+    )
+  }
+
+  return payload?.data
+}
+
+// Concurrent 401s share one refresh call instead of racing to rotate the refresh token
+function refreshSession() {
+  if (!refreshPromise) {
+    refreshPromise = sendRequest('/users/refresh-token', { method: 'POST' }).finally(() => {
+      refreshPromise = null
+    })
+  }
+  return refreshPromise
+}
+
+export async function apiRequest(path, options = {}) {
+  try {
+    return await sendRequest(path, options)
+  } catch (err) {
+    if (err.statusCode !== 401 || NO_REFRESH_PATHS.includes(path)) throw err
+
+    try {
+      await refreshSession()
+    } catch {
+      sessionExpiredHandler?.()
+      throw err
+    }
+
+    try {
+      return await sendRequest(path, options)
+    } catch (retryError) {
+      if (retryError.statusCode === 401) sessionExpiredHandler?.()
+      throw retryError
+    }
+  }
+}
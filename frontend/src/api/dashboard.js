@@ -0,0 +1,9 @@
+import { apiRequest, buildDownloadUrl } from './client'
+
+export function fetchDashboard({ from, to, simulationId } = {}, options = {}) {
+  return apiRequest('/dashboard', { params: { from, to, simulationId }, ...options })
+}
+
+export function dashboardExportUrl(format, { from, to, simulationId } = {}) {
+  return buildDownloadUrl('/dashboard/export', { format, from, to, simulationId })
+}
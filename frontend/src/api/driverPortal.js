@@ -0,0 +1,17 @@
+import { apiRequest } from './client'
+
+export function getMyOrders(options = {}) {
+  return apiRequest('/driver-portal/orders', options)
+}
+
+export function pickUpMyOrder(id) {
+  return apiRequest(`/driver-portal/orders/${id}/pickup`, { method: 'POST' })
+}
+
+export function deliverMyOrder(id, data) {
+  return apiRequest(`/driver-portal/orders/${id}/deliver`, { method: 'POST', body: data })
+}
+
+export function failMyOrder(id, reason) {
+  return apiRequest(`/driver-portal/orders/${id}/fail`, { method: 'POST', body: { reason } })
+}
@@ -0,0 +1,13 @@
+import { apiRequest } from './client'
+
+export function listDrivers(params, options = {}) {
+  return apiRequest('/drivers', { params, ...options })
+}
+
+export function createDriver(data) {
+  return apiRequest('/drivers', { method: 'POST', body: data })
+}
+
+export function updateDriver(id, data) {
+  return apiRequest(`/drivers/${id}`, { method: 'PATCH', body: data })
+}
@@ -0,0 +1,33 @@
+import { apiRequest } from './client'
+
+export function listOrders(params, options = {}) {
+  return apiRequest('/orders', { params, ...options })
+}
+
+export function createOrder(data) {
+  return apiRequest('/orders', { method: 'POST', body: data })
+}
+
+export function updateOrder(id, data) {
+  return apiRequest(`/orders/${id}`, { method: 'PATCH', body: data })
+}
+
+export function assignOrder(id, driverId) {
+  return apiRequest(`/orders/${id}/assign`, { method: 'POST', body: { driverId } })
+}
+
+export function dispatchOrder(id) {
+  return apiRequest(`/orders/${id}/dispatch`, { method: 'POST' })
+}
+
+export function deliverOrder(id, data) {
+  return apiRequest(`/orders/${id}/deliver`, { method: 'POST', body: data })
+}
+
+export function cancelOrder(id, reason) {
+  return apiRequest(`/orders/${id}/cancel`, { method: 'POST', body: { reason } })
+}
+
+export function failOrder(id, reason) {
+  return apiRequest(`/orders/${id}/fail`, { method: 'POST', body: { reason } })
+}
@@ -0,0 +1,13 @@
+import { apiRequest } from './client'
+
+export function listRoutes(params, options = {}) {
+  return apiRequest('/routes', { params, ...options })
+}
+
+export function createRoute(data) {
+  return apiRequest('/routes', { method: 'POST', body: data })
+}
+
+export function updateRoute(id, data) {
+  return apiRequest(`/routes/${id}`, { method: 'PATCH', body: data })
+}
@@ -0,0 +1,25 @@
+import { apiRequest, buildDownloadUrl, openEventStream } from './client'
+
+export function runSimulation(inputs) {
+  return apiRequest('/simulations', { method: 'POST', body: inputs })
+}
+
+export function getSimulation(simulationId) {
+  return apiRequest(`/simulations/${simulationId}`)
+}
+
+export function getSimulationProgress(simulationId) {
+  return apiRequest(`/simulations/${simulationId}/progress`)
+}
+
+export function cancelSimulation(simulationId) {
+  return apiRequest(`/simulations/${simulationId}/cancel`, { method: 'POST' })
+}
+
+export function simulationExportUrl(simulationId, format) {
+  return buildDownloadUrl(`/simulations/${simulationId}/export`, { format })
+}
+
+export function openSimulationEvents(simulationId) {
+  return openEventStream(`/simulations/${simulationId}/events`)
+}
@@ -0,0 +1,29 @@
+import { apiRequest } from './client'
+
+export function listUsers(params, options = {}) {
+  return apiRequest('/users', { params, ...options })
+}
+
+export function inviteUser(data) {
+  return apiRequest('/users/invite', { method: 'POST', body: data })
+}
+
+export function resendInvite(id) {
+  return apiRequest(`/users/${id}/resend-invite`, { method: 'POST' })
+}
+
+export function acceptInvite(data) {
+  return apiRequest('/users/accept-invite', { method: 'POST', body: data })
+}
+
+export function updateUserRole(id, role) {
+  return apiRequest(`/users/${id}/role`, { method: 'PATCH', body: { role } })
+}
+
+export function deactivateUser(id) {
+  return apiRequest(`/users/${id}/deactivate`, { method: 'POST' })
+}
+
+export function activateUser(id) {
+  return apiRequest(`/users/${id}/activate`, { method: 'POST' })
+}
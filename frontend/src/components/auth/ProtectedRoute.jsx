@@ -0,0 +1,26 @@
+import { Navigate, Outlet, useLocation } from 'react-router-dom'
+import { useAuth } from '../../hooks/useAuth'
+
+// Without the permission the page is skipped rather than shown with every request failing
+function ProtectedRoute({ permission }) {
+  const { user, isLoading } = useAuth()
+  const location = useLocation()
+
+  if (isLoading) {
+    return <p className="py-12 text-center text-slate-500">Checking your session…</p>
+  }
+
+  if (!user) {
+    return <Navigate to="/login" replace state={{ from: location }} />
+  }
+
+  if (permission && !user.permissions?.includes(permission)) {
+    // Driver accounts have no dashboard, so their home is their own deliveries
+    const home = user.permissions?.includes('dashboard:read') ? '/' : '/my-deliveries'
+    return <Navigate to={home} replace />
+  }
+
+  return <Outlet />
+}
+
+export default ProtectedRoute
@@ -0,0 +1,18 @@
+const TONES = {
+  gray: 'bg-slate-100 text-slate-700',
+  green: 'bg-emerald-100 text-emerald-700',
+  blue: 'bg-sky-100 text-sky-700',
+  amber: 'bg-amber-100 text-amber-800',
+  red: 'bg-rose-100 text-rose-700',
+  purple: 'bg-violet-100 text-violet-700',
+}
+
+function Badge({ tone = 'gray', children }) {
+  return (
+    <span className={`inline-flex rounded-full px-2 py-0.5 text-xs font-medium capitalize ${TONES[tone]}`}>
+      {children}
+    </span>
+  )
+}
+
+export default Badge
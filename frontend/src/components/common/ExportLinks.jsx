@@ -0,0 +1,36 @@
+import { fetchCurrentUser } from '../../api/auth'
+import { secondaryButtonClass } from '../../utils/buttonStyles'
+
+const EXPORT_FORMATS = [
+  { format: 'csv', label: 'CSV' },
+  { format: 'xlsx', label: 'Excel' },
+  { format: 'pdf', label: 'PDF' },
+]
+
+// The download itself bypasses apiRequest, so an authenticated call goes first to refresh an expired access token
+async function startDownload(event) {
+  event.preventDefault()
+  const href = event.currentTarget.href
+  try {
+    await fetchCurrentUser()
+  } catch {
+    // apiRequest has already signed the user out if the session could not be refreshed
+    return
+  }
+  window.location.assign(href)
+}
+
+function ExportLinks({ hrefFor }) {
+  return (
+    <div className="flex items-center gap-2">
+      <span className="text-sm text-slate-500">Export</span>
+      {EXPORT_FORMATS.map(({ format, label }) => (
+        <a key={format} href={hrefFor(format)} download onClick={startDownload} className={secondaryButtonClass}>
+          {label}
+        </a>
+      ))}
+    </div>
+  )
+}
+
+export default ExportLinks
@@ -0,0 +1,19 @@
+function FormField({ id, label, error, hint, children }) {
+  return (
+    <div>
+      <label htmlFor={id} className="block text-sm font-medium text-slate-700">
+        {label}
+      </label>
+      <div className="mt-1">{children}</div>
+      {error ? (
+        <p id={`${id}-error`} className="mt-1 text-xs text-rose-600">
+          {error}
+        </p>
+      ) : (
+        hint && <p className="mt-1 text-xs text-slate-500">{hint}</p>
+      )}
+    </div>
+  )
+}
+
+export default FormField
@@ -0,0 +1,13 @@
+function PageHeader({ title, description, action }) {
+  return (
+    <div className="flex flex-wrap items-end justify-between gap-3">
+      <div>
+        <h1 className="text-2xl font-semibold text-slate-900">{title}</h1>
+        {description && <p className="text-sm text-slate-500">{description}</p>}
+      </div>
+      {action}
+    </div>
+  )
+}
+
+export default PageHeader
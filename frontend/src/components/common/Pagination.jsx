@@ -0,0 +1,34 @@
+function Pagination({ pagination, onPageChange }) {
+  if (!pagination || pagination.totalPages <= 1) return null
+
+  const buttonClass =
+    'rounded-md border border-slate-300 px-3 py-1.5 text-sm hover:bg-slate-100 disabled:cursor-not-allowed disabled:opacity-50'
+
+  return (
+    <div className="flex items-center justify-between gap-2 pt-4 text-sm text-slate-600">
+      <span>
+        Page {pagination.page} of {pagination.totalPages} · {pagination.totalDocs} total
+      </span>
+      <div className="flex gap-2">
+        <button
+          type="button"
+          className={buttonClass}
+          disabled={!pagination.hasPrevPage}
+          onClick={() => onPageChange(pagination.page - 1)}
+        >
+          Previous
+        </button>
+        <button
+          type="button"
+          className={buttonClass}
+          disabled={!pagination.hasNextPage}
+          onClick={() => onPageChange(pagination.page + 1)}
+        >
+          Next
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default Pagination
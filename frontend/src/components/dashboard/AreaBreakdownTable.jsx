@@ -0,0 +1,41 @@
+import { formatCurrency, formatNumber, formatPercent } from '../../utils/format'
+
+// Profit and lateness per route area for the simulation shown on the dashboard
+function AreaBreakdownTable({ areas = [] }) {
+  if (areas.length === 0) {
+    return <p className="py-6 text-center text-sm text-slate-500">No area data for this simulation</p>
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full divide-y divide-slate-200 text-sm">
+        <thead className="bg-slate-50 text-left text-xs font-semibold uppercase tracking-wide text-slate-500">
+          <tr>
+            <th className="px-3 py-2">Area</th>
+            <th className="px-3 py-2 text-right">Orders</th>
+            <th className="px-3 py-2 text-right">On time / Late</th>
+            <th className="px-3 py-2 text-right">Late</th>
+            <th className="px-3 py-2 text-right">Fuel cost</th>
+            <th className="px-3 py-2 text-right">Total profit</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-slate-100">
+          {areas.map((area) => (
+            <tr key={area.area ?? 'unassigned'} className="hover:bg-slate-50">
+              <td className="px-3 py-2 font-medium text-slate-800">{area.area || 'No area'}</td>
+              <td className="px-3 py-2 text-right">{formatNumber(area.orders)}</td>
+              <td className="px-3 py-2 text-right">
+                {formatNumber(area.onTimeCount)} / {formatNumber(area.lateCount)}
+              </td>
+              <td className="px-3 py-2 text-right">{formatPercent(area.latePercent)}</td>
+              <td className="px-3 py-2 text-right">{formatCurrency(area.fuelCost)}</td>
+              <td className="px-3 py-2 text-right">{formatCurrency(area.totalProfit)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+export default AreaBreakdownTable
@@ -0,0 +1,10 @@
+function ChartCard({ title, children }) {
+  return (
+    <section className="rounded-lg bg-white p-4 shadow-sm">
+      <h2 className="mb-4 text-base font-semibold text-slate-800">{title}</h2>
+      <div className="h-64">{children}</div>
+    </section>
+  )
+}
+
+export default ChartCard
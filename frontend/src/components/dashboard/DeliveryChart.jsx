@@ -0,0 +1,31 @@
+import { Cell, Legend, Pie, PieChart, ResponsiveContainer, Tooltip } from 'recharts'
+import { formatNumber } from '../../utils/format'
+
+const COLORS = { 'On time': '#10b981', Late: '#f43f5e' }
+
+function DeliveryChart({ onTime = 0, late = 0 }) {
+  const data = [
+    { name: 'On time', value: onTime },
+    { name: 'Late', value: late },
+  ]
+
+  if (onTime + late === 0) {
+    return <p className="flex h-full items-center justify-center text-sm text-slate-500">No deliveries yet</p>
+  }
+
+  return (
+    <ResponsiveContainer width="100%" height="100%">
+      <PieChart>
+        <Pie data={data} dataKey="value" nameKey="name" innerRadius="55%" outerRadius="80%" paddingAngle={2}>
+          {data.map((entry) => (
+            <Cell key={entry.name} fill={COLORS[entry.name]} />
+          ))}
+        </Pie>
+        <Tooltip formatter={(value) => formatNumber(value)} />
+        <Legend />
+      </PieChart>
+    </ResponsiveContainer>
+  )
+}
+
+export default DeliveryChart
@@ -0,0 +1,35 @@
+import { Bar, BarChart, CartesianGrid, Cell, ResponsiveContainer, Tooltip, XAxis, YAxis } from 'recharts'
+import { formatCurrency } from '../../utils/format'
+
+// Same buckets as fuelCostBreakdown.byTrafficLevel on the Simulation model
+const TRAFFIC_LEVELS = [
+  { level: 'Low', color: '#10b981' },
+  { level: 'Medium', color: '#f59e0b' },
+  { level: 'High', color: '#f43f5e' },
+]
+
+function FuelCostChart({ byTrafficLevel = {} }) {
+  const data = TRAFFIC_LEVELS.map(({ level, color }) => ({
+    level,
+    color,
+    cost: byTrafficLevel[level] || 0,
+  }))
+
+  return (
+    <ResponsiveContainer width="100%" height="100%">
+      <BarChart data={data}>
+        <CartesianGrid strokeDasharray="3 3" vertical={false} />
+        <XAxis dataKey="level" />
+        <YAxis width={70} tickFormatter={(value) => `₹${value}`} />
+        <Tooltip formatter={(value) => [formatCurrency(value), 'Fuel cost']} />
+        <Bar dataKey="cost" radius={[4, 4, 0, 0]}>
+          {data.map((entry) => (
+            <Cell key={entry.level} fill={entry.color} />
+          ))}
+        </Bar>
+      </BarChart>
+    </ResponsiveContainer>
+  )
+}
+
+export default FuelCostChart
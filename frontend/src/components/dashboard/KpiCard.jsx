@@ -0,0 +1,18 @@
+function KpiCard({ label, value, hint, accent = 'emerald' }) {
+  const accents = {
+    emerald: 'border-emerald-500',
+    sky: 'border-sky-500',
+    amber: 'border-amber-500',
+    rose: 'border-rose-500',
+  }
+
+  return (
+    <div className={`rounded-lg border-l-4 ${accents[accent]} bg-white p-4 shadow-sm`}>
+      <p className="text-sm font-medium text-slate-500">{label}</p>
+      <p className="mt-1 text-2xl font-semibold text-slate-900">{value}</p>
+      {hint && <p className="mt-1 text-xs text-slate-500">{hint}</p>}
+    </div>
+  )
+}
+
+export default KpiCard
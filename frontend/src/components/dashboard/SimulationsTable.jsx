@@ -0,0 +1,49 @@
+import { formatCurrency, formatDateTime, formatPercent } from '../../utils/format'
+
+function SimulationsTable({ simulations = [] }) {
+  if (simulations.length === 0) {
+    return <p className="py-6 text-center text-sm text-slate-500">No simulations have been run yet</p>
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full divide-y divide-slate-200 text-sm">
+        <thead className="bg-slate-50 text-left text-xs font-semibold uppercase tracking-wide text-slate-500">
+          <tr>
+            <th className="px-3 py-2">Simulation</th>
+            <th className="px-3 py-2">Run at</th>
+            <th className="px-3 py-2 text-right">Drivers</th>
+            <th className="px-3 py-2 text-right">Orders</th>
+            <th className="px-3 py-2 text-right">On time / Late</th>
+            <th className="px-3 py-2 text-right">Efficiency</th>
+            <th className="px-3 py-2 text-right">Total profit</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-slate-100">
+          {simulations.map((simulation) => (
+            <tr key={simulation._id} className="hover:bg-slate-50">
+              <td className="px-3 py-2">
+                <p className="font-medium text-slate-800">{simulation.simulationName || 'Untitled run'}</p>
+                <p className="text-xs text-slate-500">{simulation.algorithmUsed}</p>
+              </td>
+              <td className="whitespace-nowrap px-3 py-2 text-slate-600">{formatDateTime(simulation.createdAt)}</td>
+              <td className="px-3 py-2 text-right">{simulation.inputs?.availableDrivers}</td>
+              <td className="px-3 py-2 text-right">{simulation.totalOrdersProcessed}</td>
+              <td className="whitespace-nowrap px-3 py-2 text-right">
+                <span className="text-emerald-600">{simulation.onTimeCount}</span>
+                {' / '}
+                <span className="text-rose-600">{simulation.lateCount}</span>
+              </td>
+              <td className="px-3 py-2 text-right">{formatPercent(simulation.efficiencyScore)}</td>
+              <td className="whitespace-nowrap px-3 py-2 text-right font-medium">
+                {formatCurrency(simulation.totalProfit)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+export default SimulationsTable
@@ -0,0 +1,61 @@
+import FormField from '../common/FormField'
+import { deliverMyOrder } from '../../api/driverPortal'
+import { useEntityForm } from '../../hooks/useEntityForm'
+import { validateDelivery } from '../../utils/entityValidation'
+import { inputClass } from '../../utils/formStyles'
+import { primaryButtonClass, secondaryButtonClass } from '../../utils/buttonStyles'
+
+function currentTime() {
+  const now = new Date()
+  return `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`
+}
+
+function toPayload(values) {
+  return { actualDeliveryTime: values.actualDeliveryTime, notes: values.notes.trim() }
+}
+
+// Whether the delivery was on time is decided by the server from the pickup time and the route
+function DeliveryConfirmForm({ order, onSaved, onCancel }) {
+  const { values, errors, formError, isSubmitting, setField, handleSubmit } = useEntityForm({
+    initialValues: { actualDeliveryTime: currentTime(), notes: '' },
+    validate: validateDelivery,
+    toPayload,
+    save: (payload) => deliverMyOrder(order._id, payload),
+    onSaved,
+  })
+
+  return (
+    <form onSubmit={handleSubmit} noValidate className="space-y-4">
+      {formError && <p className="rounded-md bg-rose-50 p-2 text-sm text-rose-700">{formError}</p>}
+      <FormField id="actualDeliveryTime" label="Delivered at" error={errors.actualDeliveryTime} hint="HH:MM">
+        <input
+          id="actualDeliveryTime"
+          type="time"
+          value={values.actualDeliveryTime}
+          onChange={(event) => setField('actualDeliveryTime', event.target.value)}
+          className={inputClass(Boolean(errors.actualDeliveryTime))}
+        />
+      </FormField>
+      <FormField id="notes" label="Notes" error={errors.notes} hint="Optional, e.g. who received the order">
+        <textarea
+          id="notes"
+          rows={3}
+          maxLength={500}
+          value={values.notes}
+          onChange={(event) => setField('notes', event.target.value)}
+          className={inputClass(Boolean(errors.notes))}
+        />
+      </FormField>
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className={secondaryButtonClass}>
+          Back
+        </button>
+        <button type="submit" disabled={isSubmitting} className={primaryButtonClass}>
+          {isSubmitting ? 'Saving…' : 'Confirm delivery'}
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export default DeliveryConfirmForm
@@ -0,0 +1,83 @@
+import FormField from '../common/FormField'
+import PastWeekHoursEditor from './PastWeekHoursEditor'
+import { createDriver, updateDriver } from '../../api/drivers'
+import { useEntityForm } from '../../hooks/useEntityForm'
+import { validateDriver } from '../../utils/entityValidation'
+import { inputClass } from '../../utils/formStyles'
+import { primaryButtonClass, secondaryButtonClass } from '../../utils/buttonStyles'
+
+function toFormValues(driver) {
+  return {
+    name: driver?.name ?? '',
+    shiftHours: driver?.shiftHours ?? '8',
+    pastWeekHours: (driver?.pastWeekHours ?? Array(7).fill(0)).map(String),
+    isActive: driver?.isActive ?? true,
+  }
+}
+
+function toPayload(values) {
+  return {
+    name: values.name.trim(),
+    shiftHours: Number(values.shiftHours),
+    pastWeekHours: values.pastWeekHours.map(Number),
+    isActive: values.isActive,
+  }
+}
+
+function DriverForm({ driver, onSaved, onCancel }) {
+  const { values, errors, formError, isSubmitting, setField, handleSubmit } = useEntityForm({
+    initialValues: toFormValues(driver),
+    validate: validateDriver,
+    toPayload,
+    save: (payload) => (driver ? updateDriver(driver._id, payload) : createDriver(payload)),
+    onSaved,
+  })
+
+  return (
+    <form onSubmit={handleSubmit} noValidate className="space-y-4">
+      {formError && <p className="rounded-md bg-rose-50 p-2 text-sm text-rose-700">{formError}</p>}
+      <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+        <FormField id="name" label="Name" error={errors.name}>
+          <input
+            id="name"
+            value={values.name}
+            onChange={(event) => setField('name', event.target.value)}
+            className={inputClass(Boolean(errors.name))}
+          />
+        </FormField>
+        <FormField id="shiftHours" label="Shift hours" error={errors.shiftHours} hint="1–12 hours">
+          <input
+            id="shiftHours"
+            type="number"
+            min="1"
+            max="12"
+            value={values.shiftHours}
+            onChange={(event) => setField('shiftHours', event.target.value)}
+            className={inputClass(Boolean(errors.shiftHours))}
+          />
+        </FormField>
+      </div>
+      <FormField id="pastWeekHours" label="Hours worked in the past 7 days" error={errors.pastWeekHours}>
+        <PastWeekHoursEditor
+          hours={values.pastWeekHours}
+          onChange={(hours) => setField('pastWeekHours', hours)}
+          hasError={Boolean(errors.pastWeekHours)}
+        />
+      </FormField>
+      <label className="flex items-center gap-2 text-sm text-slate-700">
+        <input type="checkbox" checked={values.isActive} onChange={(event) => setField('isActive', event.target.checked)} />
+        Active
+      </label>
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className={secondaryButtonClass}>
+          Cancel
+        </button>
+        <button type="submit" disabled={isSubmitting} className={primaryButtonClass}>
+          {isSubmitting ? 'Saving…' : driver ? 'Save changes' : 'Create driver'}
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export default DriverForm
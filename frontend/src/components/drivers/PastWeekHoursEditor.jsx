@@ -0,0 +1,43 @@
+import { inputClass } from '../../utils/formStyles'
+import { formatNumber } from '../../utils/format'
+
+// pastWeekHours[6] is yesterday and pastWeekHours[0] is seven days ago, matching Driver.updateDailyHours
+const DAY_LABELS = ['7 days ago', '6 days ago', '5 days ago', '4 days ago', '3 days ago', '2 days ago', 'Yesterday']
+const OVERTIME_HOURS = 8
+
+function PastWeekHoursEditor({ hours, onChange, hasError }) {
+  const updateDay = (index, value) => {
+    const next = [...hours]
+    next[index] = value
+    onChange(next)
+  }
+
+  const numericHours = hours.map(Number).filter((h) => !Number.isNaN(h))
+  const average = numericHours.length === 7 ? numericHours.reduce((sum, h) => sum + h, 0) / 7 : 0
+
+  return (
+    <div>
+      <div className="grid grid-cols-2 gap-2 sm:grid-cols-4 md:grid-cols-7">
+        {DAY_LABELS.map((label, index) => (
+          <label key={label} className="text-xs text-slate-500">
+            {label}
+            <input
+              type="number"
+              min="0"
+              max="24"
+              step="0.5"
+              value={hours[index]}
+              onChange={(event) => updateDay(index, event.target.value)}
+              className={`${inputClass(hasError)} mt-1 ${Number(hours[index]) > OVERTIME_HOURS ? 'bg-amber-50' : ''}`}
+            />
+          </label>
+        ))}
+      </div>
+      <p className="mt-2 text-xs text-slate-500">
+        Average {formatNumber(average)} h/day · days over {OVERTIME_HOURS} h are highlighted
+      </p>
+    </div>
+  )
+}
+
+export default PastWeekHoursEditor
@@ -0,0 +1,57 @@
+import { NavLink, Outlet } from 'react-router-dom'
+import { useAuth } from '../../hooks/useAuth'
+
+const NAV_ITEMS = [
+  { to: '/', label: 'Dashboard', end: true, permission: 'dashboard:read' },
+  { to: '/simulations/new', label: 'Run simulation', permission: 'simulations:run' },
+  { to: '/drivers', label: 'Drivers', permission: 'drivers:read' },
+  { to: '/routes', label: 'Routes', permission: 'routes:read' },
+  { to: '/orders', label: 'Orders', permission: 'orders:read' },
+  { to: '/my-deliveries', label: 'My deliveries', permission: 'deliveries:own' },
+  { to: '/users', label: 'Users', permission: 'users:manage' },
+]
+
+function navLinkClass({ isActive }) {
+  return `rounded-md px-3 py-2 text-sm font-medium ${
+    isActive ? 'bg-emerald-50 text-emerald-700' : 'text-slate-600 hover:bg-slate-100 hover:text-slate-900'
+  }`
+}
+
+function AppLayout() {
+  const { user, logout } = useAuth()
+  const navItems = NAV_ITEMS.filter((item) => user?.permissions?.includes(item.permission))
+
+  return (
+    <div className="min-h-screen">
+      <header className="border-b border-slate-200 bg-white">
+        <div className="mx-auto flex max-w-7xl flex-wrap items-center justify-between gap-2 px-4 py-3 sm:px-6">
+          <span className="text-lg font-semibold text-emerald-700">GreenCart Logistics</span>
+          <nav className="flex flex-wrap gap-1">
+            {navItems.map((item) => (
+              <NavLink key={item.to} to={item.to} end={item.end} className={navLinkClass}>
+                {item.label}
+              </NavLink>
+            ))}
+          </nav>
+          <div className="flex items-center gap-3 text-sm">
+            <span className="text-slate-600">
+              {user?.fullName} <span className="text-xs capitalize text-slate-400">({user?.role})</span>
+            </span>
+            <button
+              type="button"
+              onClick={logout}
+              className="rounded-md border border-slate-300 px-3 py-1.5 font-medium text-slate-700 hover:bg-slate-100"
+            >
+              Sign out
+            </button>
+          </div>
+        </div>
+      </header>
+      <main className="mx-auto max-w-7xl px-4 py-6 sm:px-6">
+        <Outlet />
+      </main>
+    </div>
+  )
+}
+
+export default AppLayout
@@ -0,0 +1,61 @@
+import { useEffect, useState } from 'react'
+import FormField from '../common/FormField'
+import { listDrivers } from '../../api/drivers'
+import { assignOrder } from '../../api/orders'
+import { useEntityForm } from '../../hooks/useEntityForm'
+import { inputClass } from '../../utils/formStyles'
+import { primaryButtonClass, secondaryButtonClass } from '../../utils/buttonStyles'
+
+function validateAssignment(values) {
+  return values.driverId ? {} : { driverId: 'Choose a driver' }
+}
+
+function AssignOrderForm({ order, onSaved, onCancel }) {
+  const [drivers, setDrivers] = useState([])
+  const { values, errors, formError, isSubmitting, setField, handleSubmit } = useEntityForm({
+    initialValues: { driverId: '' },
+    validate: validateAssignment,
+    toPayload: (formValues) => formValues.driverId,
+    save: (driverId) => assignOrder(order._id, driverId),
+    onSaved,
+  })
+
+  useEffect(() => {
+    const controller = new AbortController()
+    listDrivers({ isActive: 'true', limit: 100, sortBy: 'name', sortType: 'asc' }, { signal: controller.signal })
+      .then((data) => setDrivers(data.drivers))
+      .catch(() => setDrivers([]))
+    return () => controller.abort()
+  }, [])
+
+  return (
+    <form onSubmit={handleSubmit} noValidate className="space-y-4">
+      {formError && <p className="rounded-md bg-rose-50 p-2 text-sm text-rose-700">{formError}</p>}
+      <FormField id="driverId" label="Driver" error={errors.driverId} hint={`Delivers on route #${order.routeId}`}>
+        <select
+          id="driverId"
+          value={values.driverId}
+          onChange={(event) => setField('driverId', event.target.value)}
+          className={inputClass(Boolean(errors.driverId))}
+        >
+          <option value="">Choose a driver</option>
+          {drivers.map((driver) => (
+            <option key={driver._id} value={driver._id}>
+              {driver.name} ({driver.currentDayHours} h worked today)
+            </option>
+          ))}
+        </select>
+      </FormField>
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className={secondaryButtonClass}>
+          Back
+        </button>
+        <button type="submit" disabled={isSubmitting} className={primaryButtonClass}>
+          {isSubmitting ? 'Assigning…' : 'Assign'}
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export default AssignOrderForm
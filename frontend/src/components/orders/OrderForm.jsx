@@ -0,0 +1,88 @@
+import FormField from '../common/FormField'
+import { createOrder, updateOrder } from '../../api/orders'
+import { useEntityForm } from '../../hooks/useEntityForm'
+import { ORDER_PRIORITIES, validateOrder } from '../../utils/entityValidation'
+import { inputClass } from '../../utils/formStyles'
+import { primaryButtonClass, secondaryButtonClass } from '../../utils/buttonStyles'
+
+function toFormValues(order) {
+  return {
+    orderId: order?.orderId ?? '',
+    valueRs: order?.valueRs ?? '',
+    routeId: order?.routeId ?? '',
+    deliveryTime: order?.deliveryTime ?? '',
+    priority: order?.priority ?? 'medium',
+    deliveryNotes: order?.deliveryNotes ?? '',
+  }
+}
+
+function toPayload(values) {
+  return {
+    orderId: Number(values.orderId),
+    valueRs: Number(values.valueRs),
+    routeId: Number(values.routeId),
+    deliveryTime: values.deliveryTime,
+    priority: values.priority,
+    deliveryNotes: values.deliveryNotes.trim(),
+  }
+}
+
+function OrderForm({ order, onSaved, onCancel }) {
+  const { values, errors, formError, isSubmitting, setField, handleSubmit } = useEntityForm({
+    initialValues: toFormValues(order),
+    validate: validateOrder,
+    toPayload,
+    save: (payload) => (order ? updateOrder(order._id, payload) : createOrder(payload)),
+    onSaved,
+  })
+
+  const inputProps = (name, type = 'text') => ({
+    id: name,
+    type,
+    value: values[name],
+    onChange: (event) => setField(name, event.target.value),
+    className: inputClass(Boolean(errors[name])),
+  })
+
+  return (
+    <form onSubmit={handleSubmit} noValidate className="space-y-4">
+      {formError && <p className="rounded-md bg-rose-50 p-2 text-sm text-rose-700">{formError}</p>}
+      <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+        <FormField id="orderId" label="Order ID" error={errors.orderId}>
+          <input min="1" step="1" {...inputProps('orderId', 'number')} />
+        </FormField>
+        <FormField id="valueRs" label="Order value (₹)" error={errors.valueRs} hint="Up to ₹100,000">
+          <input min="0" max="100000" {...inputProps('valueRs', 'number')} />
+        </FormField>
+        <FormField id="routeId" label="Route ID" error={errors.routeId}>
+          <input min="1" step="1" {...inputProps('routeId', 'number')} />
+        </FormField>
+        <FormField id="deliveryTime" label="Delivery time" error={errors.deliveryTime} hint="HH:MM">
+          <input {...inputProps('deliveryTime', 'time')} />
+        </FormField>
+        <FormField id="priority" label="Priority" error={errors.priority}>
+          <select {...inputProps('priority')}>
+            {ORDER_PRIORITIES.map((priority) => (
+              <option key={priority} value={priority}>
+                {priority}
+              </option>
+            ))}
+          </select>
+        </FormField>
+      </div>
+      <FormField id="deliveryNotes" label="Delivery notes" error={errors.deliveryNotes} hint="Optional">
+        <textarea rows={2} maxLength={500} {...inputProps('deliveryNotes')} />
+      </FormField>
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className={secondaryButtonClass}>
+          Cancel
+        </button>
+        <button type="submit" disabled={isSubmitting} className={primaryButtonClass}>
+          {isSubmitting ? 'Saving…' : order ? 'Save changes' : 'Create order'}
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export default OrderForm
@@ -0,0 +1,57 @@
+import FormField from '../common/FormField'
+import { cancelOrder, failOrder } from '../../api/orders'
+import { failMyOrder } from '../../api/driverPortal'
+import { useEntityForm } from '../../hooks/useEntityForm'
+import { inputClass } from '../../utils/formStyles'
+import { primaryButtonClass, secondaryButtonClass } from '../../utils/buttonStyles'
+
+const ACTIONS = {
+  cancel: { save: cancelOrder, label: 'Cancel order', pending: 'Cancelling…' },
+  fail: { save: failOrder, label: 'Mark as failed', pending: 'Saving…' },
+  reportFailure: { save: failMyOrder, label: 'Report failed delivery', pending: 'Saving…' },
+}
+
+function validateReason(values) {
+  const reason = values.reason.trim()
+  if (!reason) return { reason: 'A reason is required' }
+  if (reason.length > 500) return { reason: 'Reason cannot exceed 500 characters' }
+  return {}
+}
+
+// The reason is kept in the order's delivery notes and status history
+function OrderReasonForm({ order, action, onSaved, onCancel }) {
+  const { save, label, pending } = ACTIONS[action]
+  const { values, errors, formError, isSubmitting, setField, handleSubmit } = useEntityForm({
+    initialValues: { reason: '' },
+    validate: validateReason,
+    toPayload: (formValues) => formValues.reason.trim(),
+    save: (reason) => save(order._id, reason),
+    onSaved,
+  })
+
+  return (
+    <form onSubmit={handleSubmit} noValidate className="space-y-4">
+      {formError && <p className="rounded-md bg-rose-50 p-2 text-sm text-rose-700">{formError}</p>}
+      <FormField id="reason" label="Reason" error={errors.reason}>
+        <textarea
+          id="reason"
+          rows={3}
+          maxLength={500}
+          value={values.reason}
+          onChange={(event) => setField('reason', event.target.value)}
+          className={inputClass(Boolean(errors.reason))}
+        />
+      </FormField>
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className={secondaryButtonClass}>
+          Back
+        </button>
+        <button type="submit" disabled={isSubmitting} className={primaryButtonClass}>
+          {isSubmitting ? pending : label}
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export default OrderReasonForm
@@ -0,0 +1,100 @@
+import FormField from '../common/FormField'
+import { createRoute, updateRoute } from '../../api/routes'
+import { useEntityForm } from '../../hooks/useEntityForm'
+import { ROUTE_DIFFICULTIES, TRAFFIC_LEVELS, validateRoute } from '../../utils/entityValidation'
+import { inputClass } from '../../utils/formStyles'
+import { primaryButtonClass, secondaryButtonClass } from '../../utils/buttonStyles'
+
+function toFormValues(route) {
+  return {
+    routeId: route?.routeId ?? '',
+    distanceKm: route?.distanceKm ?? '',
+    trafficLevel: route?.trafficLevel ?? 'Low',
+    baseTimeMin: route?.baseTimeMin ?? '',
+    area: route?.area ?? '',
+    difficulty: route?.difficulty ?? 'medium',
+    isActive: route?.isActive ?? true,
+  }
+}
+
+function toPayload(values) {
+  return {
+    routeId: Number(values.routeId),
+    distanceKm: Number(values.distanceKm),
+    trafficLevel: values.trafficLevel,
+    baseTimeMin: Number(values.baseTimeMin),
+    area: values.area.trim(),
+    difficulty: values.difficulty,
+    isActive: values.isActive,
+  }
+}
+
+function RouteForm({ route, onSaved, onCancel }) {
+  const { values, errors, formError, isSubmitting, setField, handleSubmit } = useEntityForm({
+    initialValues: toFormValues(route),
+    validate: validateRoute,
+    toPayload,
+    save: (payload) => (route ? updateRoute(route._id, payload) : createRoute(payload)),
+    onSaved,
+  })
+
+  const inputProps = (name, type = 'text') => ({
+    id: name,
+    type,
+    value: values[name],
+    onChange: (event) => setField(name, event.target.value),
+    className: inputClass(Boolean(errors[name])),
+  })
+
+  return (
+    <form onSubmit={handleSubmit} noValidate className="space-y-4">
+      {formError && <p className="rounded-md bg-rose-50 p-2 text-sm text-rose-700">{formError}</p>}
+      <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+        <FormField id="routeId" label="Route ID" error={errors.routeId}>
+          <input min="1" step="1" {...inputProps('routeId', 'number')} />
+        </FormField>
+        <FormField id="area" label="Area" error={errors.area} hint="Optional">
+          <input maxLength={100} {...inputProps('area')} />
+        </FormField>
+        <FormField id="distanceKm" label="Distance (km)" error={errors.distanceKm} hint="0.1–1000 km">
+          <input min="0.1" max="1000" step="0.1" {...inputProps('distanceKm', 'number')} />
+        </FormField>
+        <FormField id="baseTimeMin" label="Base time (minutes)" error={errors.baseTimeMin} hint="1–600 minutes">
+          <input min="1" max="600" {...inputProps('baseTimeMin', 'number')} />
+        </FormField>
+        <FormField id="trafficLevel" label="Traffic level" error={errors.trafficLevel}>
+          <select {...inputProps('trafficLevel')}>
+            {TRAFFIC_LEVELS.map((level) => (
+              <option key={level} value={level}>
+                {level}
+              </option>
+            ))}
+          </select>
+        </FormField>
+        <FormField id="difficulty" label="Difficulty" error={errors.difficulty}>
+          <select {...inputProps('difficulty')}>
+            {ROUTE_DIFFICULTIES.map((difficulty) => (
+              <option key={difficulty} value={difficulty}>
+                {difficulty}
+              </option>
+            ))}
+          </select>
+        </FormField>
+      </div>
+      <label className="flex items-center gap-2 text-sm text-slate-700">
+        <input type="checkbox" checked={values.isActive} onChange={(event) => setField('isActive', event.target.checked)} />
+        Active
+      </label>
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className={secondaryButtonClass}>
+          Cancel
+        </button>
+        <button type="submit" disabled={isSubmitting} className={primaryButtonClass}>
+          {isSubmitting ? 'Saving…' : route ? 'Save changes' : 'Create route'}
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export default RouteForm
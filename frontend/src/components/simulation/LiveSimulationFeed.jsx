@@ -0,0 +1,41 @@
+import KpiCard from '../dashboard/KpiCard'
+import Badge from '../common/Badge'
+import { formatCurrency, formatNumber } from '../../utils/format'
+
+// Running totals and the latest orders from a simulation's event stream
+function LiveSimulationFeed({ feed }) {
+  if (!feed.totals) return null
+
+  const { totals } = feed
+
+  return (
+    <section className="space-y-4">
+      <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-4">
+        <KpiCard label="Running profit" value={formatCurrency(feed.runningProfit)} accent="emerald" />
+        <KpiCard label="On time" value={formatNumber(totals.onTimeCount)} accent="sky" />
+        <KpiCard label="Late" value={formatNumber(totals.lateCount)} accent="rose" />
+        <KpiCard label="Fuel cost" value={formatCurrency(totals.fuelCost.total)} accent="amber" />
+      </div>
+      <p className="text-sm text-slate-500">
+        Fuel by traffic level: Low {formatCurrency(totals.fuelCost.Low)} · Medium {formatCurrency(totals.fuelCost.Medium)} ·
+        High {formatCurrency(totals.fuelCost.High)}
+      </p>
+      <div className="rounded-lg bg-white p-4 shadow-sm">
+        <h3 className="mb-3 text-base font-semibold text-slate-800">Latest orders</h3>
+        <ul className="divide-y divide-slate-100 text-sm">
+          {feed.recentOrders.map((order) => (
+            <li key={order.orderId} className="flex items-center justify-between py-2">
+              <span className="font-medium text-slate-700">Order {order.orderId}</span>
+              <span className="text-slate-500">{order.driver?.name || '—'}</span>
+              <span className="text-slate-500">{order.actualDeliveryTime || '—'}</span>
+              <Badge tone={order.wasOnTime ? 'green' : 'red'}>{order.wasOnTime ? 'On time' : 'Late'}</Badge>
+              <span className="text-slate-700">{formatCurrency(order.profit)}</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </section>
+  )
+}
+
+export default LiveSimulationFeed
@@ -0,0 +1,106 @@
+import { useMemo, useState } from 'react'
+import { formatCurrency } from '../../utils/format'
+
+// Minutes from midnight of the start day, so deliveries after midnight sort after the evening ones
+function deliveredAtMinutes(order) {
+  if (!order.actualDeliveryTime) return -1
+  const [hours, minutes] = order.actualDeliveryTime.split(':').map(Number)
+  return (order.dayOffset ?? 0) * 24 * 60 + hours * 60 + minutes
+}
+
+const COLUMNS = [
+  { key: 'orderId', label: 'Order', align: 'left', value: (order) => order.orderId },
+  { key: 'driver', label: 'Driver', align: 'left', value: (order) => order.driverAssigned?.name || '' },
+  { key: 'route', label: 'Route', align: 'left', value: (order) => order.routeUsed?.routeId ?? 0 },
+  { key: 'deliveredAt', label: 'Delivered at', align: 'left', value: deliveredAtMinutes },
+  { key: 'wasOnTime', label: 'Status', align: 'left', value: (order) => (order.wasOnTime ? 1 : 0) },
+  { key: 'fuelCost', label: 'Fuel cost', align: 'right', value: (order) => order.fuelCost, money: true },
+  { key: 'penalty', label: 'Penalty', align: 'right', value: (order) => order.penalty, money: true },
+  { key: 'bonus', label: 'Bonus', align: 'right', value: (order) => order.bonus, money: true },
+  { key: 'profit', label: 'Profit', align: 'right', value: (order) => order.profit, money: true },
+]
+
+function compareValues(a, b) {
+  if (typeof a === 'string' || typeof b === 'string') return String(a).localeCompare(String(b))
+  return (a ?? 0) - (b ?? 0)
+}
+
+function renderCell(column, order) {
+  if (column.key === 'driver') return order.driverAssigned?.name || '—'
+  if (column.key === 'route') return order.routeUsed?.routeId ?? '—'
+  if (column.key === 'deliveredAt') {
+    if (!order.actualDeliveryTime) return '—'
+    return order.dayOffset > 0 ? `${order.actualDeliveryTime} (+${order.dayOffset}d)` : order.actualDeliveryTime
+  }
+  if (column.key === 'wasOnTime') {
+    return order.wasOnTime ? (
+      <span className="rounded-full bg-emerald-100 px-2 py-0.5 text-xs font-medium text-emerald-700">On time</span>
+    ) : (
+      <span className="rounded-full bg-rose-100 px-2 py-0.5 text-xs font-medium text-rose-700">Late</span>
+    )
+  }
+  const value = column.value(order)
+  return column.money ? formatCurrency(value) : value
+}
+
+function OrdersProcessedTable({ orders = [] }) {
+  const [sort, setSort] = useState({ key: 'orderId', direction: 'asc' })
+
+  const sortedOrders = useMemo(() => {
+    const column = COLUMNS.find((item) => item.key === sort.key)
+    const sorted = [...orders].sort((a, b) => compareValues(column.value(a), column.value(b)))
+    return sort.direction === 'asc' ? sorted : sorted.reverse()
+  }, [orders, sort])
+
+  const toggleSort = (key) => {
+    setSort((current) =>
+      current.key === key
+        ? { key, direction: current.direction === 'asc' ? 'desc' : 'asc' }
+        : { key, direction: 'asc' },
+    )
+  }
+
+  if (orders.length === 0) {
+    return <p className="py-6 text-center text-sm text-slate-500">No orders were processed in this run</p>
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full divide-y divide-slate-200 text-sm">
+        <thead className="bg-slate-50 text-xs font-semibold uppercase tracking-wide text-slate-500">
+          <tr>
+            {COLUMNS.map((column) => (
+              <th
+                key={column.key}
+                scope="col"
+                aria-sort={sort.key === column.key ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+                className={`px-3 py-2 ${column.align === 'right' ? 'text-right' : 'text-left'}`}
+              >
+                <button type="button" onClick={() => toggleSort(column.key)} className="inline-flex items-center gap-1 uppercase">
+                  {column.label}
+                  {sort.key === column.key && <span aria-hidden="true">{sort.direction === 'asc' ? '▲' : '▼'}</span>}
+                </button>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-slate-100">
+          {sortedOrders.map((order) => (
+            <tr key={order.orderId} className="hover:bg-slate-50">
+              {COLUMNS.map((column) => (
+                <td
+                  key={column.key}
+                  className={`whitespace-nowrap px-3 py-2 ${column.align === 'right' ? 'text-right' : 'text-left'}`}
+                >
+                  {renderCell(column, order)}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+export default OrdersProcessedTable
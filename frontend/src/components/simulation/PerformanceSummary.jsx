@@ -0,0 +1,22 @@
+import KpiCard from '../dashboard/KpiCard'
+import { formatCurrency, formatNumber, formatPercent } from '../../utils/format'
+
+// Renders the object returned by the Simulation model's getPerformanceSummary()
+function PerformanceSummary({ summary }) {
+  if (!summary) return null
+
+  return (
+    <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-4">
+      <KpiCard label="Total profit" value={formatCurrency(summary.totalProfit)} accent="emerald" />
+      <KpiCard label="Efficiency score" value={formatPercent(summary.efficiencyScore)} accent="sky" />
+      <KpiCard label="Success rate" value={formatPercent(summary.successRate)} accent="sky" />
+      <KpiCard label="Profit per order" value={formatCurrency(summary.profitPerOrder)} accent="emerald" />
+      <KpiCard label="ROI" value={formatPercent(summary.roi)} accent="amber" />
+      <KpiCard label="Driver utilization" value={formatPercent(summary.driverUtilization)} accent="amber" />
+      <KpiCard label="Orders processed" value={formatNumber(summary.totalOrdersProcessed)} accent="sky" />
+      <KpiCard label="Execution time" value={`${formatNumber(summary.executionTime)} s`} accent="rose" />
+    </div>
+  )
+}
+
+export default PerformanceSummary
@@ -0,0 +1,94 @@
+import FormField from '../common/FormField'
+import { inputClass } from '../../utils/formStyles'
+import { SIMULATION_LIMITS } from '../../utils/simulationValidation'
+
+function SimulationForm({ values, errors, isSubmitting, onChange, onSubmit }) {
+  const handleChange = (event) => onChange(event.target.name, event.target.value)
+
+  const fieldProps = (name) => ({
+    id: name,
+    name,
+    value: values[name],
+    onChange: handleChange,
+    'aria-invalid': Boolean(errors[name]),
+    'aria-describedby': errors[name] ? `${name}-error` : undefined,
+    className: inputClass(Boolean(errors[name])),
+  })
+
+  return (
+    <form onSubmit={onSubmit} noValidate className="space-y-4 rounded-lg bg-white p-4 shadow-sm">
+      <div className="grid grid-cols-1 gap-4 md:grid-cols-2 lg:grid-cols-4">
+        <FormField
+          id="availableDrivers"
+          label="Available drivers"
+          error={errors.availableDrivers}
+          hint={`${SIMULATION_LIMITS.availableDrivers.min}–${SIMULATION_LIMITS.availableDrivers.max} drivers`}
+        >
+          <input
+            type="number"
+            min={SIMULATION_LIMITS.availableDrivers.min}
+            max={SIMULATION_LIMITS.availableDrivers.max}
+            step="1"
+            {...fieldProps('availableDrivers')}
+          />
+        </FormField>
+        <FormField id="routeStartTime" label="Route start time" error={errors.routeStartTime} hint="HH:MM, 24-hour clock">
+          <input type="time" {...fieldProps('routeStartTime')} />
+        </FormField>
+        <FormField
+          id="maxHoursPerDriver"
+          label="Max hours per driver"
+          error={errors.maxHoursPerDriver}
+          hint={`${SIMULATION_LIMITS.maxHoursPerDriver.min}–${SIMULATION_LIMITS.maxHoursPerDriver.max} hours`}
+        >
+          <input
+            type="number"
+            min={SIMULATION_LIMITS.maxHoursPerDriver.min}
+            max={SIMULATION_LIMITS.maxHoursPerDriver.max}
+            step="0.5"
+            {...fieldProps('maxHoursPerDriver')}
+          />
+        </FormField>
+        <FormField
+          id="maxOrdersPerTrip"
+          label="Max orders per trip"
+          error={errors.maxOrdersPerTrip}
+          hint="Orders on the same route share a trip and its fuel cost"
+        >
+          <input
+            type="number"
+            min={SIMULATION_LIMITS.maxOrdersPerTrip.min}
+            max={SIMULATION_LIMITS.maxOrdersPerTrip.max}
+            step="1"
+            {...fieldProps('maxOrdersPerTrip')}
+          />
+        </FormField>
+      </div>
+
+      <FormField id="simulationName" label="Simulation name" error={errors.simulationName} hint="Optional">
+        <input type="text" maxLength={SIMULATION_LIMITS.simulationName.maxLength} {...fieldProps('simulationName')} />
+      </FormField>
+
+      <FormField
+        id="description"
+        label="Description"
+        error={errors.description}
+        hint={`${values.description.length}/${SIMULATION_LIMITS.description.maxLength} characters`}
+      >
+        <textarea rows={3} maxLength={SIMULATION_LIMITS.description.maxLength} {...fieldProps('description')} />
+      </FormField>
+
+      <div className="flex justify-end">
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="rounded-md bg-emerald-600 px-4 py-2 text-sm font-semibold text-white shadow-sm hover:bg-emerald-700 disabled:cursor-not-allowed disabled:opacity-60"
+        >
+          {isSubmitting ? 'Running…' : 'Run simulation'}
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export default SimulationForm
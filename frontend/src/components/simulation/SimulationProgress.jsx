@@ -0,0 +1,36 @@
+import { formatNumber } from '../../utils/format'
+import { secondaryButtonClass } from '../../utils/buttonStyles'
+
+// Progress bar for a queued or running simulation job
+function SimulationProgress({ progress, isCancelling, onCancel }) {
+  const processed = progress?.progress?.processedOrders ?? 0
+  const total = progress?.progress?.totalOrders ?? 0
+  const percent = progress?.progress?.percent ?? 0
+  const isQueued = progress?.jobState === 'queued'
+
+  return (
+    <div className="space-y-3 rounded-lg bg-white p-4 shadow-sm">
+      <div className="flex items-center justify-between text-sm text-slate-600">
+        <span>
+          {isQueued
+            ? `Waiting in queue (position ${progress.queuePosition})`
+            : `Processed ${formatNumber(processed)} of ${formatNumber(total)} orders`}
+        </span>
+        <button type="button" className={secondaryButtonClass} disabled={isCancelling} onClick={onCancel}>
+          {isCancelling ? 'Cancelling…' : 'Cancel'}
+        </button>
+      </div>
+      <div
+        className="h-2 overflow-hidden rounded-full bg-slate-100"
+        role="progressbar"
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={percent}
+      >
+        <div className="h-full bg-emerald-500 transition-all" style={{ width: `${percent}%` }} />
+      </div>
+    </div>
+  )
+}
+
+export default SimulationProgress
@@ -0,0 +1,39 @@
+import { formatCurrency, formatNumber } from '../../utils/format'
+
+// Trips built by the simulation: orders sharing a route ride together and pay the route's fuel once
+function TripsTable({ trips = [] }) {
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full divide-y divide-slate-200 text-sm">
+        <thead className="bg-slate-50 text-xs font-semibold uppercase tracking-wide text-slate-500">
+          <tr>
+            <th scope="col" className="px-3 py-2 text-left">Trip</th>
+            <th scope="col" className="px-3 py-2 text-left">Driver</th>
+            <th scope="col" className="px-3 py-2 text-left">Route</th>
+            <th scope="col" className="px-3 py-2 text-left">Orders</th>
+            <th scope="col" className="px-3 py-2 text-left">Time</th>
+            <th scope="col" className="px-3 py-2 text-right">Total time</th>
+            <th scope="col" className="px-3 py-2 text-right">Fuel cost</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-slate-100">
+          {trips.map((trip) => (
+            <tr key={trip.tripNumber} className="hover:bg-slate-50">
+              <td className="whitespace-nowrap px-3 py-2">{trip.tripNumber}</td>
+              <td className="whitespace-nowrap px-3 py-2">{trip.driverAssigned?.name || '—'}</td>
+              <td className="whitespace-nowrap px-3 py-2">{trip.routeUsed?.routeId ?? '—'}</td>
+              <td className="px-3 py-2">{trip.orderIds.join(', ')}</td>
+              <td className="whitespace-nowrap px-3 py-2">
+                {trip.startTime}–{trip.endTime}
+              </td>
+              <td className="whitespace-nowrap px-3 py-2 text-right">{formatNumber(trip.totalMinutes)} min</td>
+              <td className="whitespace-nowrap px-3 py-2 text-right">{formatCurrency(trip.fuelCost)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+export default TripsTable
@@ -0,0 +1,98 @@
+import { useEffect, useState } from 'react'
+import FormField from '../common/FormField'
+import { listDrivers } from '../../api/drivers'
+import { inviteUser } from '../../api/users'
+import { useEntityForm } from '../../hooks/useEntityForm'
+import { USER_ROLES, validateInvite } from '../../utils/entityValidation'
+import { inputClass } from '../../utils/formStyles'
+import { primaryButtonClass, secondaryButtonClass } from '../../utils/buttonStyles'
+
+const INITIAL_VALUES = { username: '', email: '', fullName: '', role: 'analyst', driverId: '' }
+
+function toPayload(values) {
+  return {
+    username: values.username.trim(),
+    email: values.email.trim(),
+    fullName: values.fullName.trim(),
+    role: values.role,
+    ...(values.role === 'driver' && { driverId: values.driverId }),
+  }
+}
+
+function InviteUserForm({ onSaved, onCancel }) {
+  const { values, errors, formError, isSubmitting, setField, handleSubmit } = useEntityForm({
+    initialValues: INITIAL_VALUES,
+    validate: validateInvite,
+    toPayload,
+    save: inviteUser,
+    onSaved,
+  })
+  const [drivers, setDrivers] = useState([])
+  const needsDriver = values.role === 'driver'
+
+  // Driver accounts are linked to one of the active drivers
+  useEffect(() => {
+    if (!needsDriver) return
+    const controller = new AbortController()
+    listDrivers({ isActive: 'true', limit: 100, sortBy: 'name', sortType: 'asc' }, { signal: controller.signal })
+      .then((data) => setDrivers(data.drivers))
+      .catch(() => setDrivers([]))
+    return () => controller.abort()
+  }, [needsDriver])
+
+  const inputProps = (name, type = 'text') => ({
+    id: name,
+    type,
+    value: values[name],
+    onChange: (event) => setField(name, event.target.value),
+    className: inputClass(Boolean(errors[name])),
+  })
+
+  return (
+    <form onSubmit={handleSubmit} noValidate className="space-y-4">
+      {formError && <p className="rounded-md bg-rose-50 p-2 text-sm text-rose-700">{formError}</p>}
+      <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+        <FormField id="username" label="Username" error={errors.username}>
+          <input autoComplete="off" {...inputProps('username')} />
+        </FormField>
+        <FormField id="email" label="Email" error={errors.email}>
+          <input autoComplete="off" {...inputProps('email', 'email')} />
+        </FormField>
+        <FormField id="fullName" label="Full name" error={errors.fullName}>
+          <input {...inputProps('fullName')} />
+        </FormField>
+        <FormField id="role" label="Role" error={errors.role}>
+          <select {...inputProps('role')}>
+            {USER_ROLES.map((role) => (
+              <option key={role} value={role}>
+                {role}
+              </option>
+            ))}
+          </select>
+        </FormField>
+        {needsDriver && (
+          <FormField id="driverId" label="Driver" error={errors.driverId}>
+            <select {...inputProps('driverId')}>
+              <option value="">Choose a driver</option>
+              {drivers.map((driver) => (
+                <option key={driver._id} value={driver._id}>
+                  {driver.name}
+                </option>
+              ))}
+            </select>
+          </FormField>
+        )}
+      </div>
+      <div className="flex justify-end gap-2">
+        <button type="button" onClick={onCancel} className={secondaryButtonClass}>
+          Cancel
+        </button>
+        <button type="submit" disabled={isSubmitting} className={primaryButtonClass}>
+          {isSubmitting ? 'Inviting…' : 'Create invitation'}
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export default InviteUserForm
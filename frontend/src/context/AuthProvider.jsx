@@ -0,0 +1,41 @@
+import { useCallback, useEffect, useMemo, useState } from 'react'
+import { AuthContext } from './AuthContext'
+import { fetchCurrentUser, login as loginRequest, logout as logoutRequest } from '../api/auth'
+import { setSessionExpiredHandler } from '../api/client'
+
+function AuthProvider({ children }) {
+  const [user, setUser] = useState(null)
+  const [isLoading, setIsLoading] = useState(true)
+
+  useEffect(() => {
+    setSessionExpiredHandler(() => setUser(null))
+
+    // Restores the session from the httpOnly cookies; the client refreshes an expired access token on its own
+    fetchCurrentUser()
+      .then(setUser)
+      .catch(() => setUser(null))
+      .finally(() => setIsLoading(false))
+
+    return () => setSessionExpiredHandler(null)
+  }, [])
+
+  const login = useCallback(async (credentials) => {
+    const data = await loginRequest(credentials)
+    setUser(data.user)
+    return data.user
+  }, [])
+
+  const logout = useCallback(async () => {
+    try {
+      await logoutRequest()
+    } finally {
+      setUser(null)
+    }
+  }, [])
+
+  const value = useMemo(() => ({ user, isLoading, login, logout }), [user, isLoading, login, logout])
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>
+}
+
+export default AuthProvider
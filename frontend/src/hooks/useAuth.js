@@ -0,0 +1,10 @@
+import { useContext } from 'react'
+import { AuthContext } from '../context/AuthContext'
+
+export function useAuth() {
+  const context = useContext(AuthContext)
+  if (!context) {
+    throw new Error('useAuth must be used inside an AuthProvider')
+  }
+  return context
+}
@@ -0,0 +1,15 @@
+import { useEffect, useState } from 'react'
+
+// Seconds left until the given timestamp, ticking once per second and stopping at zero
+export function useCountdown(until) {
+  const [now, setNow] = useState(() => Date.now())
+
+  useEffect(() => {
+    if (!until) return undefined
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [until])
+
+  if (!until) return 0
+  return Math.max(0, Math.ceil((new Date(until).getTime() - now) / 1000))
+}
@@ -0,0 +1,38 @@
+import { useCallback, useState } from 'react'
+import { mapServerErrors } from '../utils/serverErrors'
+
+// Shared state for the create/edit forms: browser-side validation first, then server ApiError.errors per field
+export function useEntityForm({ initialValues, validate, toPayload, save, onSaved }) {
+  const [values, setValues] = useState(initialValues)
+  const [errors, setErrors] = useState({})
+  const [formError, setFormError] = useState(null)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  const setField = useCallback((name, value) => {
+    setValues((current) => ({ ...current, [name]: value }))
+    setErrors((current) => ({ ...current, [name]: undefined }))
+  }, [])
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    setFormError(null)
+
+    const clientErrors = validate(values)
+    setErrors(clientErrors)
+    if (Object.keys(clientErrors).length > 0) return
+
+    setIsSubmitting(true)
+    try {
+      const saved = await save(toPayload(values))
+      onSaved(saved)
+    } catch (err) {
+      const fieldErrors = mapServerErrors(err.errors)
+      setErrors(fieldErrors)
+      if (Object.keys(fieldErrors).length === 0) setFormError(err.message)
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return { values, errors, formError, isSubmitting, setField, handleSubmit }
+}
@@ -0,0 +1,26 @@
+import { useCallback, useEffect, useState } from 'react'
+
+// fetchPage(params, { signal }) must resolve to { items, pagination } and keep a stable identity
+export function usePaginatedList(fetchPage, params) {
+  const [state, setState] = useState({ items: [], pagination: null, isLoading: true, error: null })
+  const [reloadCount, setReloadCount] = useState(0)
+  const paramsKey = JSON.stringify(params)
+
+  useEffect(() => {
+    const controller = new AbortController()
+    setState((current) => ({ ...current, isLoading: true }))
+
+    fetchPage(JSON.parse(paramsKey), { signal: controller.signal })
+      .then(({ items, pagination }) => setState({ items, pagination, isLoading: false, error: null }))
+      .catch((err) => {
+        if (err.name === 'AbortError') return
+        setState((current) => ({ ...current, isLoading: false, error: err.message }))
+      })
+
+    return () => controller.abort()
+  }, [fetchPage, paramsKey, reloadCount])
+
+  const reload = useCallback(() => setReloadCount((count) => count + 1), [])
+
+  return { ...state, reload }
+}
@@ -0,0 +1,7 @@
+import { useAuth } from './useAuth'
+
+// Only decides what to show; the API checks the same permission on every request
+export function usePermission(permission) {
+  const { user } = useAuth()
+  return Boolean(user?.permissions?.includes(permission))
+}
@@ -0,0 +1,34 @@
+import { useEffect, useState } from 'react'
+import { openSimulationEvents } from '../api/simulations'
+
+const RECENT_ORDER_LIMIT = 10
+
+// Follows a simulation's event stream: the latest running totals plus the most recently processed orders
+export function useSimulationEvents(simulationId) {
+  const [feed, setFeed] = useState({ simulationId: null, totals: null, runningProfit: 0, recentOrders: [] })
+
+  useEffect(() => {
+    if (!simulationId) return undefined
+
+    const source = openSimulationEvents(simulationId)
+
+    source.addEventListener('order', (event) => {
+      const order = JSON.parse(event.data)
+      setFeed((current) => ({
+        simulationId,
+        totals: order.totals,
+        runningProfit: order.runningProfit,
+        recentOrders: [order, ...(current.simulationId === simulationId ? current.recentOrders : [])].slice(
+          0,
+          RECENT_ORDER_LIMIT
+        ),
+      }))
+    })
+    // The final summary is loaded by useSimulationJob; the stream is only needed until then
+    source.addEventListener('complete', () => source.close())
+
+    return () => source.close()
+  }, [simulationId])
+
+  return feed.simulationId === simulationId ? feed : { totals: null, runningProfit: 0, recentOrders: [] }
+}
@@ -0,0 +1,47 @@
+import { useEffect, useState } from 'react'
+import { getSimulation, getSimulationProgress } from '../api/simulations'
+
+const POLL_INTERVAL_MS = 1000
+
+// Polls a queued simulation until it leaves the 'running' state, then loads the full document if it completed
+export function useSimulationJob(simulationId) {
+  const [job, setJob] = useState({ simulationId: null, progress: null, simulation: null, error: null })
+
+  useEffect(() => {
+    if (!simulationId) return undefined
+
+    let isActive = true
+    let timer = null
+
+    const poll = async () => {
+      try {
+        const progress = await getSimulationProgress(simulationId)
+        if (!isActive) return
+
+        if (progress.status === 'running') {
+          setJob({ simulationId, progress, simulation: null, error: null })
+          timer = setTimeout(poll, POLL_INTERVAL_MS)
+          return
+        }
+
+        const simulation = progress.status === 'completed' ? await getSimulation(simulationId) : null
+        if (isActive) setJob({ simulationId, progress, simulation, error: null })
+      } catch (err) {
+        if (isActive) setJob({ simulationId, progress: null, simulation: null, error: err.message })
+      }
+    }
+
+    poll()
+    return () => {
+      isActive = false
+      clearTimeout(timer)
+    }
+  }, [simulationId])
+
+  // Ignore state left over from a previous simulation id until the first poll for the new one lands
+  if (job.simulationId !== simulationId) {
+    return { progress: null, simulation: null, error: null, isRunning: Boolean(simulationId) }
+  }
+
+  return { ...job, isRunning: job.progress?.status === 'running' || (!job.progress && !job.error) }
+}
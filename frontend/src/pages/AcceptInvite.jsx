@@ -0,0 +1,112 @@
+import { useState } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import FormField from '../components/common/FormField'
+import { acceptInvite } from '../api/users'
+import { inputClass } from '../utils/formStyles'
+
+const MIN_PASSWORD_LENGTH = 6
+
+function AcceptInvite() {
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token')
+  const [values, setValues] = useState({ password: '', confirmPassword: '' })
+  const [error, setError] = useState(null)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [acceptedUsername, setAcceptedUsername] = useState(null)
+
+  const handleChange = (event) => {
+    setValues((current) => ({ ...current, [event.target.name]: event.target.value }))
+  }
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    if (values.password.length < MIN_PASSWORD_LENGTH) {
+      setError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`)
+      return
+    }
+    if (values.password !== values.confirmPassword) {
+      setError('Passwords do not match')
+      return
+    }
+
+    setError(null)
+    setIsSubmitting(true)
+    try {
+      const data = await acceptInvite({ token, password: values.password })
+      setAcceptedUsername(data.username)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="flex min-h-screen items-center justify-center px-4">
+      <div className="w-full max-w-sm space-y-6">
+        <div className="text-center">
+          <p className="text-lg font-semibold text-emerald-700">GreenCart Logistics</p>
+          <h1 className="mt-2 text-2xl font-semibold text-slate-900">Accept invitation</h1>
+        </div>
+
+        {!token && (
+          <div role="alert" className="rounded-lg border border-rose-200 bg-rose-50 p-3 text-sm text-rose-700">
+            This invitation link is incomplete. Ask your administrator for a new one.
+          </div>
+        )}
+        {error && (
+          <div role="alert" className="rounded-lg border border-rose-200 bg-rose-50 p-3 text-sm text-rose-700">
+            {error}
+          </div>
+        )}
+
+        {acceptedUsername ? (
+          <div className="space-y-3 rounded-lg bg-white p-6 text-sm text-slate-700 shadow-sm">
+            <p>
+              Your password is set. Sign in as <span className="font-semibold">{acceptedUsername}</span>.
+            </p>
+            <Link to="/login" className="font-semibold text-emerald-700 hover:text-emerald-800">
+              Go to sign in
+            </Link>
+          </div>
+        ) : (
+          token && (
+            <form onSubmit={handleSubmit} noValidate className="space-y-4 rounded-lg bg-white p-6 shadow-sm">
+              <FormField id="password" label="Choose a password" hint={`At least ${MIN_PASSWORD_LENGTH} characters`}>
+                <input
+                  id="password"
+                  name="password"
+                  type="password"
+                  autoComplete="new-password"
+                  value={values.password}
+                  onChange={handleChange}
+                  className={inputClass(false)}
+                />
+              </FormField>
+              <FormField id="confirmPassword" label="Confirm password">
+                <input
+                  id="confirmPassword"
+                  name="confirmPassword"
+                  type="password"
+                  autoComplete="new-password"
+                  value={values.confirmPassword}
+                  onChange={handleChange}
+                  className={inputClass(false)}
+                />
+              </FormField>
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="w-full rounded-md bg-emerald-600 px-4 py-2 text-sm font-semibold text-white shadow-sm hover:bg-emerald-700 disabled:cursor-not-allowed disabled:opacity-60"
+              >
+                {isSubmitting ? 'Saving…' : 'Set password'}
+              </button>
+            </form>
+          )
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default AcceptInvite
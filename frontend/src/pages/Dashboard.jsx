@@ -0,0 +1,137 @@
+import { useEffect, useState } from 'react'
+import { dashboardExportUrl, fetchDashboard } from '../api/dashboard'
+import ExportLinks from '../components/common/ExportLinks'
+import KpiCard from '../components/dashboard/KpiCard'
+import ChartCard from '../components/dashboard/ChartCard'
+import DeliveryChart from '../components/dashboard/DeliveryChart'
+import FuelCostChart from '../components/dashboard/FuelCostChart'
+import SimulationsTable from '../components/dashboard/SimulationsTable'
+import AreaBreakdownTable from '../components/dashboard/AreaBreakdownTable'
+import { formatCurrency, formatNumber, formatPercent } from '../utils/format'
+import { inputClass } from '../utils/formStyles'
+
+// Date inputs are whole local days, so the range runs from the start of `from` to the end of `to`
+function toRangeParams({ from, to }) {
+  return {
+    from: from ? new Date(`${from}T00:00:00`).toISOString() : undefined,
+    to: to ? new Date(`${to}T23:59:59.999`).toISOString() : undefined,
+  }
+}
+
+function Dashboard() {
+  const [dashboard, setDashboard] = useState(null)
+  const [error, setError] = useState(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const [range, setRange] = useState({ from: '', to: '' })
+
+  useEffect(() => {
+    const controller = new AbortController()
+
+    fetchDashboard(toRangeParams(range), { signal: controller.signal })
+      .then((data) => {
+        setDashboard(data)
+        setError(null)
+      })
+      .catch((err) => {
+        if (err.name !== 'AbortError') setError(err.message)
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsLoading(false)
+      })
+
+    return () => controller.abort()
+  }, [range])
+
+  if (isLoading) {
+    return <p className="py-12 text-center text-slate-500">Loading dashboard…</p>
+  }
+
+  if (error) {
+    return (
+      <div className="rounded-lg border border-rose-200 bg-rose-50 p-4 text-rose-700">
+        Could not load the dashboard: {error}
+      </div>
+    )
+  }
+
+  const kpis = dashboard?.kpis
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-end justify-between gap-3">
+        <div>
+          <h1 className="text-2xl font-semibold text-slate-900">KPI Dashboard</h1>
+          <p className="text-sm text-slate-500">
+            {kpis
+              ? `Showing ${kpis.simulationName || 'the latest simulation'} with ${formatNumber(kpis.totalOrders)} orders`
+              : 'Run a simulation to see delivery KPIs'}
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <div className="w-40">
+            <input
+              type="date"
+              aria-label="From date"
+              value={range.from}
+              max={range.to || undefined}
+              onChange={(event) => setRange((current) => ({ ...current, from: event.target.value }))}
+              className={inputClass(false)}
+            />
+          </div>
+          <span className="text-sm text-slate-500">to</span>
+          <div className="w-40">
+            <input
+              type="date"
+              aria-label="To date"
+              value={range.to}
+              min={range.from || undefined}
+              onChange={(event) => setRange((current) => ({ ...current, to: event.target.value }))}
+              className={inputClass(false)}
+            />
+          </div>
+          <ExportLinks hrefFor={(format) => dashboardExportUrl(format, toRangeParams(range))} />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-4">
+        <KpiCard label="Total profit" value={formatCurrency(kpis?.totalProfit)} accent="emerald" />
+        <KpiCard label="Efficiency score" value={formatPercent(kpis?.efficiencyScore)} accent="sky" />
+        <KpiCard
+          label="On-time deliveries"
+          value={formatNumber(kpis?.onTimeDeliveries)}
+          hint={`of ${formatNumber(kpis?.totalOrders)} orders`}
+          accent="emerald"
+        />
+        <KpiCard
+          label="Late deliveries"
+          value={formatNumber(kpis?.lateDeliveries)}
+          hint={`${formatCurrency(kpis?.penalties)} in penalties`}
+          accent="rose"
+        />
+      </div>
+
+      <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+        <ChartCard title="On-time vs late deliveries">
+          <DeliveryChart onTime={kpis?.onTimeDeliveries} late={kpis?.lateDeliveries} />
+        </ChartCard>
+        <ChartCard title="Fuel cost by traffic level">
+          <FuelCostChart byTrafficLevel={kpis?.fuelCost} />
+        </ChartCard>
+      </div>
+
+      {kpis && (
+        <section className="rounded-lg bg-white p-4 shadow-sm">
+          <h2 className="mb-4 text-base font-semibold text-slate-800">Profit and lateness by area</h2>
+          <AreaBreakdownTable areas={dashboard?.areas} />
+        </section>
+      )}
+
+      <section className="rounded-lg bg-white p-4 shadow-sm">
+        <h2 className="mb-4 text-base font-semibold text-slate-800">Latest simulations</h2>
+        <SimulationsTable simulations={dashboard?.latestSimulations} />
+      </section>
+    </div>
+  )
+}
+
+export default Dashboard
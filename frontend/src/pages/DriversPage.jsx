@@ -0,0 +1,164 @@
+import { useState } from 'react'
+import { listDrivers, updateDriver } from '../api/drivers'
+import Badge from '../components/common/Badge'
+import Modal from '../components/common/Modal'
+import PageHeader from '../components/common/PageHeader'
+import Pagination from '../components/common/Pagination'
+import DriverForm from '../components/drivers/DriverForm'
+import { usePaginatedList } from '../hooks/usePaginatedList'
+import { usePermission } from '../hooks/usePermission'
+import { FATIGUE_LEVELS } from '../utils/entityValidation'
+import { FATIGUE_TONES } from '../utils/badgeTones'
+import { formatNumber, formatPercent } from '../utils/format'
+import { inputClass } from '../utils/formStyles'
+import { primaryButtonClass, secondaryButtonClass } from '../utils/buttonStyles'
+
+const fetchDrivers = (params, options) =>
+  listDrivers(params, options).then((data) => ({ items: data.drivers, pagination: data.pagination }))
+
+function DriversPage() {
+  const [filters, setFilters] = useState({ search: '', isActive: '', fatigueLevel: '' })
+  const [page, setPage] = useState(1)
+  const [editing, setEditing] = useState(null)
+  const [actionError, setActionError] = useState(null)
+  const canEdit = usePermission('drivers:write')
+  const { items: drivers, pagination, isLoading, error, reload } = usePaginatedList(fetchDrivers, {
+    ...filters,
+    page,
+    sortBy: 'name',
+    sortType: 'asc',
+  })
+
+  const updateFilter = (name, value) => {
+    setFilters((current) => ({ ...current, [name]: value }))
+    setPage(1)
+  }
+
+  const toggleActive = async (driver) => {
+    setActionError(null)
+    try {
+      await updateDriver(driver._id, { isActive: !driver.isActive })
+      reload()
+    } catch (err) {
+      setActionError(err.message)
+    }
+  }
+
+  const handleSaved = () => {
+    setEditing(null)
+    reload()
+  }
+
+  return (
+    <div className="space-y-4">
+      <PageHeader
+        title="Drivers"
+        description="Shift hours, weekly workload and delivery performance"
+        action={
+          canEdit && (
+            <button type="button" className={primaryButtonClass} onClick={() => setEditing({})}>
+              Add driver
+            </button>
+          )
+        }
+      />
+
+      <div className="grid grid-cols-1 gap-3 rounded-lg bg-white p-4 shadow-sm md:grid-cols-3">
+        <input
+          type="search"
+          placeholder="Search by name"
+          aria-label="Search by name"
+          value={filters.search}
+          onChange={(event) => updateFilter('search', event.target.value)}
+          className={inputClass(false)}
+        />
+        <select
+          aria-label="Status"
+          value={filters.isActive}
+          onChange={(event) => updateFilter('isActive', event.target.value)}
+          className={inputClass(false)}
+        >
+          <option value="">All statuses</option>
+          <option value="true">Active</option>
+          <option value="false">Inactive</option>
+        </select>
+        <select
+          aria-label="Fatigue level"
+          value={filters.fatigueLevel}
+          onChange={(event) => updateFilter('fatigueLevel', event.target.value)}
+          className={inputClass(false)}
+        >
+          <option value="">All fatigue levels</option>
+          {FATIGUE_LEVELS.map((level) => (
+            <option key={level} value={level}>
+              {level}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {(error || actionError) && (
+        <p role="alert" className="rounded-md bg-rose-50 p-3 text-sm text-rose-700">
+          {error || actionError}
+        </p>
+      )}
+
+      <div className="overflow-x-auto rounded-lg bg-white p-4 shadow-sm">
+        <table className="min-w-full divide-y divide-slate-200 text-sm">
+          <thead className="text-left text-xs font-semibold uppercase tracking-wide text-slate-500">
+            <tr>
+              <th className="px-3 py-2">Name</th>
+              <th className="px-3 py-2 text-right">Shift</th>
+              <th className="px-3 py-2 text-right">Avg weekly hours</th>
+              <th className="px-3 py-2 text-right">Success rate</th>
+              <th className="px-3 py-2">Fatigue</th>
+              <th className="px-3 py-2">Status</th>
+              {canEdit && <th className="px-3 py-2 text-right">Actions</th>}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-100">
+            {drivers.map((driver) => (
+              <tr key={driver._id} className={driver.isActive ? '' : 'text-slate-400'}>
+                <td className="px-3 py-2 font-medium">{driver.name}</td>
+                <td className="px-3 py-2 text-right">{driver.shiftHours} h</td>
+                <td className="px-3 py-2 text-right">{formatNumber(driver.averageWeeklyHours)} h</td>
+                <td className="px-3 py-2 text-right">{formatPercent(driver.successRate)}</td>
+                <td className="px-3 py-2">
+                  <Badge tone={FATIGUE_TONES[driver.fatigueLevel]}>{driver.fatigueLevel}</Badge>
+                </td>
+                <td className="px-3 py-2">
+                  <Badge tone={driver.isActive ? 'green' : 'gray'}>{driver.isActive ? 'Active' : 'Inactive'}</Badge>
+                </td>
+                {canEdit && (
+                  <td className="whitespace-nowrap px-3 py-2 text-right">
+                    <div className="inline-flex gap-2">
+                      <button type="button" className={secondaryButtonClass} onClick={() => setEditing(driver)}>
+                        Edit
+                      </button>
+                      <button type="button" className={secondaryButtonClass} onClick={() => toggleActive(driver)}>
+                        {driver.isActive ? 'Deactivate' : 'Activate'}
+                      </button>
+                    </div>
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {!isLoading && drivers.length === 0 && (
+          <p className="py-6 text-center text-sm text-slate-500">No drivers match these filters</p>
+        )}
+        {isLoading && <p className="py-6 text-center text-sm text-slate-500">Loading drivers…</p>}
+        <Pagination pagination={pagination} onPageChange={setPage} />
+      </div>
+
+      {editing && (
+        <Modal title={editing._id ? `Edit ${editing.name}` : 'Add driver'} onClose={() => setEditing(null)}>
+          <DriverForm driver={editing._id ? editing : null} onSaved={handleSaved} onCancel={() => setEditing(null)} />
+        </Modal>
+      )}
+    </div>
+  )
+}
+
+export default DriversPage
@@ -0,0 +1,124 @@
+import { useState } from 'react'
+import { Navigate, useLocation, useNavigate } from 'react-router-dom'
+import FormField from '../components/common/FormField'
+import { useAuth } from '../hooks/useAuth'
+import { useCountdown } from '../hooks/useCountdown'
+import { inputClass } from '../utils/formStyles'
+
+const ACCOUNT_LOCKED_STATUS = 423
+
+function formatRemaining(totalSeconds) {
+  const hours = Math.floor(totalSeconds / 3600)
+  const minutes = Math.floor((totalSeconds % 3600) / 60)
+  const seconds = totalSeconds % 60
+  if (hours > 0) return `${hours}h ${minutes}m`
+  if (minutes > 0) return `${minutes}m ${seconds}s`
+  return `${seconds}s`
+}
+
+function Login() {
+  const { user, login } = useAuth()
+  const navigate = useNavigate()
+  const location = useLocation()
+  const [values, setValues] = useState({ identifier: '', password: '' })
+  const [error, setError] = useState(null)
+  const [lockUntil, setLockUntil] = useState(null)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const lockSecondsLeft = useCountdown(lockUntil)
+  const isLocked = lockSecondsLeft > 0
+
+  const redirectTo = location.state?.from?.pathname || '/'
+
+  if (user) {
+    return <Navigate to={redirectTo} replace />
+  }
+
+  const handleChange = (event) => {
+    setValues((current) => ({ ...current, [event.target.name]: event.target.value }))
+  }
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    if (!values.identifier.trim() || !values.password) {
+      setError('Enter your username or email and your password')
+      return
+    }
+
+    setError(null)
+    setIsSubmitting(true)
+    try {
+      const identifier = values.identifier.trim()
+      await login({
+        ...(identifier.includes('@') ? { email: identifier } : { username: identifier }),
+        password: values.password,
+      })
+      navigate(redirectTo, { replace: true })
+    } catch (err) {
+      if (err.statusCode === ACCOUNT_LOCKED_STATUS) {
+        setLockUntil(err.errors?.[0]?.lockUntil || null)
+        setError(null)
+      } else {
+        setError(err.message)
+      }
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="flex min-h-screen items-center justify-center px-4">
+      <div className="w-full max-w-sm space-y-6">
+        <div className="text-center">
+          <p className="text-lg font-semibold text-emerald-700">GreenCart Logistics</p>
+          <h1 className="mt-2 text-2xl font-semibold text-slate-900">Sign in</h1>
+        </div>
+
+        {isLocked && (
+          <div role="alert" className="rounded-lg border border-amber-200 bg-amber-50 p-3 text-sm text-amber-800">
+            This account is locked after too many failed sign-in attempts. Try again in{' '}
+            <span className="font-semibold">{formatRemaining(lockSecondsLeft)}</span>.
+          </div>
+        )}
+        {error && (
+          <div role="alert" className="rounded-lg border border-rose-200 bg-rose-50 p-3 text-sm text-rose-700">
+            {error}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} noValidate className="space-y-4 rounded-lg bg-white p-6 shadow-sm">
+          <FormField id="identifier" label="Username or email">
+            <input
+              id="identifier"
+              name="identifier"
+              type="text"
+              autoComplete="username"
+              value={values.identifier}
+              onChange={handleChange}
+              className={inputClass(false)}
+            />
+          </FormField>
+          <FormField id="password" label="Password">
+            <input
+              id="password"
+              name="password"
+              type="password"
+              autoComplete="current-password"
+              value={values.password}
+              onChange={handleChange}
+              className={inputClass(false)}
+            />
+          </FormField>
+          <button
+            type="submit"
+            disabled={isSubmitting || isLocked}
+            className="w-full rounded-md bg-emerald-600 px-4 py-2 text-sm font-semibold text-white shadow-sm hover:bg-emerald-700 disabled:cursor-not-allowed disabled:opacity-60"
+          >
+            {isSubmitting ? 'Signing in…' : 'Sign in'}
+          </button>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default Login
@@ -0,0 +1,152 @@
+import { useEffect, useState } from 'react'
+import { getMyOrders, pickUpMyOrder } from '../api/driverPortal'
+import Badge from '../components/common/Badge'
+import Modal from '../components/common/Modal'
+import PageHeader from '../components/common/PageHeader'
+import DeliveryConfirmForm from '../components/deliveries/DeliveryConfirmForm'
+import OrderReasonForm from '../components/orders/OrderReasonForm'
+import { ORDER_STATUS_TONES, PRIORITY_TONES } from '../utils/badgeTones'
+import { formatCurrency } from '../utils/format'
+import { primaryButtonClass, secondaryButtonClass } from '../utils/buttonStyles'
+
+function MyDeliveriesPage() {
+  const [data, setData] = useState(null)
+  const [error, setError] = useState(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const [reloadCount, setReloadCount] = useState(0)
+  const [actionError, setActionError] = useState(null)
+  const [delivering, setDelivering] = useState(null)
+  const [failing, setFailing] = useState(null)
+
+  useEffect(() => {
+    const controller = new AbortController()
+
+    getMyOrders({ signal: controller.signal })
+      .then((result) => {
+        setData(result)
+        setError(null)
+      })
+      .catch((err) => {
+        if (err.name !== 'AbortError') setError(err.message)
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsLoading(false)
+      })
+
+    return () => controller.abort()
+  }, [reloadCount])
+
+  const reload = () => setReloadCount((count) => count + 1)
+
+  const pickUp = async (order) => {
+    setActionError(null)
+    try {
+      await pickUpMyOrder(order._id)
+      reload()
+    } catch (err) {
+      setActionError(err.message)
+    }
+  }
+
+  const handleDone = () => {
+    setDelivering(null)
+    setFailing(null)
+    reload()
+  }
+
+  if (isLoading) {
+    return <p className="py-12 text-center text-slate-500">Loading your deliveries…</p>
+  }
+
+  if (error) {
+    return (
+      <div className="rounded-lg border border-rose-200 bg-rose-50 p-4 text-rose-700">
+        Could not load your deliveries: {error}
+      </div>
+    )
+  }
+
+  const orders = data?.orders ?? []
+
+  return (
+    <div className="space-y-4">
+      <PageHeader
+        title="My deliveries"
+        description={`Orders assigned to ${data?.driver.name} today and those still in transit`}
+      />
+
+      {actionError && (
+        <p role="alert" className="rounded-md bg-rose-50 p-3 text-sm text-rose-700">
+          {actionError}
+        </p>
+      )}
+
+      {orders.length === 0 ? (
+        <p className="rounded-lg bg-white p-6 text-center text-sm text-slate-500 shadow-sm">
+          Nothing assigned to you right now
+        </p>
+      ) : (
+        <ul className="space-y-3">
+          {orders.map((order) => (
+            <li key={order._id} className="rounded-lg bg-white p-4 shadow-sm">
+              <div className="flex flex-wrap items-start justify-between gap-3">
+                <div className="space-y-1">
+                  <p className="font-semibold text-slate-900">
+                    Order #{order.orderId}{' '}
+                    <span className="font-normal text-slate-500">· {formatCurrency(order.valueRs)}</span>
+                  </p>
+                  <p className="text-sm text-slate-600">
+                    Due {order.deliveryTime} · Route #{order.routeId}
+                    {order.assignedRoute?.area && ` · ${order.assignedRoute.area}`}
+                    {order.assignedRoute && ` · ${order.assignedRoute.distanceKm} km`}
+                  </p>
+                  {order.deliveryNotes && <p className="text-sm text-slate-500">{order.deliveryNotes}</p>}
+                  <div className="flex gap-2">
+                    <Badge tone={ORDER_STATUS_TONES[order.status]}>{order.status.replace('_', ' ')}</Badge>
+                    <Badge tone={PRIORITY_TONES[order.priority]}>{order.priority}</Badge>
+                  </div>
+                </div>
+                <div className="flex gap-2">
+                  {order.status === 'assigned' && (
+                    <button type="button" className={primaryButtonClass} onClick={() => pickUp(order)}>
+                      Picked up
+                    </button>
+                  )}
+                  {order.status === 'in_transit' && (
+                    <>
+                      <button type="button" className={primaryButtonClass} onClick={() => setDelivering(order)}>
+                        Delivered
+                      </button>
+                      <button type="button" className={secondaryButtonClass} onClick={() => setFailing(order)}>
+                        Could not deliver
+                      </button>
+                    </>
+                  )}
+                </div>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {delivering && (
+        <Modal title={`Deliver order #${delivering.orderId}`} onClose={() => setDelivering(null)}>
+          <DeliveryConfirmForm order={delivering} onSaved={handleDone} onCancel={() => setDelivering(null)} />
+        </Modal>
+      )}
+
+      {failing && (
+        <Modal title={`Order #${failing.orderId} could not be delivered`} onClose={() => setFailing(null)}>
+          <OrderReasonForm
+            order={failing}
+            action="reportFailure"
+            onSaved={handleDone}
+            onCancel={() => setFailing(null)}
+          />
+        </Modal>
+      )}
+    </div>
+  )
+}
+
+export default MyDeliveriesPage
@@ -0,0 +1,230 @@
+import { useState } from 'react'
+import { dispatchOrder, listOrders } from '../api/orders'
+import Badge from '../components/common/Badge'
+import Modal from '../components/common/Modal'
+import PageHeader from '../components/common/PageHeader'
+import Pagination from '../components/common/Pagination'
+import AssignOrderForm from '../components/orders/AssignOrderForm'
+import OrderForm from '../components/orders/OrderForm'
+import OrderReasonForm from '../components/orders/OrderReasonForm'
+import { usePaginatedList } from '../hooks/usePaginatedList'
+import { usePermission } from '../hooks/usePermission'
+import { ORDER_PRIORITIES, ORDER_STATUSES } from '../utils/entityValidation'
+import { ORDER_STATUS_TONES, PRIORITY_TONES } from '../utils/badgeTones'
+import { formatCurrency } from '../utils/format'
+import { inputClass } from '../utils/formStyles'
+import { primaryButtonClass, secondaryButtonClass } from '../utils/buttonStyles'
+
+// Mirrors ORDER_STATUS_TRANSITIONS in backend/src/models/order.model.js
+const CANCELLABLE_STATUSES = ['pending', 'assigned']
+
+const fetchOrders = (params, options) =>
+  listOrders(params, options).then((data) => ({ items: data.orders, pagination: data.pagination }))
+
+function OrdersPage() {
+  const [filters, setFilters] = useState({ routeId: '', status: '', priority: '' })
+  const [page, setPage] = useState(1)
+  const [editing, setEditing] = useState(null)
+  const [closing, setClosing] = useState(null)
+  const [assigning, setAssigning] = useState(null)
+  const [actionError, setActionError] = useState(null)
+  const canEdit = usePermission('orders:write')
+  const { items: orders, pagination, isLoading, error, reload } = usePaginatedList(fetchOrders, {
+    ...filters,
+    page,
+    sortBy: 'orderId',
+    sortType: 'asc',
+  })
+
+  const updateFilter = (name, value) => {
+    setFilters((current) => ({ ...current, [name]: value }))
+    setPage(1)
+  }
+
+  const startDelivery = async (order) => {
+    setActionError(null)
+    try {
+      await dispatchOrder(order._id)
+      reload()
+    } catch (err) {
+      setActionError(err.message)
+    }
+  }
+
+  const handleSaved = () => {
+    setEditing(null)
+    reload()
+  }
+
+  const handleClosed = () => {
+    setClosing(null)
+    reload()
+  }
+
+  const handleAssigned = () => {
+    setAssigning(null)
+    reload()
+  }
+
+  return (
+    <div className="space-y-4">
+      <PageHeader
+        title="Orders"
+        description="Order values, delivery slots and fulfilment status"
+        action={
+          canEdit && (
+            <button type="button" className={primaryButtonClass} onClick={() => setEditing({})}>
+              Add order
+            </button>
+          )
+        }
+      />
+
+      <div className="grid grid-cols-1 gap-3 rounded-lg bg-white p-4 shadow-sm md:grid-cols-3">
+        <input
+          type="search"
+          inputMode="numeric"
+          placeholder="Filter by route ID"
+          aria-label="Filter by route ID"
+          value={filters.routeId}
+          onChange={(event) => updateFilter('routeId', event.target.value.replace(/\D/g, ''))}
+          className={inputClass(false)}
+        />
+        <select
+          aria-label="Status"
+          value={filters.status}
+          onChange={(event) => updateFilter('status', event.target.value)}
+          className={inputClass(false)}
+        >
+          <option value="">All statuses</option>
+          {ORDER_STATUSES.map((status) => (
+            <option key={status} value={status}>
+              {status.replace('_', ' ')}
+            </option>
+          ))}
+        </select>
+        <select
+          aria-label="Priority"
+          value={filters.priority}
+          onChange={(event) => updateFilter('priority', event.target.value)}
+          className={inputClass(false)}
+        >
+          <option value="">All priorities</option>
+          {ORDER_PRIORITIES.map((priority) => (
+            <option key={priority} value={priority}>
+              {priority}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {(error || actionError) && (
+        <p role="alert" className="rounded-md bg-rose-50 p-3 text-sm text-rose-700">
+          {error || actionError}
+        </p>
+      )}
+
+      <div className="overflow-x-auto rounded-lg bg-white p-4 shadow-sm">
+        <table className="min-w-full divide-y divide-slate-200 text-sm">
+          <thead className="text-left text-xs font-semibold uppercase tracking-wide text-slate-500">
+            <tr>
+              <th className="px-3 py-2">Order</th>
+              <th className="px-3 py-2 text-right">Value</th>
+              <th className="px-3 py-2 text-right">Route</th>
+              <th className="px-3 py-2">Delivery time</th>
+              <th className="px-3 py-2">Status</th>
+              <th className="px-3 py-2">Priority</th>
+              {canEdit && <th className="px-3 py-2 text-right">Actions</th>}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-100">
+            {orders.map((order) => (
+              <tr key={order._id}>
+                <td className="px-3 py-2 font-medium">#{order.orderId}</td>
+                <td className="px-3 py-2 text-right">{formatCurrency(order.valueRs)}</td>
+                <td className="px-3 py-2 text-right">#{order.routeId}</td>
+                <td className="px-3 py-2">{order.deliveryTime}</td>
+                <td className="px-3 py-2">
+                  <Badge tone={ORDER_STATUS_TONES[order.status]}>{order.status.replace('_', ' ')}</Badge>
+                </td>
+                <td className="px-3 py-2">
+                  <Badge tone={PRIORITY_TONES[order.priority]}>{order.priority}</Badge>
+                </td>
+                {canEdit && (
+                  <td className="whitespace-nowrap px-3 py-2 text-right">
+                    <div className="inline-flex gap-2">
+                      <button type="button" className={secondaryButtonClass} onClick={() => setEditing(order)}>
+                        Edit
+                      </button>
+                      {order.status === 'pending' && (
+                        <button type="button" className={secondaryButtonClass} onClick={() => setAssigning(order)}>
+                          Assign
+                        </button>
+                      )}
+                      {order.status === 'assigned' && (
+                        <button type="button" className={secondaryButtonClass} onClick={() => startDelivery(order)}>
+                          Dispatch
+                        </button>
+                      )}
+                      {order.status === 'in_transit' ? (
+                        <button
+                          type="button"
+                          className={secondaryButtonClass}
+                          onClick={() => setClosing({ order, action: 'fail' })}
+                        >
+                          Mark failed
+                        </button>
+                      ) : (
+                        <button
+                          type="button"
+                          className={secondaryButtonClass}
+                          disabled={!CANCELLABLE_STATUSES.includes(order.status)}
+                          onClick={() => setClosing({ order, action: 'cancel' })}
+                        >
+                          Cancel order
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {!isLoading && orders.length === 0 && (
+          <p className="py-6 text-center text-sm text-slate-500">No orders match these filters</p>
+        )}
+        {isLoading && <p className="py-6 text-center text-sm text-slate-500">Loading orders…</p>}
+        <Pagination pagination={pagination} onPageChange={setPage} />
+      </div>
+
+      {editing && (
+        <Modal title={editing._id ? `Edit order #${editing.orderId}` : 'Add order'} onClose={() => setEditing(null)}>
+          <OrderForm order={editing._id ? editing : null} onSaved={handleSaved} onCancel={() => setEditing(null)} />
+        </Modal>
+      )}
+
+      {assigning && (
+        <Modal title={`Assign order #${assigning.orderId}`} onClose={() => setAssigning(null)}>
+          <AssignOrderForm order={assigning} onSaved={handleAssigned} onCancel={() => setAssigning(null)} />
+        </Modal>
+      )}
+
+      {closing && (
+        <Modal
+          title={`${closing.action === 'cancel' ? 'Cancel' : 'Fail'} order #${closing.order.orderId}`}
+          onClose={() => setClosing(null)}
+        >
+          <OrderReasonForm
+            order={closing.order}
+            action={closing.action}
+            onSaved={handleClosed}
+            onCancel={() => setClosing(null)}
+          />
+        </Modal>
+      )}
+    </div>
+  )
+}
+
+export default OrdersPage
@@ -0,0 +1,168 @@
+import { useState } from 'react'
+import { listRoutes, updateRoute } from '../api/routes'
+import Badge from '../components/common/Badge'
+import Modal from '../components/common/Modal'
+import PageHeader from '../components/common/PageHeader'
+import Pagination from '../components/common/Pagination'
+import RouteForm from '../components/routes/RouteForm'
+import { usePaginatedList } from '../hooks/usePaginatedList'
+import { usePermission } from '../hooks/usePermission'
+import { TRAFFIC_LEVELS } from '../utils/entityValidation'
+import { TRAFFIC_TONES } from '../utils/badgeTones'
+import { formatCurrency, formatNumber } from '../utils/format'
+import { inputClass } from '../utils/formStyles'
+import { primaryButtonClass, secondaryButtonClass } from '../utils/buttonStyles'
+
+const fetchRoutes = (params, options) =>
+  listRoutes(params, options).then((data) => ({ items: data.routes, pagination: data.pagination }))
+
+function RoutesPage() {
+  const [filters, setFilters] = useState({ area: '', isActive: '', trafficLevel: '' })
+  const [page, setPage] = useState(1)
+  const [editing, setEditing] = useState(null)
+  const [actionError, setActionError] = useState(null)
+  const canEdit = usePermission('routes:write')
+  const { items: routes, pagination, isLoading, error, reload } = usePaginatedList(fetchRoutes, {
+    ...filters,
+    page,
+    sortBy: 'routeId',
+    sortType: 'asc',
+  })
+
+  const updateFilter = (name, value) => {
+    setFilters((current) => ({ ...current, [name]: value }))
+    setPage(1)
+  }
+
+  const toggleActive = async (route) => {
+    setActionError(null)
+    try {
+      await updateRoute(route._id, { isActive: !route.isActive })
+      reload()
+    } catch (err) {
+      setActionError(err.message)
+    }
+  }
+
+  const handleSaved = () => {
+    setEditing(null)
+    reload()
+  }
+
+  return (
+    <div className="space-y-4">
+      <PageHeader
+        title="Routes"
+        description="Distances, traffic and the fuel cost and delivery window they imply"
+        action={
+          canEdit && (
+            <button type="button" className={primaryButtonClass} onClick={() => setEditing({})}>
+              Add route
+            </button>
+          )
+        }
+      />
+
+      <div className="grid grid-cols-1 gap-3 rounded-lg bg-white p-4 shadow-sm md:grid-cols-3">
+        <input
+          type="search"
+          placeholder="Search by area"
+          aria-label="Search by area"
+          value={filters.area}
+          onChange={(event) => updateFilter('area', event.target.value)}
+          className={inputClass(false)}
+        />
+        <select
+          aria-label="Traffic level"
+          value={filters.trafficLevel}
+          onChange={(event) => updateFilter('trafficLevel', event.target.value)}
+          className={inputClass(false)}
+        >
+          <option value="">All traffic levels</option>
+          {TRAFFIC_LEVELS.map((level) => (
+            <option key={level} value={level}>
+              {level}
+            </option>
+          ))}
+        </select>
+        <select
+          aria-label="Status"
+          value={filters.isActive}
+          onChange={(event) => updateFilter('isActive', event.target.value)}
+          className={inputClass(false)}
+        >
+          <option value="">All statuses</option>
+          <option value="true">Active</option>
+          <option value="false">Inactive</option>
+        </select>
+      </div>
+
+      {(error || actionError) && (
+        <p role="alert" className="rounded-md bg-rose-50 p-3 text-sm text-rose-700">
+          {error || actionError}
+        </p>
+      )}
+
+      <div className="overflow-x-auto rounded-lg bg-white p-4 shadow-sm">
+        <table className="min-w-full divide-y divide-slate-200 text-sm">
+          <thead className="text-left text-xs font-semibold uppercase tracking-wide text-slate-500">
+            <tr>
+              <th className="px-3 py-2">Route</th>
+              <th className="px-3 py-2">Area</th>
+              <th className="px-3 py-2 text-right">Distance</th>
+              <th className="px-3 py-2">Traffic</th>
+              <th className="px-3 py-2 text-right">Base time</th>
+              <th className="px-3 py-2 text-right">Allowed time</th>
+              <th className="px-3 py-2 text-right">Fuel cost</th>
+              <th className="px-3 py-2">Status</th>
+              {canEdit && <th className="px-3 py-2 text-right">Actions</th>}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-100">
+            {routes.map((route) => (
+              <tr key={route._id} className={route.isActive ? '' : 'text-slate-400'}>
+                <td className="px-3 py-2 font-medium">#{route.routeId}</td>
+                <td className="px-3 py-2">{route.area || '—'}</td>
+                <td className="px-3 py-2 text-right">{formatNumber(route.distanceKm)} km</td>
+                <td className="px-3 py-2">
+                  <Badge tone={TRAFFIC_TONES[route.trafficLevel]}>{route.trafficLevel}</Badge>
+                </td>
+                <td className="px-3 py-2 text-right">{route.baseTimeMin} min</td>
+                <td className="px-3 py-2 text-right">{route.allowedDeliveryTime} min</td>
+                <td className="px-3 py-2 text-right">{formatCurrency(route.totalFuelCost)}</td>
+                <td className="px-3 py-2">
+                  <Badge tone={route.isActive ? 'green' : 'gray'}>{route.isActive ? 'Active' : 'Inactive'}</Badge>
+                </td>
+                {canEdit && (
+                  <td className="whitespace-nowrap px-3 py-2 text-right">
+                    <div className="inline-flex gap-2">
+                      <button type="button" className={secondaryButtonClass} onClick={() => setEditing(route)}>
+                        Edit
+                      </button>
+                      <button type="button" className={secondaryButtonClass} onClick={() => toggleActive(route)}>
+                        {route.isActive ? 'Deactivate' : 'Activate'}
+                      </button>
+                    </div>
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {!isLoading && routes.length === 0 && (
+          <p className="py-6 text-center text-sm text-slate-500">No routes match these filters</p>
+        )}
+        {isLoading && <p className="py-6 text-center text-sm text-slate-500">Loading routes…</p>}
+        <Pagination pagination={pagination} onPageChange={setPage} />
+      </div>
+
+      {editing && (
+        <Modal title={editing._id ? `Edit route #${editing.routeId}` : 'Add route'} onClose={() => setEditing(null)}>
+          <RouteForm route={editing._id ? editing : null} onSaved={handleSaved} onCancel={() => setEditing(null)} />
+        </Modal>
+      )}
+    </div>
+  )
+}
+
+export default RoutesPage
@@ -0,0 +1,152 @@
+import { useState } from 'react'
+import { cancelSimulation, runSimulation, simulationExportUrl } from '../api/simulations'
+import { useSimulationJob } from '../hooks/useSimulationJob'
+import { useSimulationEvents } from '../hooks/useSimulationEvents'
+import SimulationForm from '../components/simulation/SimulationForm'
+import SimulationProgress from '../components/simulation/SimulationProgress'
+import LiveSimulationFeed from '../components/simulation/LiveSimulationFeed'
+import PerformanceSummary from '../components/simulation/PerformanceSummary'
+import ExportLinks from '../components/common/ExportLinks'
+import OrdersProcessedTable from '../components/simulation/OrdersProcessedTable'
+import TripsTable from '../components/simulation/TripsTable'
+import { validateSimulationInputs } from '../utils/simulationValidation'
+import { mapServerErrors } from '../utils/serverErrors'
+
+const INITIAL_VALUES = {
+  availableDrivers: '5',
+  routeStartTime: '09:00',
+  maxHoursPerDriver: '8',
+  maxOrdersPerTrip: '1',
+  simulationName: '',
+  description: '',
+}
+
+function SimulationRunner() {
+  const [values, setValues] = useState(INITIAL_VALUES)
+  const [errors, setErrors] = useState({})
+  const [formError, setFormError] = useState(null)
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const [storedResult, setStoredResult] = useState(null)
+  const [simulationId, setSimulationId] = useState(null)
+  const [isCancelling, setIsCancelling] = useState(false)
+  const job = useSimulationJob(simulationId)
+  const feed = useSimulationEvents(job.isRunning ? simulationId : null)
+  const result = storedResult ?? job.simulation
+  const jobError = job.error ?? (job.progress && !job.isRunning ? job.progress.errorMessage : null)
+
+  const handleChange = (name, value) => {
+    setValues((current) => ({ ...current, [name]: value }))
+    setErrors((current) => ({ ...current, [name]: undefined }))
+  }
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    setFormError(null)
+
+    const clientErrors = validateSimulationInputs(values)
+    setErrors(clientErrors)
+    if (Object.keys(clientErrors).length > 0) return
+
+    setIsSubmitting(true)
+    setStoredResult(null)
+    setSimulationId(null)
+    try {
+      const simulation = await runSimulation({
+        availableDrivers: Number(values.availableDrivers),
+        routeStartTime: values.routeStartTime,
+        maxHoursPerDriver: Number(values.maxHoursPerDriver),
+        maxOrdersPerTrip: Number(values.maxOrdersPerTrip),
+        simulationName: values.simulationName.trim() || undefined,
+        description: values.description.trim() || undefined,
+      })
+      // An identical completed run comes back straight away; anything else is queued and polled by id
+      if (simulation.status === 'completed' && simulation.ordersProcessed) {
+        setStoredResult(simulation)
+      } else {
+        setSimulationId(simulation.simulationId ?? simulation._id)
+      }
+    } catch (err) {
+      const fieldErrors = mapServerErrors(err.errors, 'inputs.')
+      setErrors(fieldErrors)
+      // Errors that do not belong to a form field are shown above the form
+      if (Object.keys(fieldErrors).length === 0) setFormError(err.message)
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  const handleCancel = async () => {
+    setIsCancelling(true)
+    try {
+      await cancelSimulation(simulationId)
+    } catch (err) {
+      setFormError(err.message)
+    } finally {
+      setIsCancelling(false)
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-semibold text-slate-900">Run a simulation</h1>
+        <p className="text-sm text-slate-500">
+          Assign today&apos;s pending orders to the available drivers and see the projected profit and delivery KPIs.
+        </p>
+      </div>
+
+      {formError && (
+        <div role="alert" className="rounded-lg border border-rose-200 bg-rose-50 p-3 text-sm text-rose-700">
+          {formError}
+        </div>
+      )}
+
+      <SimulationForm
+        values={values}
+        errors={errors}
+        isSubmitting={isSubmitting || job.isRunning}
+        onChange={handleChange}
+        onSubmit={handleSubmit}
+      />
+
+      {job.isRunning && (
+        <>
+          <SimulationProgress progress={job.progress} isCancelling={isCancelling} onCancel={handleCancel} />
+          <LiveSimulationFeed feed={feed} />
+        </>
+      )}
+
+      {jobError && (
+        <div role="alert" className="rounded-lg border border-rose-200 bg-rose-50 p-3 text-sm text-rose-700">
+          {jobError}
+        </div>
+      )}
+
+      {result && (
+        <section className="space-y-4">
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <h2 className="text-lg font-semibold text-slate-900">
+              Results{result.inputs?.simulationName ? `: ${result.inputs.simulationName}` : ''}
+            </h2>
+            {result.status === 'completed' && (
+              <ExportLinks hrefFor={(format) => simulationExportUrl(result._id, format)} />
+            )}
+          </div>
+          <PerformanceSummary summary={result.performanceSummary} />
+          <div className="rounded-lg bg-white p-4 shadow-sm">
+            <h3 className="mb-4 text-base font-semibold text-slate-800">Orders processed</h3>
+            <OrdersProcessedTable orders={result.ordersProcessed} />
+          </div>
+          {result.trips?.length > 0 && (
+            <div className="rounded-lg bg-white p-4 shadow-sm">
+              <h3 className="mb-4 text-base font-semibold text-slate-800">Trips</h3>
+              <TripsTable trips={result.trips} />
+            </div>
+          )}
+        </section>
+      )}
+    </div>
+  )
+}
+
+export default SimulationRunner
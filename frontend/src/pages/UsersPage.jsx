@@ -0,0 +1,208 @@
+import { useState } from 'react'
+import { activateUser, deactivateUser, listUsers, resendInvite, updateUserRole } from '../api/users'
+import Badge from '../components/common/Badge'
+import Modal from '../components/common/Modal'
+import PageHeader from '../components/common/PageHeader'
+import Pagination from '../components/common/Pagination'
+import InviteUserForm from '../components/users/InviteUserForm'
+import { useAuth } from '../hooks/useAuth'
+import { usePaginatedList } from '../hooks/usePaginatedList'
+import { USER_ROLES } from '../utils/entityValidation'
+import { ROLE_TONES } from '../utils/badgeTones'
+import { formatDateTime } from '../utils/format'
+import { inputClass } from '../utils/formStyles'
+import { primaryButtonClass, secondaryButtonClass } from '../utils/buttonStyles'
+
+// Driver accounts need a linked driver, so they are only created through an invitation
+const ASSIGNABLE_ROLES = USER_ROLES.filter((role) => role !== 'driver')
+
+const fetchUsers = (params, options) =>
+  listUsers(params, options).then((data) => ({ items: data.users, pagination: data.pagination }))
+
+function UsersPage() {
+  const { user: currentUser } = useAuth()
+  const [filters, setFilters] = useState({ role: '', isActive: '' })
+  const [page, setPage] = useState(1)
+  const [isInviting, setIsInviting] = useState(false)
+  const [invitation, setInvitation] = useState(null)
+  const [actionError, setActionError] = useState(null)
+  const { items: users, pagination, isLoading, error, reload } = usePaginatedList(fetchUsers, {
+    ...filters,
+    page,
+    sortBy: 'username',
+    sortType: 'asc',
+  })
+
+  const updateFilter = (name, value) => {
+    setFilters((current) => ({ ...current, [name]: value }))
+    setPage(1)
+  }
+
+  const runAction = async (action) => {
+    setActionError(null)
+    try {
+      await action()
+      reload()
+    } catch (err) {
+      setActionError(err.message)
+    }
+  }
+
+  const handleInvited = (result) => {
+    setIsInviting(false)
+    setInvitation(result)
+    reload()
+  }
+
+  // A new link replaces the old one, which also revives an invitation that has expired
+  const handleResend = (user) =>
+    runAction(async () => {
+      setInvitation(await resendInvite(user._id))
+    })
+
+  const inviteLink = invitation && `${window.location.origin}/accept-invite?token=${invitation.inviteToken}`
+
+  return (
+    <div className="space-y-4">
+      <PageHeader
+        title="Users"
+        description="Who can sign in and what their role allows"
+        action={
+          <button type="button" className={primaryButtonClass} onClick={() => setIsInviting(true)}>
+            Invite user
+          </button>
+        }
+      />
+
+      {invitation && (
+        <div className="space-y-2 rounded-lg border border-emerald-200 bg-emerald-50 p-4 text-sm text-emerald-800">
+          <p>
+            Send this link to <span className="font-semibold">{invitation.user.email}</span>. It is shown only once and
+            expires {formatDateTime(invitation.inviteExpiresAt)}.
+          </p>
+          <input readOnly value={inviteLink} onFocus={(event) => event.target.select()} className={inputClass(false)} />
+          <button type="button" className={secondaryButtonClass} onClick={() => setInvitation(null)}>
+            Done
+          </button>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 gap-3 rounded-lg bg-white p-4 shadow-sm md:grid-cols-2">
+        <select
+          aria-label="Role"
+          value={filters.role}
+          onChange={(event) => updateFilter('role', event.target.value)}
+          className={inputClass(false)}
+        >
+          <option value="">All roles</option>
+          {USER_ROLES.map((role) => (
+            <option key={role} value={role}>
+              {role}
+            </option>
+          ))}
+        </select>
+        <select
+          aria-label="Status"
+          value={filters.isActive}
+          onChange={(event) => updateFilter('isActive', event.target.value)}
+          className={inputClass(false)}
+        >
+          <option value="">Active and inactive</option>
+          <option value="true">Active</option>
+          <option value="false">Inactive</option>
+        </select>
+      </div>
+
+      {(error || actionError) && (
+        <p role="alert" className="rounded-md bg-rose-50 p-3 text-sm text-rose-700">
+          {error || actionError}
+        </p>
+      )}
+
+      <div className="overflow-x-auto rounded-lg bg-white p-4 shadow-sm">
+        <table className="min-w-full divide-y divide-slate-200 text-sm">
+          <thead className="text-left text-xs font-semibold uppercase tracking-wide text-slate-500">
+            <tr>
+              <th className="px-3 py-2">User</th>
+              <th className="px-3 py-2">Email</th>
+              <th className="px-3 py-2">Role</th>
+              <th className="px-3 py-2">Status</th>
+              <th className="px-3 py-2">Last sign-in</th>
+              <th className="px-3 py-2 text-right">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-100">
+            {users.map((user) => {
+              const isSelf = user._id === currentUser?._id
+              return (
+                <tr key={user._id} className={user.isActive ? '' : 'text-slate-400'}>
+                  <td className="px-3 py-2">
+                    <span className="font-medium">{user.fullName}</span>
+                    <span className="block text-xs text-slate-500">@{user.username}</span>
+                  </td>
+                  <td className="px-3 py-2">{user.email}</td>
+                  <td className="px-3 py-2">
+                    {isSelf || user.role === 'driver' ? (
+                      <Badge tone={ROLE_TONES[user.role]}>{user.role}</Badge>
+                    ) : (
+                      <select
+                        aria-label={`Role of ${user.username}`}
+                        value={user.role}
+                        onChange={(event) => runAction(() => updateUserRole(user._id, event.target.value))}
+                        className={inputClass(false)}
+                      >
+                        {ASSIGNABLE_ROLES.map((role) => (
+                          <option key={role} value={role}>
+                            {role}
+                          </option>
+                        ))}
+                      </select>
+                    )}
+                  </td>
+                  <td className="px-3 py-2">
+                    {user.inviteExpiresAt ? (
+                      <Badge tone="amber">Invited</Badge>
+                    ) : (
+                      <Badge tone={user.isActive ? 'green' : 'gray'}>{user.isActive ? 'Active' : 'Inactive'}</Badge>
+                    )}
+                  </td>
+                  <td className="px-3 py-2">{formatDateTime(user.lastLogin)}</td>
+                  <td className="whitespace-nowrap px-3 py-2 text-right">
+                    <div className="inline-flex gap-2">
+                      {user.inviteExpiresAt && user.isActive && (
+                        <button type="button" className={secondaryButtonClass} onClick={() => handleResend(user)}>
+                          Resend invite
+                        </button>
+                      )}
+                      <button
+                        type="button"
+                        className={secondaryButtonClass}
+                        disabled={isSelf}
+                        onClick={() => runAction(() => (user.isActive ? deactivateUser(user._id) : activateUser(user._id)))}
+                      >
+                        {user.isActive ? 'Deactivate' : 'Activate'}
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              )
+            })}
+          </tbody>
+        </table>
+        {!isLoading && users.length === 0 && (
+          <p className="py-6 text-center text-sm text-slate-500">No users match these filters</p>
+        )}
+        {isLoading && <p className="py-6 text-center text-sm text-slate-500">Loading users…</p>}
+        <Pagination pagination={pagination} onPageChange={setPage} />
+      </div>
+
+      {isInviting && (
+        <Modal title="Invite user" onClose={() => setIsInviting(false)}>
+          <InviteUserForm onSaved={handleInvited} onCancel={() => setIsInviting(false)} />
+        </Modal>
+      )}
+    </div>
+  )
+}
+
+export default UsersPage
@@ -0,0 +1,12 @@
+export const FATIGUE_TONES = { normal: 'green', tired: 'amber', exhausted: 'red' }
+export const TRAFFIC_TONES = { Low: 'green', Medium: 'amber', High: 'red' }
+export const ORDER_STATUS_TONES = {
+  pending: 'gray',
+  assigned: 'blue',
+  in_transit: 'purple',
+  delivered: 'green',
+  cancelled: 'gray',
+  failed: 'red',
+}
+export const PRIORITY_TONES = { low: 'gray', medium: 'blue', high: 'amber', urgent: 'red' }
+export const ROLE_TONES = { admin: 'purple', manager: 'blue', dispatcher: 'amber', analyst: 'gray', driver: 'green' }
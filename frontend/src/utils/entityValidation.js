@@ -0,0 +1,78 @@
+// Limits mirror the Driver, Route and Order schemas in backend/src/models
+export const TRAFFIC_LEVELS = ['Low', 'Medium', 'High']
+export const ROUTE_DIFFICULTIES = ['easy', 'medium', 'hard']
+export const ORDER_STATUSES = ['pending', 'assigned', 'in_transit', 'delivered', 'cancelled', 'failed']
+export const ORDER_PRIORITIES = ['low', 'medium', 'high', 'urgent']
+export const FATIGUE_LEVELS = ['normal', 'tired', 'exhausted']
+export const USER_ROLES = ['admin', 'manager', 'dispatcher', 'analyst', 'driver']
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/
+const EMAIL_PATTERN = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/
+
+function checkNumber(errors, field, value, { label, min, max, integer = false, required = true }) {
+  if (value === '' || value === null || value === undefined) {
+    if (required) errors[field] = `${label} is required`
+    return
+  }
+  const number = Number(value)
+  if (Number.isNaN(number)) errors[field] = `${label} must be a number`
+  else if (integer && !Number.isInteger(number)) errors[field] = `${label} must be a whole number`
+  else if (min !== undefined && number < min) errors[field] = `${label} must be at least ${min}`
+  else if (max !== undefined && number > max) errors[field] = `${label} cannot exceed ${max}`
+}
+
+export function validateDriver(values) {
+  const errors = {}
+  const name = values.name.trim()
+  if (name.length < 2) errors.name = 'Driver name must be at least 2 characters'
+  else if (name.length > 50) errors.name = 'Driver name cannot exceed 50 characters'
+
+  checkNumber(errors, 'shiftHours', values.shiftHours, { label: 'Shift hours', min: 1, max: 12 })
+
+  const hours = values.pastWeekHours
+  const invalidDay = hours.length !== 7 || hours.some((h) => h === '' || Number.isNaN(Number(h)) || h < 0 || h > 24)
+  if (invalidDay) errors.pastWeekHours = 'Past week hours must contain exactly 7 values, each between 0-24'
+
+  return errors
+}
+
+export function validateRoute(values) {
+  const errors = {}
+  checkNumber(errors, 'routeId', values.routeId, { label: 'Route ID', min: 1, integer: true })
+  checkNumber(errors, 'distanceKm', values.distanceKm, { label: 'Distance', min: 0.1, max: 1000 })
+  checkNumber(errors, 'baseTimeMin', values.baseTimeMin, { label: 'Base time', min: 1, max: 600 })
+  if (!TRAFFIC_LEVELS.includes(values.trafficLevel)) errors.trafficLevel = 'Traffic level must be Low, Medium, or High'
+  if (values.area.trim().length > 100) errors.area = 'Area name cannot exceed 100 characters'
+  return errors
+}
+
+export function validateOrder(values) {
+  const errors = {}
+  checkNumber(errors, 'orderId', values.orderId, { label: 'Order ID', min: 1, integer: true })
+  checkNumber(errors, 'valueRs', values.valueRs, { label: 'Order value', min: 0, max: 100000 })
+  checkNumber(errors, 'routeId', values.routeId, { label: 'Route ID', min: 1, integer: true })
+  if (!TIME_PATTERN.test(values.deliveryTime)) errors.deliveryTime = 'Delivery time must be in HH:MM format'
+  if (values.deliveryNotes.trim().length > 500) errors.deliveryNotes = 'Delivery notes cannot exceed 500 characters'
+  return errors
+}
+
+export function validateInvite(values) {
+  const errors = {}
+  const username = values.username.trim()
+  if (username.length < 3) errors.username = 'Username must be at least 3 characters'
+  else if (username.length > 20) errors.username = 'Username cannot exceed 20 characters'
+  if (!EMAIL_PATTERN.test(values.email.trim())) errors.email = 'Please enter a valid email'
+  const fullName = values.fullName.trim()
+  if (fullName.length < 2) errors.fullName = 'Full name must be at least 2 characters'
+  else if (fullName.length > 50) errors.fullName = 'Full name cannot exceed 50 characters'
+  if (!USER_ROLES.includes(values.role)) errors.role = `Role must be one of ${USER_ROLES.join(', ')}`
+  else if (values.role === 'driver' && !values.driverId) errors.driverId = 'Choose the driver this account belongs to'
+  return errors
+}
+
+export function validateDelivery(values) {
+  const errors = {}
+  if (!TIME_PATTERN.test(values.actualDeliveryTime)) errors.actualDeliveryTime = 'Delivery time must be in HH:MM format'
+  if (values.notes.trim().length > 500) errors.notes = 'Notes cannot exceed 500 characters'
+  return errors
+}
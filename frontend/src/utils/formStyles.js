@@ -0,0 +1,7 @@
+export function inputClass(hasError) {
+  return `block w-full rounded-md border px-3 py-2 text-sm shadow-sm focus:outline-none focus:ring-2 ${
+    hasError
+      ? 'border-rose-400 focus:ring-rose-200'
+      : 'border-slate-300 focus:border-emerald-500 focus:ring-emerald-200'
+  }`
+}
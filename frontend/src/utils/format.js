@@ -0,0 +1,24 @@
+const currencyFormatter = new Intl.NumberFormat('en-IN', {
+  style: 'currency',
+  currency: 'INR',
+  maximumFractionDigits: 2,
+})
+
+const numberFormatter = new Intl.NumberFormat('en-IN', { maximumFractionDigits: 2 })
+
+export function formatCurrency(value) {
+  return currencyFormatter.format(value ?? 0)
+}
+
+export function formatNumber(value) {
+  return numberFormatter.format(value ?? 0)
+}
+
+export function formatPercent(value) {
+  return `${numberFormatter.format(value ?? 0)}%`
+}
+
+export function formatDateTime(value) {
+  if (!value) return '—'
+  return new Date(value).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' })
+}
@@ -0,0 +1,10 @@
+// Turns ApiError.errors ([{ field, message }]) into { field: message }, dropping a schema path prefix
+// such as "inputs." so the keys match the form's field names
+export function mapServerErrors(errors = [], prefix = '') {
+  return errors.reduce((fieldErrors, error) => {
+    if (!error?.field) return fieldErrors
+    const field = prefix && error.field.startsWith(prefix) ? error.field.slice(prefix.length) : error.field
+    fieldErrors[field] = fieldErrors[field] || error.message
+    return fieldErrors
+  }, {})
+}
@@ -0,0 +1,63 @@
+// Mirrors the limits of simulationSchema.inputs in backend/src/models/simulation.model.js
+export const SIMULATION_LIMITS = {
+  availableDrivers: { min: 1, max: 100 },
+  maxHoursPerDriver: { min: 1, max: 16 },
+  maxOrdersPerTrip: { min: 1, max: 20 },
+  simulationName: { maxLength: 100 },
+  description: { maxLength: 500 },
+}
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/
+
+function validateNumberInRange(value, { min, max }, label, { integer = false } = {}) {
+  if (value === '' || value === null || value === undefined) return `${label} is required`
+  const number = Number(value)
+  if (Number.isNaN(number)) return `${label} must be a number`
+  if (integer && !Number.isInteger(number)) return `${label} must be a whole number`
+  if (number < min) return `${label} must be at least ${min}`
+  if (number > max) return `${label} cannot exceed ${max}`
+  return null
+}
+
+export function validateSimulationInputs(values) {
+  const errors = {}
+
+  const availableDriversError = validateNumberInRange(
+    values.availableDrivers,
+    SIMULATION_LIMITS.availableDrivers,
+    'Available drivers',
+    { integer: true },
+  )
+  if (availableDriversError) errors.availableDrivers = availableDriversError
+
+  if (!values.routeStartTime) {
+    errors.routeStartTime = 'Route start time is required'
+  } else if (!TIME_PATTERN.test(values.routeStartTime)) {
+    errors.routeStartTime = 'Start time must be in HH:MM format'
+  }
+
+  const maxHoursError = validateNumberInRange(
+    values.maxHoursPerDriver,
+    SIMULATION_LIMITS.maxHoursPerDriver,
+    'Max hours per driver',
+  )
+  if (maxHoursError) errors.maxHoursPerDriver = maxHoursError
+
+  const maxOrdersPerTripError = validateNumberInRange(
+    values.maxOrdersPerTrip,
+    SIMULATION_LIMITS.maxOrdersPerTrip,
+    'Max orders per trip',
+    { integer: true },
+  )
+  if (maxOrdersPerTripError) errors.maxOrdersPerTrip = maxOrdersPerTripError
+
+  if (values.simulationName.trim().length > SIMULATION_LIMITS.simulationName.maxLength) {
+    errors.simulationName = `Simulation name cannot exceed ${SIMULATION_LIMITS.simulationName.maxLength} characters`
+  }
+
+  if (values.description.trim().length > SIMULATION_LIMITS.description.maxLength) {
+    errors.description = `Description cannot exceed ${SIMULATION_LIMITS.description.maxLength} characters`
+  }
+
+  return errors
+}
@@ -4,5 +4,11 @@ import tailwindcss from '@tailwindcss/vite'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react(), tailwindcss()]
+  plugins: [react(), tailwindcss()],
+  server: {
+    // Same-origin requests in development so the backend's httpOnly cookies are sent
+    proxy: {
+      '/api': 'http://localhost:8000',
+    },
+  },
 })